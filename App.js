@@ -1,21 +1,111 @@
+import { useState, useEffect } from 'react';
 import { StatusBar } from 'expo-status-bar';
-import { StyleSheet, View } from 'react-native';
-import CameraTest from './CameraTest';
+import { View, TouchableOpacity, Text, StyleSheet } from 'react-native';
+import { NavigationContainer } from '@react-navigation/native';
+import { createNativeStackNavigator } from '@react-navigation/native-stack';
+import CaptureScreen from './screens/CaptureScreen';
+import HistoryScreen from './screens/HistoryScreen';
+import MealDetailScreen from './screens/MealDetailScreen';
+import SpendingScreen from './screens/SpendingScreen';
+import LoginScreen from './screens/LoginScreen';
+import DietaryProfileScreen from './screens/DietaryProfileScreen';
+import GoalsScreen from './screens/GoalsScreen';
+import * as api from './api/client';
+
+const Stack = createNativeStackNavigator();
 
 export default function App() {
+  const [user, setUser] = useState(undefined); // undefined while restoring the session, null when signed out
+
+  useEffect(() => {
+    api.onUnauthorized(() => setUser(null));
+    api.restoreSession()
+      .then(setUser)
+      .catch(err => {
+        // Backend unreachable: stay signed in with the stored token. If it
+        // turns out to be invalid, the first 401 signs the user out.
+        console.error('Could not verify session:', err);
+        setUser({ id: null, email: null });
+      });
+  }, []);
+
+  const signOut = async () => {
+    try {
+      await api.logout();
+    } catch (err) {
+      console.error('Error signing out:', err);
+    }
+    setUser(null);
+  };
+
+  if (user === undefined) {
+    return null;
+  }
+
+  if (!user) {
+    return (
+      <>
+        <LoginScreen onSignedIn={setUser} />
+        <StatusBar style="auto" />
+      </>
+    );
+  }
+
   return (
-    <View style={styles.container}>
-      <CameraTest />
+    <NavigationContainer>
+      <Stack.Navigator initialRouteName="Capture">
+        <Stack.Screen
+          name="Capture"
+          component={CaptureScreen}
+          options={({ navigation }) => ({
+            title: 'Choices Count',
+            headerLeft: () => (
+              <TouchableOpacity onPress={signOut}>
+                <Text style={styles.headerLink}>Sign Out</Text>
+              </TouchableOpacity>
+            ),
+            headerRight: () => (
+              <View style={styles.headerLinks}>
+                <TouchableOpacity onPress={() => navigation.navigate('DietaryProfile')}>
+                  <Text style={styles.headerLink}>Diet</Text>
+                </TouchableOpacity>
+                <TouchableOpacity onPress={() => navigation.navigate('History')}>
+                  <Text style={styles.headerLink}>History</Text>
+                </TouchableOpacity>
+              </View>
+            ),
+          })}
+        />
+        <Stack.Screen
+          name="History"
+          component={HistoryScreen}
+          options={({ navigation }) => ({
+            title: 'Scan History',
+            headerRight: () => (
+              <TouchableOpacity onPress={() => navigation.navigate('Spending')}>
+                <Text style={styles.headerLink}>Spending</Text>
+              </TouchableOpacity>
+            ),
+          })}
+        />
+        <Stack.Screen name="MealDetail" component={MealDetailScreen} options={{ title: 'Meal' }} />
+        <Stack.Screen name="Spending" component={SpendingScreen} options={{ title: 'Food Spending' }} />
+        <Stack.Screen name="DietaryProfile" component={DietaryProfileScreen} options={{ title: 'Dietary Profile' }} />
+        <Stack.Screen name="Goals" component={GoalsScreen} options={{ title: 'Daily Goals' }} />
+      </Stack.Navigator>
       <StatusBar style="auto" />
-    </View>
+    </NavigationContainer>
   );
 }
 
 const styles = StyleSheet.create({
-  container: {
-    flex: 1,
-    backgroundColor: '#fff',
-    alignItems: 'center',
-    justifyContent: 'center',
+  headerLinks: {
+    flexDirection: 'row',
+    gap: 15,
+  },
+  headerLink: {
+    color: '#007AFF',
+    fontSize: 16,
+    fontWeight: 'bold',
   },
 });
@@ -0,0 +1,337 @@
+import { Platform } from 'react-native';
+import Constants from 'expo-constants';
+import { appendPhoto } from '../camera';
+import tokenStorage from './tokenStorage';
+
+const BACKEND_PORT = 3001;
+
+// Resolve the backend URL, in order of preference:
+//   1. EXPO_PUBLIC_API_URL env var (e.g. an ngrok tunnel or staging host)
+//   2. "extra.apiBaseUrl" in app.json
+//   3. the dev machine running Metro (so a phone on the same network works)
+//   4. localhost
+function resolveBaseUrl() {
+  if (process.env.EXPO_PUBLIC_API_URL) {
+    return process.env.EXPO_PUBLIC_API_URL;
+  }
+
+  const expoConfig = Constants.expoConfig;
+  if (expoConfig && expoConfig.extra && expoConfig.extra.apiBaseUrl) {
+    return expoConfig.extra.apiBaseUrl;
+  }
+
+  // hostUri looks like "192.168.1.20:8081" during development
+  if (Platform.OS !== 'web' && expoConfig && expoConfig.hostUri) {
+    const host = expoConfig.hostUri.split(':')[0];
+    return `http://${host}:${BACKEND_PORT}`;
+  }
+
+  return `http://localhost:${BACKEND_PORT}`;
+}
+
+export const API_BASE_URL = resolveBaseUrl().replace(/\/+$/, '');
+
+// Error thrown for every failed API call. `status` is the HTTP status, or 0
+// when the backend couldn't be reached at all.
+export class ApiError extends Error {
+  constructor(message, { status = 0, details = null, body = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.details = details;
+    this.body = body;
+  }
+
+  get isNetworkError() {
+    return this.status === 0;
+  }
+}
+
+// Bearer token for the signed-in user, loaded by restoreSession()
+let authToken = null;
+let unauthorizedListener = null;
+
+// Called with no arguments when the backend rejects the token (expired or
+// signed out elsewhere), after the stored token has been cleared
+export function onUnauthorized(listener) {
+  unauthorizedListener = listener;
+}
+
+async function setAuthToken(token) {
+  authToken = token;
+  await (token ? tokenStorage.set(token) : tokenStorage.clear());
+}
+
+async function request(path, { method = 'GET', json, formData } = {}) {
+  const options = { method, headers: {} };
+
+  if (authToken) {
+    options.headers.Authorization = `Bearer ${authToken}`;
+  }
+
+  if (json !== undefined) {
+    options.headers['Content-Type'] = 'application/json';
+    options.body = JSON.stringify(json);
+  } else if (formData) {
+    options.body = formData;
+  }
+
+  let response;
+  try {
+    response = await fetch(`${API_BASE_URL}${path}`, options);
+  } catch (err) {
+    throw new ApiError(`Backend unreachable at ${API_BASE_URL}: ${err.message}`);
+  }
+
+  const text = await response.text();
+  let body = null;
+  try {
+    body = text ? JSON.parse(text) : null;
+  } catch (err) {
+    body = { error: text };
+  }
+
+  if (response.status === 401 && authToken) {
+    await setAuthToken(null);
+    if (unauthorizedListener) {
+      unauthorizedListener();
+    }
+  }
+
+  if (!response.ok) {
+    const message = (body && body.error) || `${response.status} ${response.statusText}`;
+    console.error(`${method} ${path} failed:`, response.status, body);
+    throw new ApiError(message, { status: response.status, details: body && body.details, body });
+  }
+
+  return body;
+}
+
+function query(params) {
+  const entries = Object.entries(params).filter(([, value]) => value !== undefined && value !== null);
+  return entries.length > 0 ? `?${new URLSearchParams(entries).toString()}` : '';
+}
+
+// Resolves to { status, timestamp, uptime }
+export function checkHealth() {
+  return request('/api/health');
+}
+
+// Load the stored token and check it's still valid. Resolves to the signed-in
+// user, or null if there's no (valid) session. Other failures (e.g. the
+// backend being unreachable) are thrown and the token is kept.
+export async function restoreSession() {
+  authToken = await tokenStorage.get();
+  if (!authToken) {
+    return null;
+  }
+
+  try {
+    const body = await request('/api/auth/me');
+    return body.data;
+  } catch (err) {
+    if (err.status === 401) {
+      return null;
+    }
+    throw err;
+  }
+}
+
+// Create an account and sign in. Resolves to the user.
+export async function register(email, password) {
+  const body = await request('/api/auth/register', { method: 'POST', json: { email, password } });
+  await setAuthToken(body.data.token);
+  return body.data.user;
+}
+
+// Resolves to the user
+export async function login(email, password) {
+  const body = await request('/api/auth/login', { method: 'POST', json: { email, password } });
+  await setAuthToken(body.data.token);
+  return body.data.user;
+}
+
+export async function logout() {
+  try {
+    await request('/api/auth/logout', { method: 'POST' });
+  } finally {
+    await setAuthToken(null);
+  }
+}
+
+const UPLOAD_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+};
+
+// Upload a captured photo ({ uri, width, height, mimeType }).
+// Resolves to { duplicate, data: storedImage }.
+export async function uploadImage(photo, { timestamp = new Date().toISOString() } = {}) {
+  const formData = new FormData();
+  const extension = UPLOAD_EXTENSIONS[photo.mimeType] || 'jpg';
+  await appendPhoto(formData, 'image', photo, `food-scan-${Date.now()}.${extension}`);
+  formData.append('timestamp', timestamp);
+
+  return request('/api/images/upload', { method: 'POST', formData });
+}
+
+// One page of scans, newest first. `from`/`to` are YYYY-MM-DD dates or ISO
+// timestamps. Resolves to { images, count, total, limit, offset, hasMore }.
+export function listImages({ limit, offset, from, to } = {}) {
+  return request(`/api/images${query({ limit, offset, from, to })}`);
+}
+
+// Deletes the image and every meal logged against it. Resolves to { deletedMeals }.
+export function deleteImage(imageId) {
+  return request(`/api/images/${imageId}`, { method: 'DELETE' });
+}
+
+// Absolute URL for a server-relative path such as an image's thumbnailUrl.
+// <Image> can't send an Authorization header, so the token goes in the query.
+export function resolveUrl(path) {
+  const separator = path.includes('?') ? '&' : '?';
+  return authToken
+    ? `${API_BASE_URL}${path}${separator}access_token=${encodeURIComponent(authToken)}`
+    : `${API_BASE_URL}${path}`;
+}
+
+export function imageUrl(imageId) {
+  return resolveUrl(`/api/images/${imageId}/file`);
+}
+
+// Run an analyzer on an uploaded image. `reference` ({ type: 'plate'|'card',
+// sizeCm }) marks an object of known size in the photo for portion estimates.
+// Resolves to { cached, data: analysis, dietaryWarnings }.
+export function analyze(imageId, { provider, mealId, refresh, reference } = {}) {
+  return request(`/api/images/analyze${query({ provider })}`, {
+    method: 'POST',
+    json: { imageId, mealId, refresh, reference },
+  });
+}
+
+// Start an analysis in the background: the analyzer, then (unless
+// searchProducts is false) a product search. Resolves to the job, whose
+// steps report progress; see getJob and api/jobEvents.
+export async function createJob(imageId, { provider, mealId, refresh, reference, searchProducts } = {}) {
+  const body = await request(`/api/jobs${query({ provider })}`, {
+    method: 'POST',
+    json: { imageId, mealId, refresh, reference, searchProducts },
+  });
+  return body.data;
+}
+
+// Resolves to { id, type, status, steps, result, error, ... }. status is
+// queued, running, succeeded or failed; once succeeded, result is
+// { analysis, dietaryWarnings, productSearch }.
+export async function getJob(jobId) {
+  const body = await request(`/api/jobs/${jobId}`);
+  return body.data;
+}
+
+export function isJobFinished(job) {
+  return job.status === 'succeeded' || job.status === 'failed';
+}
+
+const JOB_POLL_MS = 1000;
+
+// Poll a job until it finishes, passing each state to onUpdate. Resolves to
+// the finished job.
+export async function pollJob(jobId, onUpdate) {
+  for (;;) {
+    const job = await getJob(jobId);
+    onUpdate(job);
+    if (isJobFinished(job)) {
+      return job;
+    }
+    await new Promise(resolve => setTimeout(resolve, JOB_POLL_MS));
+  }
+}
+
+// Resolves to { barcode, searchResults, totalSearches, timestamp }
+export async function searchProducts(foodItems, { imageId, mealId } = {}) {
+  const body = await request('/api/products/search', {
+    method: 'POST',
+    json: { foodItems, imageId, mealId },
+  });
+  return body.data;
+}
+
+// Nutrients for gram amounts of products from searchProducts.
+// items: [{ product, grams }]. Resolves to { items, totals, incomplete }.
+export async function computeNutrition(items) {
+  const body = await request('/api/nutrition/compute', { method: 'POST', json: { items } });
+  return body.data;
+}
+
+// Resolves to { meals, count }, newest first
+export function listMeals() {
+  return request('/api/meals');
+}
+
+// Resolves to the meal with its analyses, product matches, chosen products and
+// nutrition ({ items, totals } at the current portion weights)
+export async function getMeal(mealId) {
+  const body = await request(`/api/meals/${mealId}`);
+  return body.data;
+}
+
+// Resolves to the created meal
+export async function createMeal(fields) {
+  const body = await request('/api/meals', { method: 'POST', json: fields });
+  return body.data;
+}
+
+// Resolves to the updated meal
+export async function updateMeal(mealId, changes) {
+  const body = await request(`/api/meals/${mealId}`, { method: 'PATCH', json: changes });
+  return body.data;
+}
+
+export function deleteMeal(mealId) {
+  return request(`/api/meals/${mealId}`, { method: 'DELETE' });
+}
+
+// Resolves to { date, totals, mealCount, meals }
+export async function getDailySummary({ date, tzOffset } = {}) {
+  const body = await request(`/api/summary/daily${query({ date, tzOffset })}`);
+  return body.data;
+}
+
+// Food spending by day, category and store between two YYYY-MM-DD dates
+export async function getSpending({ from, to, tzOffset } = {}) {
+  const body = await request(`/api/spending${query({ from, to, tzOffset })}`);
+  return body.data;
+}
+
+// Resolves to { data: { allergens, diets, excludedIngredients }, options },
+// where options lists the allergen and diet codes the profile can use
+export function getDietaryProfile() {
+  return request('/api/profile/dietary');
+}
+
+// Replace the dietary profile. Resolves to the saved profile.
+export async function updateDietaryProfile(profile) {
+  const body = await request('/api/profile/dietary', { method: 'PUT', json: profile });
+  return body.data;
+}
+
+// Resolves to { daily, weekend }: per-nutrient targets (null for none), with
+// weekend overrides or null
+export async function getGoals() {
+  const body = await request('/api/goals');
+  return body.data;
+}
+
+// Replace the daily targets. Resolves to the saved goals.
+export async function updateGoals(goals) {
+  const body = await request('/api/goals', { method: 'PUT', json: goals });
+  return body.data;
+}
+
+// Resolves to { date, dayType, hasTargets, mealCount, nutrients }, where each
+// nutrient has { target, consumed, remaining, percent }
+export async function getGoalProgress({ date, tzOffset } = {}) {
+  const body = await request(`/api/goals/progress${query({ date, tzOffset })}`);
+  return body.data;
+}
@@ -0,0 +1,7 @@
+import { pollJob } from './client';
+
+// React Native has no EventSource, so native apps poll the job instead.
+// Resolves to the finished job.
+export default function watchJob(jobId, onUpdate) {
+  return pollJob(jobId, onUpdate);
+}
@@ -0,0 +1,24 @@
+import { resolveUrl, isJobFinished, pollJob } from './client';
+
+// Follow a job's progress over server-sent events, passing each state to
+// onUpdate. Resolves to the finished job. If the stream breaks (a proxy that
+// buffers it, say), carries on by polling.
+export default function watchJob(jobId, onUpdate) {
+  return new Promise((resolve, reject) => {
+    const source = new window.EventSource(resolveUrl(`/api/jobs/${jobId}/events`));
+
+    source.addEventListener('job', event => {
+      const job = JSON.parse(event.data);
+      onUpdate(job);
+      if (isJobFinished(job)) {
+        source.close();
+        resolve(job);
+      }
+    });
+
+    source.onerror = () => {
+      source.close();
+      pollJob(jobId, onUpdate).then(resolve, reject);
+    };
+  });
+}
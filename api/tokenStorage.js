@@ -0,0 +1,12 @@
+import * as SecureStore from 'expo-secure-store';
+
+const TOKEN_KEY = 'choices-count.auth-token';
+
+// The signed-in user's API token, kept in the device keychain/keystore
+const tokenStorage = {
+  get: () => SecureStore.getItemAsync(TOKEN_KEY),
+  set: token => SecureStore.setItemAsync(TOKEN_KEY, token),
+  clear: () => SecureStore.deleteItemAsync(TOKEN_KEY),
+};
+
+export default tokenStorage;
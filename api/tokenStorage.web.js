@@ -0,0 +1,10 @@
+const TOKEN_KEY = 'choices-count.auth-token';
+
+// Browsers have no secure store, so the token lives in localStorage
+const tokenStorage = {
+  get: async () => window.localStorage.getItem(TOKEN_KEY),
+  set: async token => window.localStorage.setItem(TOKEN_KEY, token),
+  clear: async () => window.localStorage.removeItem(TOKEN_KEY),
+};
+
+export default tokenStorage;
@@ -0,0 +1,183 @@
+const { normalizeFoodName, isGenericLabel } = require('../food-names');
+
+// Runs every available analyzer on the same image in parallel and merges their
+// food items into one list, so label-based and LLM-based providers confirm
+// each other instead of producing two disconnected result sets.
+class EnsembleAnalyzer {
+  constructor({ name = 'all', label = 'All Providers', registry }) {
+    this.name = name;
+    this.label = label;
+    this.registry = registry;
+  }
+
+  // Analyzers taking part: everything available except this one. The mock
+  // Vision analyzer only stands in for Google, so it's skipped when Google is
+  // configured.
+  members() {
+    const useMock = this.registry.defaultProvider() === 'mock';
+
+    return [...this.registry.analyzers.values()]
+      .filter(analyzer => analyzer !== this && analyzer.isAvailable())
+      .filter(analyzer => analyzer.name !== 'mock' || useMock);
+  }
+
+  isAvailable() {
+    return this.members().length > 0;
+  }
+
+  // Every member's steps; their progress is passed straight through
+  get steps() {
+    return [...new Set(this.members().flatMap(analyzer => analyzer.steps))];
+  }
+
+  async analyze(image, options = {}) {
+    const members = this.members();
+    const outcomes = await Promise.allSettled(members.map(analyzer => analyzer.analyze(image, options)));
+
+    const succeeded = [];
+    const providers = members.map((analyzer, index) => {
+      const outcome = outcomes[index];
+
+      if (outcome.status === 'rejected') {
+        console.error(`${analyzer.label} failed during ensemble analysis:`, outcome.reason.message);
+        return { name: analyzer.name, label: analyzer.label, status: 'failed', error: outcome.reason.message };
+      }
+
+      succeeded.push({ analyzer, results: outcome.value });
+      return { name: analyzer.name, label: analyzer.label, status: 'ok', itemCount: outcome.value.foodItems.length };
+    });
+
+    // Nothing to merge; surface the first provider's error
+    if (succeeded.length === 0) {
+      throw outcomes[0].reason;
+    }
+
+    const { foodItems, droppedLabels } = mergeFoodItems(succeeded);
+    const withNutrition = succeeded.find(({ results }) => results.nutrition);
+    const withText = succeeded.find(({ results }) => results.text);
+    const withSummary = succeeded.find(({ results }) => results.details && results.details.summary);
+
+    console.log(`${this.label} analysis completed:`, {
+      providers: succeeded.map(({ analyzer }) => analyzer.name),
+      mergedItems: foodItems.length
+    });
+
+    return {
+      foodItems,
+      nutrition: withNutrition ? withNutrition.results.nutrition : null,
+      text: withText ? withText.results.text : null,
+      objects: succeeded.flatMap(({ analyzer, results }) =>
+        results.objects.map(obj => ({ ...obj, provider: analyzer.name }))
+      ),
+      details: {
+        // Summary fields from the LLM provider, if one took part
+        ...(withSummary ? withSummary.results.details : {}),
+        providers,
+        droppedLabels,
+        providerResults: Object.fromEntries(succeeded.map(({ analyzer, results }) => [analyzer.name, results]))
+      }
+    };
+  }
+}
+
+// Portion estimates from most to least trustworthy
+const GRAMS_SOURCE_RANK = ['calibrated', 'model', 'typical', 'default'];
+
+// Merge food items from several providers. Items are grouped by normalized
+// name (so "Apples", "apple" and "APPLE" match, as do synonyms like
+// "aubergine"/"eggplant"); a single-word item is also folded into a more
+// specific one sharing its head noun ("Apple" into "Gala apple"). Generic
+// labels such as "Food" are dropped unless nothing else was detected.
+function mergeFoodItems(providerResults, { dropGeneric = true } = {}) {
+  const groups = new Map();
+  const droppedLabels = [];
+
+  for (const { analyzer, results } of providerResults) {
+    for (const item of results.foodItems) {
+      if (dropGeneric && isGenericLabel(item.name)) {
+        droppedLabels.push(item.name);
+        continue;
+      }
+
+      const key = normalizeFoodName(item.name);
+      if (!key) {
+        continue;
+      }
+
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push({
+        provider: analyzer.name,
+        name: item.name,
+        confidence: item.confidence,
+        category: item.category,
+        estimatedGrams: item.estimatedGrams,
+        gramsSource: item.gramsSource,
+        nutrition: item.nutrition
+      });
+    }
+  }
+
+  for (const key of [...groups.keys()]) {
+    if (key.includes(' ')) {
+      continue;
+    }
+
+    const specific = [...groups.keys()].filter(other => other.endsWith(` ${key}`));
+    if (specific.length === 1) {
+      groups.get(specific[0]).push(...groups.get(key));
+      groups.delete(key);
+    }
+  }
+
+  const foodItems = [...groups.entries()]
+    .map(([key, sources]) => {
+      // Display the most specific name, preferring the most confident source
+      const display = [...sources].sort((a, b) =>
+        (normalizeFoodName(b.name) === key) - (normalizeFoodName(a.name) === key) || b.confidence - a.confidence
+      )[0];
+
+      // Take the weight (and the nutrition that goes with it) from the source
+      // that actually looked at portion size
+      const portion = [...sources].sort((a, b) =>
+        GRAMS_SOURCE_RANK.indexOf(a.gramsSource) - GRAMS_SOURCE_RANK.indexOf(b.gramsSource)
+      )[0];
+
+      return {
+        name: display.name,
+        confidence: combineConfidences(sources),
+        category: display.category,
+        estimatedGrams: portion.estimatedGrams,
+        gramsSource: portion.gramsSource,
+        nutrition: portion.nutrition,
+        providers: [...new Set(sources.map(source => source.provider))],
+        sources
+      };
+    })
+    .sort((a, b) => b.confidence - a.confidence);
+
+  // Everything was generic: keep the raw labels rather than return nothing
+  if (foodItems.length === 0 && droppedLabels.length > 0) {
+    return mergeFoodItems(providerResults, { dropGeneric: false });
+  }
+
+  return { foodItems, droppedLabels };
+}
+
+// Treat each provider as independent evidence: the merged confidence is the
+// chance that at least one of them is right, 1 - Π(1 - p). Within a single
+// provider only its most confident matching item counts.
+function combineConfidences(sources) {
+  const bestByProvider = new Map();
+  for (const source of sources) {
+    bestByProvider.set(source.provider, Math.max(bestByProvider.get(source.provider) || 0, source.confidence));
+  }
+
+  const missProbability = [...bestByProvider.values()]
+    .reduce((product, confidence) => product * (1 - confidence / 100), 1);
+
+  return Math.round((1 - missProbability) * 100);
+}
+
+module.exports = { EnsembleAnalyzer, mergeFoodItems };
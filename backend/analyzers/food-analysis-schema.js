@@ -0,0 +1,74 @@
+const Ajv = require('ajv');
+
+// Calories in kcal, everything else in grams
+const nutrientsSchema = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['calories', 'protein', 'carbs', 'fat', 'fiber'],
+  properties: {
+    calories: { type: 'number', minimum: 0 },
+    protein: { type: 'number', minimum: 0 },
+    carbs: { type: 'number', minimum: 0 },
+    fat: { type: 'number', minimum: 0 },
+    fiber: { type: 'number', minimum: 0 }
+  }
+};
+
+// JSON schema for OpenAI food analysis. It is sent as a strict
+// `json_schema` response format and used again to validate the parsed reply.
+// Strict mode requires every property to be listed in `required`, so optional
+// values are expressed as nullable types instead.
+const foodAnalysisSchema = {
+  type: 'object',
+  additionalProperties: false,
+  required: [
+    'summary',
+    'foodItems',
+    'portionSizes',
+    'nutritionalInfo',
+    'foodQuality',
+    'culturalContext',
+    'dietaryInformation',
+    'ingredients',
+    'servingSuggestions'
+  ],
+  properties: {
+    summary: { type: 'string' },
+    foodItems: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['name', 'confidence', 'estimatedGrams', 'nutrition'],
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          confidence: { type: 'number', minimum: 0, maximum: 100 },
+          // Weight of the visible portion, and nutrition for that weight
+          estimatedGrams: { type: 'number', minimum: 0 },
+          nutrition: nutrientsSchema
+        }
+      }
+    },
+    portionSizes: { type: ['string', 'null'] },
+    nutritionalInfo: nutrientsSchema,
+    foodQuality: { type: ['string', 'null'] },
+    culturalContext: { type: ['string', 'null'] },
+    dietaryInformation: { type: 'array', items: { type: 'string' } },
+    ingredients: { type: 'array', items: { type: 'string' } },
+    servingSuggestions: { type: ['string', 'null'] }
+  }
+};
+
+const ajv = new Ajv({ allErrors: true });
+const validateFoodAnalysis = ajv.compile(foodAnalysisSchema);
+
+// Returns a list of readable validation errors, empty if the analysis is valid
+function getFoodAnalysisErrors(analysis) {
+  if (validateFoodAnalysis(analysis)) {
+    return [];
+  }
+
+  return validateFoodAnalysis.errors.map(error => `${error.instancePath || '/'} ${error.message}`);
+}
+
+module.exports = { foodAnalysisSchema, getFoodAnalysisErrors };
@@ -0,0 +1,124 @@
+const vision = require('@google-cloud/vision');
+const OpenAI = require('openai');
+const { MockVisionClient } = require('../vision-mock');
+const { MockOpenAIClient } = require('../openai-mock');
+const { VisionAnalyzer } = require('./vision');
+const { OpenAIAnalyzer, AnalysisValidationError } = require('./openai');
+const { EnsembleAnalyzer } = require('./ensemble');
+
+// Registry of image analyzers. Every analyzer implements the same interface:
+//   name          - provider key used in ?provider=
+//   label         - human readable provider name
+//   steps         - the progress steps it reports (labels, ocr, objects, llm)
+//   isAvailable() - whether credentials/clients are configured
+//   analyze(image, options) - takes a stored image ({ id, path, mimeType, originalname })
+//                    and options ({ reference, onProgress }), resolves to
+//                    { foodItems, nutrition, text, objects, details }.
+//                    Food items carry an estimatedGrams portion weight.
+//                    onProgress, if given, is called with { step, status }
+//                    as each step starts (running) and ends (done/failed).
+class AnalyzerRegistry {
+  constructor() {
+    this.analyzers = new Map();
+  }
+
+  register(analyzer) {
+    this.analyzers.set(analyzer.name, analyzer);
+    return this;
+  }
+
+  get(name) {
+    return this.analyzers.get(name) || null;
+  }
+
+  list() {
+    return [...this.analyzers.values()].map(analyzer => ({
+      name: analyzer.name,
+      label: analyzer.label,
+      available: analyzer.isAvailable()
+    }));
+  }
+
+  // Default provider when the client doesn't ask for one: real Google Vision if
+  // configured, otherwise the mock so development works without credentials
+  defaultProvider() {
+    const google = this.get('google');
+    return google && google.isAvailable() ? 'google' : 'mock';
+  }
+
+  // Run an analyzer and wrap its output in the normalized result envelope
+  async analyze(name, image, { reference = null, onProgress } = {}) {
+    const analyzer = this.get(name);
+    const results = await analyzer.analyze(image, { reference, onProgress });
+
+    return {
+      imageId: image.id,
+      provider: analyzer.name,
+      apiProvider: analyzer.label,
+      timestamp: new Date().toISOString(),
+      reference,
+      results
+    };
+  }
+}
+
+function createGoogleVisionClient() {
+  // Check if Google Cloud credentials are available
+  if (!process.env.GOOGLE_APPLICATION_CREDENTIALS && !process.env.GOOGLE_CLOUD_PROJECT) {
+    console.log('No Google Cloud credentials found - Google Vision will not be available');
+    return null;
+  }
+
+  try {
+    const client = new vision.ImageAnnotatorClient();
+    console.log('Using Google Cloud Vision API');
+    return client;
+  } catch (error) {
+    console.log('Google Cloud Vision API initialization failed:', error.message);
+    return null;
+  }
+}
+
+function createOpenAIClient() {
+  if (!process.env.OPENAI_API_KEY) {
+    // No API key found, use mock client for development/testing
+    console.log('No OpenAI API key found, using Mock OpenAI API');
+    return new MockOpenAIClient();
+  }
+
+  try {
+    const client = new OpenAI({
+      apiKey: process.env.OPENAI_API_KEY,
+    });
+    console.log('OpenAI Vision API available');
+    return client;
+  } catch (error) {
+    console.log('OpenAI initialization failed, using Mock OpenAI API:', error.message);
+    return new MockOpenAIClient();
+  }
+}
+
+function createAnalyzerRegistry() {
+  const openaiClient = createOpenAIClient();
+
+  const registry = new AnalyzerRegistry()
+    .register(new VisionAnalyzer({
+      name: 'google',
+      label: 'Google Cloud Vision',
+      client: createGoogleVisionClient()
+    }))
+    .register(new VisionAnalyzer({
+      name: 'mock',
+      label: 'Mock Vision',
+      client: new MockVisionClient()
+    }))
+    .register(new OpenAIAnalyzer({
+      label: openaiClient instanceof MockOpenAIClient ? 'Mock OpenAI Vision' : 'OpenAI GPT-4 Vision',
+      client: openaiClient
+    }));
+
+  // The ensemble runs the analyzers above, so it needs the registry itself
+  return registry.register(new EnsembleAnalyzer({ registry }));
+}
+
+module.exports = { AnalyzerRegistry, AnalysisValidationError, createAnalyzerRegistry };
@@ -0,0 +1,161 @@
+const fs = require('fs');
+const { foodAnalysisSchema, getFoodAnalysisErrors } = require('./food-analysis-schema');
+const { describeReference } = require('../portions');
+
+const ANALYSIS_PROMPT = `Analyze this food image in detail. Please provide:
+
+1. **Food Items**: List all food items you can identify with confidence levels. For each item, estimate the weight in grams of the portion visible in the image and its nutrition for that weight
+2. **Portion Sizes**: Estimate portion sizes using visual cues and scale references in the image
+3. **Nutritional Analysis**: Provide estimated nutritional information (calories, protein, carbs, fat, fiber)
+4. **Food Quality**: Assess freshness, preparation method, and overall quality
+5. **Cultural Context**: Identify cuisine type or cultural background if apparent
+6. **Dietary Information**: Note any dietary considerations (vegetarian, vegan, gluten-free, etc.)
+7. **Ingredients**: List likely ingredients used in preparation
+8. **Serving Suggestions**: Provide context about typical serving sizes
+
+Give confidence levels as percentages (0-100) and nutrition values as plain numbers: calories in kcal, everything else in grams. Start with a short plain-language summary of the meal.`;
+
+// Number of extra attempts when the model's reply doesn't match the schema
+const MAX_RETRIES = 1;
+
+// Thrown when OpenAI's reply can't be parsed or doesn't match the analysis schema
+class AnalysisValidationError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'AnalysisValidationError';
+    this.errors = errors;
+  }
+}
+
+// Analyzer backed by OpenAI's GPT-4 Vision chat completions API
+class OpenAIAnalyzer {
+  constructor({ name = 'openai', label = 'OpenAI GPT-4 Vision', client }) {
+    this.name = name;
+    this.label = label;
+    this.client = client;
+    this.steps = ['llm'];
+  }
+
+  isAvailable() {
+    return Boolean(this.client);
+  }
+
+  // options.reference: object of known size in the photo ({ type, sizeCm }),
+  // used to calibrate portion weights
+  async analyze(image, { reference = null, onProgress = () => {} } = {}) {
+    // Convert image to base64 for OpenAI API
+    const imageBuffer = fs.readFileSync(image.path);
+    const base64Image = imageBuffer.toString('base64');
+
+    onProgress({ step: 'llm', status: 'running' });
+
+    let structuredAnalysis;
+    for (let attempt = 0; ; attempt++) {
+      try {
+        structuredAnalysis = await this.requestAnalysis(`data:${image.mimeType};base64,${base64Image}`, image, reference);
+        break;
+      } catch (error) {
+        if (!(error instanceof AnalysisValidationError) || attempt >= MAX_RETRIES) {
+          onProgress({ step: 'llm', status: 'failed', error: error.message });
+          throw error;
+        }
+        console.log(`OpenAI returned an invalid analysis, retrying: ${error.message}`, error.errors);
+      }
+    }
+
+    onProgress({ step: 'llm', status: 'done' });
+
+    return {
+      // Food items in the same format as the other analyzers for Open Food Facts integration
+      foodItems: structuredAnalysis.foodItems.map(item => ({
+        name: item.name,
+        confidence: Math.round(item.confidence),
+        category: 'detected_food',
+        estimatedGrams: Math.round(item.estimatedGrams),
+        gramsSource: reference ? 'calibrated' : 'model',
+        nutrition: item.nutrition
+      })),
+
+      nutrition: structuredAnalysis.nutritionalInfo,
+
+      // OpenAI doesn't return OCR text or object detections
+      text: null,
+      objects: [],
+
+      // Additional OpenAI-specific insights
+      details: {
+        summary: structuredAnalysis.summary,
+        detailedAnalysis: structuredAnalysis,
+        portionSizes: structuredAnalysis.portionSizes,
+        culturalContext: structuredAnalysis.culturalContext,
+        dietaryConsiderations: structuredAnalysis.dietaryInformation,
+        qualityAssessment: structuredAnalysis.foodQuality
+      }
+    };
+  }
+
+  // Call OpenAI Vision API with a strict JSON schema response format and
+  // validate the reply against the same schema
+  async requestAnalysis(imageUrl, image, reference) {
+    const prompt = reference
+      ? `${ANALYSIS_PROMPT}\n\nThe photo includes ${describeReference(reference)}. Use it as a size reference when estimating portion weights.`
+      : ANALYSIS_PROMPT;
+
+    const response = await this.client.chat.completions.create({
+      model: 'gpt-4o',
+      messages: [
+        {
+          role: 'user',
+          content: [
+            {
+              type: 'text',
+              text: prompt
+            },
+            {
+              type: 'image_url',
+              image_url: {
+                url: imageUrl,
+                detail: 'high'
+              }
+            }
+          ]
+        }
+      ],
+      response_format: {
+        type: 'json_schema',
+        json_schema: {
+          name: 'food_analysis',
+          strict: true,
+          schema: foodAnalysisSchema
+        }
+      },
+      max_tokens: 1500,
+      temperature: 0.1
+    }, {
+      // Ignored by the OpenAI SDK; lets MockOpenAIClient pick a fixture per image
+      imageName: image.originalname
+    });
+
+    const message = response.choices[0].message;
+
+    if (message.refusal) {
+      throw new AnalysisValidationError('OpenAI refused to analyze the image', [message.refusal]);
+    }
+
+    let analysis;
+    try {
+      analysis = JSON.parse(message.content);
+    } catch (jsonError) {
+      throw new AnalysisValidationError('OpenAI response is not valid JSON', [jsonError.message]);
+    }
+
+    const errors = getFoodAnalysisErrors(analysis);
+    if (errors.length > 0) {
+      throw new AnalysisValidationError('OpenAI response does not match the analysis schema', errors);
+    }
+
+    return analysis;
+  }
+}
+
+module.exports = { OpenAIAnalyzer, AnalysisValidationError };
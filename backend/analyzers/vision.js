@@ -0,0 +1,98 @@
+const { estimateTypicalPortion } = require('../portions');
+const { parseNutritionLabel } = require('../nutrition-label');
+const { readPriceTag } = require('../prices');
+
+// Report a step's progress around a promise
+async function track(onProgress, step, promise) {
+  onProgress({ step, status: 'running' });
+  try {
+    const result = await promise;
+    onProgress({ step, status: 'done' });
+    return result;
+  } catch (error) {
+    onProgress({ step, status: 'failed', error: error.message });
+    throw error;
+  }
+}
+
+// Analyzer backed by a Google Cloud Vision style client. Used for both the real
+// Google Cloud Vision API and the MockVisionClient, which share the same interface.
+class VisionAnalyzer {
+  constructor({ name, label, client }) {
+    this.name = name;
+    this.label = label;
+    this.client = client;
+    this.steps = ['labels', 'ocr', 'objects'];
+  }
+
+  isAvailable() {
+    return Boolean(this.client);
+  }
+
+  // The three detections are independent, so they run at the same time
+  async analyze(image, { onProgress = () => {} } = {}) {
+    const [[labelResult], [textResult], [objectResult]] = await Promise.all([
+      track(onProgress, 'labels', this.client.labelDetection(image.path)),
+      track(onProgress, 'ocr', this.client.textDetection(image.path)),
+      track(onProgress, 'objects', this.client.objectLocalization(image.path))
+    ]);
+
+    const labels = labelResult.labelAnnotations || [];
+    const textAnnotations = textResult.textAnnotations || [];
+    const objects = objectResult.localizedObjectAnnotations || [];
+
+    console.log(`${this.label} analysis completed:`, {
+      labels: labels.length,
+      textDetected: textAnnotations.length > 0,
+      objects: objects.length
+    });
+
+    return {
+      // Food-related labels with confidence scores
+      foodItems: labels
+        .filter(label => label.score > 0.6)
+        .map(label => {
+          // Labels carry no size information, so assume a typical serving
+          const portion = estimateTypicalPortion(label.description);
+          return {
+            name: label.description,
+            confidence: Math.round(label.score * 100),
+            category: 'detected_food',
+            estimatedGrams: portion.grams,
+            gramsSource: portion.source,
+            nutrition: null
+          };
+        }),
+
+      // Vision doesn't estimate nutrition
+      nutrition: null,
+
+      // Extracted text from packaging, plus the nutrition panel and price tag
+      // if it shows them
+      text: textAnnotations.length > 0 ? {
+        fullText: textAnnotations[0].description || '',
+        detectedWords: textAnnotations.slice(1).map(text => ({
+          text: text.description,
+          confidence: Math.round((text.confidence || 0.8) * 100)
+        })),
+        nutritionLabel: parseNutritionLabel(textAnnotations[0].description || ''),
+        priceTag: readPriceTag(textAnnotations[0].description || '')
+      } : null,
+
+      // Detected objects
+      objects: objects
+        .filter(obj => obj.score > 0.5)
+        .map(obj => ({
+          name: obj.name,
+          confidence: Math.round(obj.score * 100),
+          category: 'detected_object'
+        })),
+
+      details: {
+        totalLabels: labels.length
+      }
+    };
+  }
+}
+
+module.exports = { VisionAnalyzer };
@@ -0,0 +1,59 @@
+// Bearer token authentication for the API. Every /api route needs a token
+// from /api/auth/login or /api/auth/register, except the ones listed as public.
+
+// Read the token from "Authorization: Bearer <token>". Image file requests and
+// job event streams may pass it as ?access_token= instead, since <Image>
+// elements and EventSource can't send headers.
+function readToken(req) {
+  const header = req.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  if (match) {
+    return match[1];
+  }
+
+  const allowsQueryToken = req.method === 'GET'
+    && /^\/(?:images\/[^/]+\/(?:file|thumbnail)|jobs\/[^/]+\/events)$/.test(req.path);
+  return allowsQueryToken && typeof req.query.access_token === 'string' ? req.query.access_token : null;
+}
+
+// Express middleware that sets req.user and req.token, or answers 401.
+// `publicPaths` are paths (relative to where it's mounted) that skip the check.
+function createAuthMiddleware(userStore, { publicPaths = [] } = {}) {
+  return (req, res, next) => {
+    if (publicPaths.includes(req.path)) {
+      return next();
+    }
+
+    const token = readToken(req);
+    const user = token ? userStore.findUserByToken(token) : null;
+
+    if (!user) {
+      res.set('WWW-Authenticate', token ? 'Bearer error="invalid_token"' : 'Bearer');
+      return res.status(401).json({
+        error: token ? 'Invalid or expired token' : 'Authentication required'
+      });
+    }
+
+    req.user = user;
+    req.token = token;
+    next();
+  };
+}
+
+// Send 404 if a record doesn't exist or 403 if it belongs to another user.
+// Returns true if the signed-in user owns it.
+function ensureOwner(req, res, record, notFound) {
+  if (!record) {
+    res.status(404).json(notFound);
+    return false;
+  }
+
+  if (record.ownerId !== req.user.id) {
+    res.status(403).json({ error: 'You do not have access to this resource' });
+    return false;
+  }
+
+  return true;
+}
+
+module.exports = { createAuthMiddleware, ensureOwner };
@@ -0,0 +1,71 @@
+const fs = require('fs');
+const { decodeImage } = require('./image-codec');
+const {
+  BarcodeFormat,
+  BinaryBitmap,
+  DecodeHintType,
+  HybridBinarizer,
+  MultiFormatReader,
+  NotFoundException,
+  RGBLuminanceSource
+} = require('@zxing/library');
+
+// Retail barcodes found on packaged food
+const SUPPORTED_FORMATS = [BarcodeFormat.EAN_13, BarcodeFormat.UPC_A];
+
+// Convert RGBA pixels to the 8-bit luminance values ZXing works on
+function toLuminance({ width, height, data }) {
+  const luminance = new Uint8ClampedArray(width * height);
+
+  for (let i = 0; i < width * height; i++) {
+    const r = data[i * 4];
+    const g = data[i * 4 + 1];
+    const b = data[i * 4 + 2];
+    luminance[i] = (r * 299 + g * 587 + b * 114) / 1000;
+  }
+
+  return luminance;
+}
+
+// Look for an EAN-13/UPC-A barcode in an image file.
+// Returns { code, format } or null if no barcode could be decoded, including
+// when the image itself can't be read (a truncated or corrupt upload, or one
+// too large to decode; see MAX_DECODE_PIXELS in image-codec.js).
+function detectBarcode(imagePath) {
+  let image;
+  try {
+    image = decodeImage(fs.readFileSync(imagePath));
+  } catch (error) {
+    console.error(`Barcode detection skipped, could not decode ${imagePath}:`, error.message);
+    return null;
+  }
+
+  if (!image) {
+    console.log(`Barcode detection skipped, unsupported image format: ${imagePath}`);
+    return null;
+  }
+
+  const hints = new Map();
+  hints.set(DecodeHintType.POSSIBLE_FORMATS, SUPPORTED_FORMATS);
+
+  const reader = new MultiFormatReader();
+  reader.setHints(hints);
+
+  const source = new RGBLuminanceSource(toLuminance(image), image.width, image.height);
+  const bitmap = new BinaryBitmap(new HybridBinarizer(source));
+
+  try {
+    const result = reader.decode(bitmap, hints);
+    return {
+      code: result.getText(),
+      format: BarcodeFormat[result.getBarcodeFormat()]
+    };
+  } catch (error) {
+    if (error instanceof NotFoundException) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+module.exports = { detectBarcode };
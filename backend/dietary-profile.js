@@ -0,0 +1,321 @@
+// A user's dietary profile (allergens, diets, excluded ingredients) and the
+// checks that compare analyses and Open Food Facts products against it.
+//
+// Every check returns a list of warnings:
+//   { type: 'allergen' | 'diet' | 'ingredient', code, label, item, source,
+//     certainty, evidence, message }
+// where certainty is 'confirmed' (declared on the product), 'likely' (named in
+// a food, ingredient list or label text) or 'possible' ("may contain" traces,
+// or a product whose diet status Open Food Facts can't tell).
+
+const { tokenize } = require('./food-names');
+
+// Naturally gluten-free grains, starches and nuts, whose flours, noodles and
+// pasta aren't made from wheat ("rice noodles", "almond flour")
+const GLUTEN_FREE_BASES = [
+  'buckwheat', 'rice', 'corn', 'maize', 'potato', 'sweet potato', 'tapioca', 'cassava', 'arrowroot', 'almond', 'coconut',
+  'chickpea', 'lentil', 'pea', 'quinoa', 'teff', 'sorghum', 'millet', 'amaranth', 'mung bean',
+  'bean thread', 'glass', 'kelp', 'shirataki', 'zucchini'
+];
+
+// Major allergens (EU 14 plus the US "big 9"), with their Open Food Facts
+// allergen tag, words that give them away in food names and ingredients, and
+// (optionally) phrases containing those words that don't count
+const ALLERGENS = {
+  // Plant "milks" and "butters" don't count
+  milk: {
+    label: 'Milk',
+    tag: 'en:milk',
+    pattern: /(?<!(?:almond|oat|soy|soya|rice|coconut|cashew)\s)milk|cheese|(?<!(?:cocoa|peanut|nut|almond|shea)\s)butter|cream|yog(?:h)?urt|whey|casein|lactose|ghee|dairy/i
+  },
+  eggs: { label: 'Eggs', tag: 'en:eggs', pattern: /\beggs?\b|mayonnaise|albumin|meringue|omelet/i },
+  fish: { label: 'Fish', tag: 'en:fish', pattern: /\bfish|salmon|tuna|\bcod\b|anchov|sardine|trout|halibut|mackerel|haddock/i },
+  crustaceans: { label: 'Crustaceans', tag: 'en:crustaceans', pattern: /shrimp|prawn|crab|lobster|crayfish|crustacean/i },
+  molluscs: { label: 'Molluscs', tag: 'en:molluscs', pattern: /mussel|oyster|clam|scallop|squid|octopus|calamari|mollus/i },
+  peanuts: { label: 'Peanuts', tag: 'en:peanuts', pattern: /peanut|groundnut/i },
+  nuts: { label: 'Tree nuts', tag: 'en:nuts', pattern: /almond|hazelnut|walnut|cashew|pecan|pistachio|macadamia|brazil nut|tree nut/i },
+  // Word starts, so "buckwheat" isn't wheat; "bread" also ends compounds
+  // ("shortbread"), breadfruit aside. Anything labelled gluten-free is
+  // skipped, but not the rest of the text around it.
+  gluten: {
+    label: 'Gluten',
+    tag: 'en:gluten',
+    pattern: /\b(?:(?:whole)?wheat|barley|rye\b|spelt|gluten|flour|pasta|couscous|semolina|seitan|noodle|bulgur|farro|durum)|bread/i,
+    exclude: new RegExp(
+      `\\b(?:${GLUTEN_FREE_BASES.join('|')})[\\s-]+(?:flours?|noodles?|pasta)\\b|\\bbuckwheat\\b|\\bbreadfruit|\\bgluten[\\s-]free\\b(?:[\\s-]+\\w+)?`,
+      'gi'
+    )
+  },
+  soybeans: { label: 'Soy', tag: 'en:soybeans', pattern: /\bsoy|soya|tofu|edamame|tempeh|miso/i },
+  sesame: { label: 'Sesame', tag: 'en:sesame-seeds', pattern: /sesame|tahini/i },
+  celery: { label: 'Celery', tag: 'en:celery', pattern: /celery|celeriac/i },
+  mustard: { label: 'Mustard', tag: 'en:mustard', pattern: /mustard/i },
+  lupin: { label: 'Lupin', tag: 'en:lupin', pattern: /lupin/i },
+  sulphites: { label: 'Sulphites', tag: 'en:sulphur-dioxide-and-sulphites', pattern: /sulphite|sulfite|sulphur dioxide|sulfur dioxide/i }
+};
+
+// Whether text names an allergen, ignoring the phrases it excludes
+function namesAllergen(code, text) {
+  const { pattern, exclude } = ALLERGENS[code];
+  return pattern.test(exclude ? text.replace(exclude, ' ') : text);
+}
+
+const MEAT_PATTERN = /meat|beef|pork|chicken|poultry|turkey|lamb|veal|duck|bacon|ham\b|sausage|salami|pepperoni|steak|burger|gelatin/i;
+const SEAFOOD_PATTERN = new RegExp(`${ALLERGENS.fish.pattern.source}|${ALLERGENS.crustaceans.pattern.source}|${ALLERGENS.molluscs.pattern.source}`, 'i');
+const ANIMAL_PRODUCT_PATTERN = new RegExp(`${ALLERGENS.milk.pattern.source}|${ALLERGENS.eggs.pattern.source}|honey`, 'i');
+
+// Diets, with the Open Food Facts ingredients analysis tags that rule a
+// product in or out, and what rules a food out by name
+const DIETS = {
+  vegan: {
+    label: 'Vegan',
+    excludedTag: 'en:non-vegan',
+    unknownTags: ['en:maybe-vegan', 'en:vegan-status-unknown'],
+    conflicts: name => MEAT_PATTERN.test(name) || SEAFOOD_PATTERN.test(name) || ANIMAL_PRODUCT_PATTERN.test(name)
+  },
+  vegetarian: {
+    label: 'Vegetarian',
+    excludedTag: 'en:non-vegetarian',
+    unknownTags: ['en:maybe-vegetarian', 'en:vegetarian-status-unknown'],
+    conflicts: name => MEAT_PATTERN.test(name) || SEAFOOD_PATTERN.test(name)
+  },
+  glutenFree: {
+    label: 'Gluten-free',
+    excludedTag: null,
+    unknownTags: [],
+    conflicts: name => namesAllergen('gluten', name)
+  }
+};
+
+const EMPTY_PROFILE = { allergens: [], diets: [], excludedIngredients: [] };
+
+// Most excluded ingredients a profile can list
+const MAX_EXCLUDED_INGREDIENTS = 50;
+
+// Validate a client-supplied profile ({ allergens, diets, excludedIngredients }).
+// Returns the normalized profile, or throws a TypeError.
+function parseDietaryProfile(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new TypeError('profile must be an object with allergens, diets and excludedIngredients');
+  }
+
+  const readList = (field, allowed) => {
+    const value = input[field] === undefined ? [] : input[field];
+    if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+      throw new TypeError(`${field} must be an array of strings`);
+    }
+    const unknown = allowed ? value.filter(item => !allowed.includes(item)) : [];
+    if (unknown.length > 0) {
+      throw new TypeError(`Unknown ${field}: ${unknown.join(', ')}. Expected any of: ${allowed.join(', ')}`);
+    }
+    return [...new Set(value.map(item => item.trim()).filter(Boolean))];
+  };
+
+  const excludedIngredients = readList('excludedIngredients');
+  if (excludedIngredients.length > MAX_EXCLUDED_INGREDIENTS) {
+    throw new TypeError(`excludedIngredients can list at most ${MAX_EXCLUDED_INGREDIENTS} ingredients`);
+  }
+
+  return {
+    allergens: readList('allergens', Object.keys(ALLERGENS)),
+    diets: readList('diets', Object.keys(DIETS)),
+    excludedIngredients
+  };
+}
+
+function isEmptyProfile(profile) {
+  return !profile || (profile.allergens.length === 0 && profile.diets.length === 0 && profile.excludedIngredients.length === 0);
+}
+
+// Whether an excluded ingredient appears in some text, comparing singular
+// word sequences so "Walnuts" matches an exclusion of "walnut"
+function mentions(text, ingredient) {
+  const words = tokenize(text);
+  const wanted = tokenize(ingredient);
+  if (wanted.length === 0) {
+    return false;
+  }
+
+  return words.some((_, start) => wanted.every((word, offset) => words[start + offset] === word));
+}
+
+// How each kind of warning reads at each certainty
+const WARNING_VERBS = {
+  allergen: { confirmed: 'contains', likely: 'likely contains', possible: 'may contain' },
+  ingredient: { confirmed: 'contains', likely: 'likely contains', possible: 'may contain' },
+  diet: { confirmed: 'is not', likely: 'is likely not', possible: 'may not be' }
+};
+
+function createWarning({ type, code, label, item, source, certainty, evidence }) {
+  const what = type === 'ingredient' ? label : label.toLowerCase();
+  // "Apple is on your avoid list", not "Apple likely contains apple"
+  const isItself = type === 'ingredient' && tokenize(item).join(' ') === tokenize(label).join(' ');
+
+  return {
+    type,
+    code,
+    label,
+    item,
+    source,
+    certainty,
+    evidence,
+    message: isItself ? `${item} is on your avoid list` : `${item} ${WARNING_VERBS[type][certainty]} ${what}`
+  };
+}
+
+// Keep the most certain warning for each (type, code, item)
+const CERTAINTY_RANK = { confirmed: 0, likely: 1, possible: 2 };
+
+function dedupeWarnings(warnings) {
+  const byKey = new Map();
+  for (const warning of warnings) {
+    const key = `${warning.type}:${warning.code}:${warning.item}`;
+    const existing = byKey.get(key);
+    if (!existing || CERTAINTY_RANK[warning.certainty] < CERTAINTY_RANK[existing.certainty]) {
+      byKey.set(key, warning);
+    }
+  }
+  return [...byKey.values()];
+}
+
+// Allergens to check. Gluten is left to the diet check when the profile is
+// gluten-free as well, so it isn't reported twice.
+function checkedAllergens(profile) {
+  return profile.allergens.filter(code => !(code === 'gluten' && profile.diets.includes('glutenFree')));
+}
+
+// Warnings for free text (a detected food name, an OCR'd ingredient list)
+function checkText(profile, text, { item, source, evidence }) {
+  const warnings = [];
+
+  for (const code of checkedAllergens(profile)) {
+    if (namesAllergen(code, text)) {
+      warnings.push(createWarning({ type: 'allergen', code, label: ALLERGENS[code].label, item, source, certainty: 'likely', evidence }));
+    }
+  }
+
+  for (const code of profile.diets) {
+    if (DIETS[code].conflicts(text)) {
+      warnings.push(createWarning({ type: 'diet', code, label: DIETS[code].label, item, source, certainty: 'likely', evidence }));
+    }
+  }
+
+  for (const ingredient of profile.excludedIngredients) {
+    if (mentions(text, ingredient)) {
+      warnings.push(createWarning({ type: 'ingredient', code: ingredient.toLowerCase(), label: ingredient, item, source, certainty: 'likely', evidence }));
+    }
+  }
+
+  return warnings;
+}
+
+// Ingredient or allergen statements in OCR text ("Ingredients: ...",
+// "Contains: milk, soy"), or null if the text has none
+function findIngredientText(fullText) {
+  const match = (fullText || '').match(/(?:ingredients?|contains|allergens?|may contain)\s*:?[\s\S]*/i);
+  return match ? match[0] : null;
+}
+
+// Warnings for an analysis envelope's results: detected food names and any
+// ingredient list read off the packaging
+function checkAnalysis(profile, results) {
+  if (isEmptyProfile(profile) || !results) {
+    return [];
+  }
+
+  const warnings = results.foodItems.flatMap(food =>
+    checkText(profile, food.name, { item: food.name, source: 'analysis', evidence: 'food name' })
+  );
+
+  const ingredientText = results.text && findIngredientText(results.text.fullText);
+  if (ingredientText) {
+    warnings.push(...checkText(profile, ingredientText, { item: 'Package label', source: 'analysis', evidence: 'label text' }));
+  }
+
+  return dedupeWarnings(warnings);
+}
+
+// Warnings for a formatted Open Food Facts product (see formatProduct). Tags
+// the product declares beat guesses from its name and ingredient text, and a
+// "gluten-free" or "vegan" label clears the matching name-based guess.
+function checkProduct(profile, product) {
+  if (isEmptyProfile(profile) || !product) {
+    return [];
+  }
+
+  const item = product.name;
+  const allergens = product.allergens || [];
+  const traces = product.traces || [];
+  const analysis = product.ingredientsAnalysis || [];
+  const labels = product.labels || [];
+  const text = [product.name, product.ingredientsText].filter(Boolean).join('. ');
+  const warnings = [];
+  const base = { item, source: 'product' };
+
+  for (const code of checkedAllergens(profile)) {
+    const { label, tag } = ALLERGENS[code];
+    if (allergens.includes(tag)) {
+      warnings.push(createWarning({ ...base, type: 'allergen', code, label, certainty: 'confirmed', evidence: tag }));
+    } else if (traces.includes(tag)) {
+      warnings.push(createWarning({ ...base, type: 'allergen', code, label, certainty: 'possible', evidence: `traces ${tag}` }));
+    } else if (namesAllergen(code, text) && !(code === 'gluten' && labels.includes('en:gluten-free'))) {
+      warnings.push(createWarning({ ...base, type: 'allergen', code, label, certainty: 'likely', evidence: 'ingredients' }));
+    }
+  }
+
+  for (const code of profile.diets) {
+    const diet = DIETS[code];
+    const labelTag = code === 'glutenFree' ? 'en:gluten-free' : `en:${code}`;
+
+    if (code === 'glutenFree' && allergens.includes(ALLERGENS.gluten.tag)) {
+      warnings.push(createWarning({ ...base, type: 'diet', code, label: diet.label, certainty: 'confirmed', evidence: ALLERGENS.gluten.tag }));
+    } else if (code === 'glutenFree' && traces.includes(ALLERGENS.gluten.tag)) {
+      warnings.push(createWarning({ ...base, type: 'diet', code, label: diet.label, certainty: 'possible', evidence: `traces ${ALLERGENS.gluten.tag}` }));
+    } else if (diet.excludedTag && analysis.includes(diet.excludedTag)) {
+      warnings.push(createWarning({ ...base, type: 'diet', code, label: diet.label, certainty: 'confirmed', evidence: diet.excludedTag }));
+    } else if (labels.includes(labelTag)) {
+      continue;
+    } else if (diet.conflicts(text)) {
+      warnings.push(createWarning({ ...base, type: 'diet', code, label: diet.label, certainty: 'likely', evidence: 'ingredients' }));
+    } else if (diet.unknownTags.some(tag => analysis.includes(tag))) {
+      warnings.push(createWarning({ ...base, type: 'diet', code, label: diet.label, certainty: 'possible', evidence: analysis.find(tag => diet.unknownTags.includes(tag)) }));
+    }
+  }
+
+  for (const ingredient of profile.excludedIngredients) {
+    if (mentions(text, ingredient)) {
+      warnings.push(createWarning({ ...base, type: 'ingredient', code: ingredient.toLowerCase(), label: ingredient, certainty: 'likely', evidence: 'ingredients' }));
+    }
+  }
+
+  return dedupeWarnings(warnings);
+}
+
+// Warnings for a logged meal: its latest analysis plus the products chosen
+// for it
+function checkMeal(profile, meal) {
+  const latest = meal.analyses[meal.analyses.length - 1];
+  const warnings = [
+    ...checkAnalysis(profile, latest && latest.data && latest.data.results),
+    ...meal.products.flatMap(product => checkProduct(profile, product))
+  ];
+
+  return dedupeWarnings(warnings);
+}
+
+// Options for the profile editor
+function describeProfileOptions() {
+  return {
+    allergens: Object.entries(ALLERGENS).map(([code, { label }]) => ({ code, label })),
+    diets: Object.entries(DIETS).map(([code, { label }]) => ({ code, label }))
+  };
+}
+
+module.exports = {
+  EMPTY_PROFILE,
+  parseDietaryProfile,
+  checkAnalysis,
+  checkProduct,
+  checkMeal,
+  describeProfileOptions
+};
@@ -0,0 +1,74 @@
+// Name normalization shared by product search and analyzer merging
+
+// Reduce simple English plurals so "Apples" matches a search for "apple"
+function singularize(token) {
+  if (token.length <= 3 || token.endsWith('ss')) {
+    return token;
+  }
+  if (token.endsWith('oes')) {
+    return token.slice(0, -2);
+  }
+  return token.endsWith('s') ? token.slice(0, -1) : token;
+}
+
+// Split text into lowercase, singular search tokens
+function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(token => token.length > 1)
+    .map(singularize);
+}
+
+// Regional and colloquial names mapped to one canonical (normalized) name
+const SYNONYMS = {
+  aubergine: 'eggplant',
+  courgette: 'zucchini',
+  'garbanzo bean': 'chickpea',
+  'spring onion': 'scallion',
+  'green onion': 'scallion',
+  coriander: 'cilantro',
+  'bell pepper': 'capsicum',
+  'sweet pepper': 'capsicum',
+  soda: 'soft drink',
+  'fizzy drink': 'soft drink',
+  biscuit: 'cookie',
+  'ice lolly': 'popsicle',
+  prawn: 'shrimp',
+  mince: 'ground beef',
+  'minced meat': 'ground beef',
+  yoghurt: 'yogurt',
+  rocket: 'arugula',
+  swede: 'rutabaga',
+  'candy floss': 'cotton candy',
+  maize: 'corn',
+  sweetcorn: 'corn',
+  'corn on the cob': 'corn',
+  doughnut: 'donut',
+  beetroot: 'beet',
+  mangetout: 'snow pea',
+  'jacket potato': 'baked potato'
+};
+
+// Labels that describe the photo rather than a specific food. Google Vision
+// returns many of these ("Food", "Produce", "Natural foods"); they make poor
+// product search terms.
+const GENERIC_LABELS = new Set([
+  'food', 'produce', 'natural food', 'whole food', 'local food', 'superfood',
+  'ingredient', 'recipe', 'cuisine', 'dish', 'meal', 'staple food', 'comfort food',
+  'fruit', 'vegetable', 'snack', 'tableware', 'dishware', 'plate', 'serveware',
+  'vegan nutrition', 'vegetarian food', 'finger food', 'fast food',
+  'red', 'green', 'yellow', 'white', 'black', 'brown', 'pink', 'purple'
+]);
+
+// Canonical key for a food name: lowercase, singular, synonyms resolved
+function normalizeFoodName(name) {
+  const key = tokenize(name).join(' ');
+  return Object.hasOwn(SYNONYMS, key) ? SYNONYMS[key] : key;
+}
+
+function isGenericLabel(name) {
+  return GENERIC_LABELS.has(normalizeFoodName(name));
+}
+
+module.exports = { singularize, tokenize, normalizeFoodName, isGenericLabel };
@@ -0,0 +1,109 @@
+// Daily calorie and macro targets, and progress against them.
+//
+// Goals are { daily, weekend }: `daily` holds a target per nutrient (kcal or
+// grams, null for no target) and `weekend` optionally overrides some of them
+// on Saturdays and Sundays.
+
+const { NUTRIENT_KEYS } = require('./nutrition');
+
+const EMPTY_GOALS = {
+  daily: NUTRIENT_KEYS.reduce((targets, key) => ({ ...targets, [key]: null }), {}),
+  weekend: null
+};
+
+// Upper bounds that catch unit mistakes (grams entered as milligrams)
+const MAX_TARGETS = { calories: 20000, protein: 1000, carbs: 2000, fat: 1000, fiber: 500 };
+
+function roundValue(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function parseTargets(input, field, { partial }) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new TypeError(`${field} must be an object of nutrient targets`);
+  }
+
+  const unknown = Object.keys(input).filter(key => !NUTRIENT_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new TypeError(`Unknown nutrients in ${field}: ${unknown.join(', ')}. Expected any of: ${NUTRIENT_KEYS.join(', ')}`);
+  }
+
+  const targets = {};
+  for (const key of NUTRIENT_KEYS) {
+    const value = input[key];
+
+    // Weekend values only list what differs from the daily ones
+    if (value === undefined && partial) {
+      continue;
+    }
+    if (value === undefined || value === null) {
+      targets[key] = null;
+      continue;
+    }
+
+    const number = Number(value);
+    if (typeof value === 'boolean' || !Number.isFinite(number) || number <= 0 || number > MAX_TARGETS[key]) {
+      throw new TypeError(`${field}.${key} must be a number between 0 and ${MAX_TARGETS[key]}, or null`);
+    }
+    targets[key] = roundValue(number);
+  }
+
+  return targets;
+}
+
+// Validate goals from a request body. Throws TypeError on bad input.
+function parseGoals(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new TypeError('goals must be an object');
+  }
+
+  const weekend = input.weekend === undefined || input.weekend === null
+    ? null
+    : parseTargets(input.weekend, 'weekend', { partial: true });
+
+  return {
+    daily: parseTargets(input.daily || {}, 'daily', { partial: false }),
+    weekend: weekend && Object.keys(weekend).length > 0 ? weekend : null
+  };
+}
+
+// Saturday or Sunday for a YYYY-MM-DD date
+function isWeekend(date) {
+  const day = new Date(`${date}T00:00:00Z`).getUTCDay();
+  return day === 0 || day === 6;
+}
+
+// The targets that apply on a date
+function getTargetsForDate(goals, date) {
+  return isWeekend(date) && goals.weekend ? { ...goals.daily, ...goals.weekend } : goals.daily;
+}
+
+// Consumed, remaining and percent-of-target per nutrient for a day summary
+// (see summarizeDay). Remaining goes negative once a target is exceeded;
+// nutrients without a target have null remaining and percent.
+function computeProgress(goals, summary) {
+  const targets = getTargetsForDate(goals, summary.date);
+
+  const nutrients = {};
+  for (const key of NUTRIENT_KEYS) {
+    const target = targets[key];
+    const consumed = summary.totals[key];
+
+    nutrients[key] = {
+      target,
+      consumed,
+      remaining: target !== null ? roundValue(target - consumed) : null,
+      percent: target !== null ? Math.round((consumed / target) * 100) : null
+    };
+  }
+
+  return {
+    date: summary.date,
+    dayType: isWeekend(summary.date) ? 'weekend' : 'weekday',
+    hasTargets: Object.values(targets).some(target => target !== null),
+    mealCount: summary.mealCount,
+    nutrients
+  };
+}
+
+module.exports = { EMPTY_GOALS, parseGoals, getTargetsForDate, computeProgress };
@@ -0,0 +1,138 @@
+const { PNG } = require('pngjs');
+const jpeg = require('jpeg-js');
+const { detectImageType } = require('./image-type');
+
+// Largest image decodeImage will decode. Decoding is synchronous and needs
+// four bytes per pixel, so this bounds the time and memory one upload can
+// take (24 megapixels is ~100 MB of RGBA, above what phone cameras save).
+const MAX_DECODE_PIXELS = 24 * 1000 * 1000;
+
+// JPEG start-of-frame markers, which hold the image size. 0xC4, 0xC8 and
+// 0xCC share the range but mean something else.
+const JPEG_SOF_MARKERS = new Set([0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf]);
+
+// Thrown by decodeImage for images over MAX_DECODE_PIXELS, or whose size
+// can't be read from the header
+class ImageTooLargeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImageTooLargeError';
+  }
+}
+
+// Width and height from a PNG's IHDR chunk, which always comes first
+function readPngSize(buffer) {
+  if (buffer.length < 24 || buffer.toString('ascii', 12, 16) !== 'IHDR') {
+    return null;
+  }
+  return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
+
+// Width and height from a JPEG's start-of-frame segment, skipping the
+// segments (EXIF, tables) before it
+function readJpegSize(buffer) {
+  let offset = 2;
+
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      return null;
+    }
+
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) { // Fill byte before a marker
+      offset++;
+      continue;
+    }
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd8)) { // Markers without a segment
+      offset += 2;
+      continue;
+    }
+
+    if (JPEG_SOF_MARKERS.has(marker)) {
+      return offset + 9 <= buffer.length
+        ? { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) }
+        : null;
+    }
+
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+
+  return null;
+}
+
+// Check an image's size from its header, before spending time and memory on
+// decoding it. Throws ImageTooLargeError.
+function checkImageSize(size) {
+  if (!size) {
+    throw new ImageTooLargeError('Image size could not be read from its header');
+  }
+  if (size.width * size.height > MAX_DECODE_PIXELS) {
+    throw new ImageTooLargeError(`Image is ${size.width}x${size.height}, more than ${MAX_DECODE_PIXELS} pixels`);
+  }
+}
+
+// Decode PNG or JPEG file contents into RGBA pixels ({ width, height, data }).
+// Returns null for formats we can't decode in pure JS (GIF, WebP). Throws
+// ImageTooLargeError for images over MAX_DECODE_PIXELS, without decoding them.
+function decodeImage(buffer) {
+  const type = detectImageType(buffer);
+
+  if (type && type.mimeType === 'image/png') {
+    checkImageSize(readPngSize(buffer));
+    return PNG.sync.read(buffer);
+  }
+
+  if (type && type.mimeType === 'image/jpeg') {
+    checkImageSize(readJpegSize(buffer));
+    return jpeg.decode(buffer, { useTArray: true, maxResolutionInMP: MAX_DECODE_PIXELS / 1e6 });
+  }
+
+  return null;
+}
+
+// Shrink RGBA pixels so neither side exceeds maxSize, averaging each block of
+// source pixels (box filter). Images already small enough are returned as-is.
+function resizeImage(image, maxSize) {
+  const scale = Math.min(1, maxSize / Math.max(image.width, image.height));
+  if (scale === 1) {
+    return image;
+  }
+
+  const width = Math.max(1, Math.round(image.width * scale));
+  const height = Math.max(1, Math.round(image.height * scale));
+  const data = Buffer.alloc(width * height * 4);
+
+  for (let y = 0; y < height; y++) {
+    const top = Math.floor(y / scale);
+    const bottom = Math.min(image.height, Math.max(top + 1, Math.floor((y + 1) / scale)));
+
+    for (let x = 0; x < width; x++) {
+      const left = Math.floor(x / scale);
+      const right = Math.min(image.width, Math.max(left + 1, Math.floor((x + 1) / scale)));
+      const sums = [0, 0, 0, 0];
+
+      for (let sy = top; sy < bottom; sy++) {
+        for (let sx = left; sx < right; sx++) {
+          const offset = (sy * image.width + sx) * 4;
+          for (let channel = 0; channel < 4; channel++) {
+            sums[channel] += image.data[offset + channel];
+          }
+        }
+      }
+
+      const count = (bottom - top) * (right - left);
+      const offset = (y * width + x) * 4;
+      for (let channel = 0; channel < 4; channel++) {
+        data[offset + channel] = Math.round(sums[channel] / count);
+      }
+    }
+  }
+
+  return { width, height, data };
+}
+
+function encodeJpeg(image, quality = 80) {
+  return jpeg.encode(image, quality).data;
+}
+
+module.exports = { MAX_DECODE_PIXELS, ImageTooLargeError, decodeImage, resizeImage, encodeJpeg };
@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { JsonStore } = require('./json-store');
+const { detectImageType } = require('./image-type');
+const { decodeImage, resizeImage, encodeJpeg } = require('./image-codec');
+
+// Image IDs are the SHA-256 of the owner's ID and the file contents
+const IMAGE_ID_PATTERN = /^[a-f0-9]{64}$/;
+
+// Longest side of generated thumbnails, in pixels
+const THUMBNAIL_SIZE = 240;
+
+// Thrown when uploaded bytes aren't a supported image format
+class InvalidImageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidImageError';
+  }
+}
+
+// Content-addressed image storage. Uploaded files are stored under a
+// server-generated ID derived from their hash, so clients can't overwrite each
+// other's uploads or choose file paths, and a user's identical photos are
+// stored once. Each user's files live in their own uploads/<ownerId>/ folder;
+// IDs include the owner so one user's upload never reveals another's.
+class ImageStore {
+  constructor({
+    uploadDir = path.join(__dirname, 'uploads'),
+    filePath = path.join(__dirname, 'data', 'images.json')
+  } = {}) {
+    this.uploadDir = uploadDir;
+    this.store = new JsonStore(filePath, { images: {} });
+  }
+
+  get images() {
+    return this.store.data.images;
+  }
+
+  isValidId(id) {
+    return typeof id === 'string' && IMAGE_ID_PATTERN.test(id);
+  }
+
+  // The ID an image's bytes are stored under for a user
+  computeId(buffer, ownerId) {
+    return crypto.createHash('sha256').update(`${ownerId}:`).update(buffer).digest('hex');
+  }
+
+  // Store an uploaded image buffer for a user. Returns { image, duplicate }.
+  save(buffer, { ownerId, originalname, timestamp } = {}) {
+    const type = detectImageType(buffer);
+    if (!type) {
+      throw new InvalidImageError('Only PNG, JPEG, GIF and WebP images are allowed');
+    }
+
+    const id = this.computeId(buffer, ownerId);
+    const existing = this.images[id];
+
+    if (existing && fs.existsSync(this.getPath(id))) {
+      return { image: existing, duplicate: true };
+    }
+
+    // Ensure the user's uploads directory exists
+    const ownerDir = path.join(this.uploadDir, ownerId);
+    if (!fs.existsSync(ownerDir)) {
+      fs.mkdirSync(ownerDir, { recursive: true });
+    }
+
+    const filename = `${ownerId}/${id}.${type.extension}`;
+    fs.writeFileSync(path.join(this.uploadDir, filename), buffer);
+
+    const image = {
+      id,
+      ownerId,
+      filename,
+      originalname: originalname || null,
+      mimeType: type.mimeType,
+      size: buffer.length,
+      timestamp: timestamp || new Date().toISOString(),
+      uploadedAt: new Date().toISOString()
+    };
+
+    this.images[id] = image;
+    this.store.save();
+    return { image, duplicate: false };
+  }
+
+  get(id) {
+    return this.isValidId(id) ? this.images[id] || null : null;
+  }
+
+  // Absolute path of a stored image, or null for unknown/invalid IDs
+  getPath(id) {
+    const image = this.get(id);
+    return image ? path.join(this.uploadDir, image.filename) : null;
+  }
+
+  // A user's images, most recently captured first, optionally limited to
+  // images captured within [from, to]. Returns one page of { images, total }.
+  list({ ownerId, from, to, limit, offset = 0 } = {}) {
+    const images = Object.values(this.images)
+      .filter(image => image.ownerId === ownerId)
+      .filter(image => (!from || image.timestamp >= from) && (!to || image.timestamp <= to))
+      .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+
+    return {
+      images: limit === undefined ? images.slice(offset) : images.slice(offset, offset + limit),
+      total: images.length
+    };
+  }
+
+  // Thumbnails sit in a thumbnails/ folder next to the original
+  getThumbnailPath(image) {
+    return path.join(this.uploadDir, path.dirname(image.filename), 'thumbnails', `${image.id}.jpg`);
+  }
+
+  // Path and MIME type of a small JPEG preview, generated on first request.
+  // Formats we can't decode (GIF, WebP), files that fail to decode and images
+  // too large to decode (decodeImage checks the size in the header first)
+  // fall back to the original file.
+  getThumbnail(id) {
+    const image = this.get(id);
+    if (!image) {
+      return null;
+    }
+
+    const thumbnailPath = this.getThumbnailPath(image);
+    if (fs.existsSync(thumbnailPath)) {
+      return { path: thumbnailPath, mimeType: 'image/jpeg' };
+    }
+
+    let pixels;
+    try {
+      pixels = decodeImage(fs.readFileSync(this.getPath(id)));
+    } catch (error) {
+      console.error(`Could not decode image ${id} for a thumbnail:`, error.message);
+      pixels = null;
+    }
+
+    if (!pixels) {
+      return { path: this.getPath(id), mimeType: image.mimeType };
+    }
+
+    if (!fs.existsSync(path.dirname(thumbnailPath))) {
+      fs.mkdirSync(path.dirname(thumbnailPath), { recursive: true });
+    }
+
+    fs.writeFileSync(thumbnailPath, encodeJpeg(resizeImage(pixels, THUMBNAIL_SIZE), 75));
+    return { path: thumbnailPath, mimeType: 'image/jpeg' };
+  }
+
+  // Delete an image, its thumbnail and its record. Returns false if unknown.
+  remove(id) {
+    const image = this.get(id);
+    if (!image) {
+      return false;
+    }
+
+    for (const filePath of [this.getPath(id), this.getThumbnailPath(image)]) {
+      fs.rmSync(filePath, { force: true });
+    }
+
+    delete this.images[id];
+    this.store.save();
+    return true;
+  }
+}
+
+module.exports = { ImageStore, InvalidImageError };
@@ -0,0 +1,21 @@
+// Detect an image's real type from its magic bytes instead of trusting the
+// client-supplied MIME type or file extension.
+
+const IMAGE_SIGNATURES = [
+  { mimeType: 'image/png', extension: 'png', matches: b => b[0] === 0x89 && b[1] === 0x50 && b[2] === 0x4e && b[3] === 0x47 },
+  { mimeType: 'image/jpeg', extension: 'jpg', matches: b => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { mimeType: 'image/gif', extension: 'gif', matches: b => b.toString('ascii', 0, 6) === 'GIF87a' || b.toString('ascii', 0, 6) === 'GIF89a' },
+  { mimeType: 'image/webp', extension: 'webp', matches: b => b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WEBP' }
+];
+
+// Returns { mimeType, extension } or null if the buffer isn't a supported image
+function detectImageType(buffer) {
+  if (!buffer || buffer.length < 12) {
+    return null;
+  }
+
+  const signature = IMAGE_SIGNATURES.find(candidate => candidate.matches(buffer));
+  return signature ? { mimeType: signature.mimeType, extension: signature.extension } : null;
+}
+
+module.exports = { detectImageType };
@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { JsonStore } = require('./json-store');
+
+// Finished jobs are kept this long, so clients that were offline can still
+// collect the result
+const JOB_RETENTION_MS = (Number(process.env.JOB_RETENTION_DAYS) || 7) * 24 * 60 * 60 * 1000;
+
+const FINISHED_STATUSES = ['succeeded', 'failed'];
+
+function isFinished(job) {
+  return FINISHED_STATUSES.includes(job.status);
+}
+
+// Persistent background jobs. A job is
+//   { id, ownerId, type, status, input, steps, result, error, createdAt,
+//     updatedAt, startedAt, finishedAt }
+// where status is queued, running, succeeded or failed, and steps is
+// [{ name, status, startedAt, finishedAt, error }] with each step pending,
+// running, done, skipped or failed. Every change is announced to subscribers
+// of that job, but only job-level changes are saved: step progress lives in
+// memory until the job finishes, since an interrupted job restarts from its
+// first step anyway. Finished jobs past the retention period are dropped
+// whenever another job finishes.
+class JobStore {
+  constructor(filePath = path.join(__dirname, 'data', 'jobs.json'), { retentionMs = JOB_RETENTION_MS } = {}) {
+    this.store = new JsonStore(filePath, { jobs: [] });
+    this.retentionMs = retentionMs;
+    this.events = new EventEmitter();
+    this.events.setMaxListeners(0);
+  }
+
+  get jobs() {
+    return this.store.data.jobs;
+  }
+
+  get(id) {
+    return this.jobs.find(job => job.id === id) || null;
+  }
+
+  create({ ownerId, type, input, steps }) {
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      ownerId,
+      type,
+      status: 'queued',
+      input,
+      steps: steps.map(name => ({ name, status: 'pending', startedAt: null, finishedAt: null, error: null })),
+      result: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null
+    };
+
+    this.jobs.push(job);
+    this.changed(job);
+    return job;
+  }
+
+  // Job-level changes: status, result, error
+  update(id, changes) {
+    const job = this.get(id);
+    if (!job) {
+      return null;
+    }
+
+    Object.assign(job, changes);
+    const now = new Date().toISOString();
+    if (changes.status === 'running' && !job.startedAt) {
+      job.startedAt = now;
+    }
+    if (isFinished(job)) {
+      job.finishedAt = now;
+      this.removeExpired();
+    }
+
+    this.changed(job);
+    return job;
+  }
+
+  // Move one step to running, done, skipped or failed. Steps that aren't part
+  // of the job are ignored. Not saved until the job itself changes.
+  updateStep(id, name, status, error = null) {
+    const job = this.get(id);
+    const step = job && job.steps.find(item => item.name === name);
+    if (!step) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    step.status = status;
+    step.error = error;
+    if (status === 'running') {
+      step.startedAt = now;
+    } else {
+      step.startedAt = step.startedAt || now;
+      step.finishedAt = now;
+    }
+
+    this.changed(job, { persist: false });
+    return job;
+  }
+
+  // Listen for changes to a job. Returns a function that stops listening.
+  subscribe(id, listener) {
+    this.events.on(id, listener);
+    return () => this.events.off(id, listener);
+  }
+
+  // Jobs that were queued or running when the server last stopped, after
+  // resetting them so they can run again from the start
+  takeUnfinished() {
+    const unfinished = this.jobs.filter(job => !isFinished(job));
+    for (const job of unfinished) {
+      job.status = 'queued';
+      job.steps = job.steps.map(step => ({ ...step, status: 'pending', startedAt: null, finishedAt: null, error: null }));
+    }
+
+    if (unfinished.length > 0) {
+      this.store.save();
+    }
+    return unfinished;
+  }
+
+  // Drop finished jobs past the retention period and save. Returns the number
+  // removed.
+  prune() {
+    const removed = this.removeExpired();
+    if (removed > 0) {
+      this.store.save();
+    }
+    return removed;
+  }
+
+  // Drop finished jobs past the retention period, without saving
+  removeExpired() {
+    const cutoff = Date.now() - this.retentionMs;
+    const remaining = this.jobs.filter(job => !isFinished(job) || Date.parse(job.finishedAt) > cutoff);
+    const removed = this.jobs.length - remaining.length;
+
+    this.store.data.jobs = remaining;
+    return removed;
+  }
+
+  changed(job, { persist = true } = {}) {
+    job.updatedAt = new Date().toISOString();
+    if (persist) {
+      this.store.save();
+    }
+    this.events.emit(job.id, job);
+  }
+}
+
+// Job fields that are safe to return to clients
+function describeJob(job) {
+  const described = { ...job };
+  delete described.ownerId;
+  return described;
+}
+
+module.exports = { JobStore, describeJob, isFinished };
@@ -0,0 +1,39 @@
+const fs = require('fs');
+const path = require('path');
+
+// Minimal JSON file store used for persisting backend data between restarts.
+// Data is held in memory and written back to disk after every change, using a
+// temp file + rename so a crash mid-write never leaves a truncated file behind.
+class JsonStore {
+  constructor(filePath, defaultData) {
+    this.filePath = filePath;
+    this.data = this.load(defaultData);
+  }
+
+  load(defaultData) {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      }
+    } catch (error) {
+      console.error(`Failed to read ${this.filePath}, starting with empty data:`, error.message);
+    }
+
+    return defaultData;
+  }
+
+  save() {
+    const dir = path.dirname(this.filePath);
+
+    // Ensure data directory exists
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.data, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+}
+
+module.exports = { JsonStore };
@@ -0,0 +1,302 @@
+// Meal history export (JSON and CSV) and validation of JSON exports for
+// import. A JSON export holds complete meal records, so it can be restored on
+// another backend; CSV is one row per food item for spreadsheets.
+
+const Ajv = require('ajv');
+const { NUTRIENT_KEYS, describeMealNutrition } = require('./nutrition');
+const { parseMealFields, parseTimestamp } = require('./meal-store');
+
+const EXPORT_FORMAT = 'choices-count-meals';
+const EXPORT_VERSION = 1;
+
+// Meal fields written to an export and restored from one. ownerId is left
+// out; imported meals belong to whoever imports them.
+const MEAL_FIELDS = [
+  'id',
+  'imageId',
+  'name',
+  'notes',
+  'eatenAt',
+  'createdAt',
+  'updatedAt',
+  'analyses',
+  'productMatches',
+  'products',
+  'portions',
+  'purchase'
+];
+
+const IMAGE_FIELDS = ['id', 'originalname', 'mimeType', 'size', 'timestamp', 'uploadedAt'];
+
+// Thrown when an import file isn't a usable export. `errors` lists the
+// problems found.
+class ImportValidationError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'ImportValidationError';
+    this.errors = errors;
+  }
+}
+
+function pick(record, fields) {
+  return Object.fromEntries(fields.filter(field => record[field] !== undefined).map(field => [field, record[field]]));
+}
+
+// A meal as exported: the stored record plus its portion breakdown and
+// totals, which are recomputed on import rather than read back
+function describeExportMeal(meal) {
+  return { ...pick(meal, MEAL_FIELDS), nutrition: describeMealNutrition(meal) };
+}
+
+// Image record as exported. With `data` (the file's bytes), the file is
+// embedded as base64.
+function describeExportImage(image, data) {
+  const record = { ...pick(image, IMAGE_FIELDS), url: `/api/images/${image.id}/file` };
+  return data ? { ...record, data: data.toString('base64') } : record;
+}
+
+// JSON export, a piece at a time so large histories (and embedded images)
+// never have to be held in memory as one string. readImage(image) returns the
+// file's bytes when images are included, or null.
+function* jsonExportChunks({ meals, images, from, to, readImage }) {
+  const header = { format: EXPORT_FORMAT, version: EXPORT_VERSION, exportedAt: new Date().toISOString(), from, to };
+  yield `${JSON.stringify(header).slice(0, -1)},"meals":[`;
+
+  for (const [index, meal] of meals.entries()) {
+    yield `${index > 0 ? ',' : ''}\n${JSON.stringify(describeExportMeal(meal))}`;
+  }
+
+  yield '\n],"images":[';
+
+  for (const [index, image] of images.entries()) {
+    yield `${index > 0 ? ',' : ''}\n${JSON.stringify(describeExportImage(image, readImage(image)))}`;
+  }
+
+  yield '\n]}\n';
+}
+
+const CSV_COLUMNS = [
+  'meal_id',
+  'eaten_at',
+  'meal_name',
+  'notes',
+  'image_id',
+  'image_url',
+  'item',
+  'grams',
+  ...NUTRIENT_KEYS,
+  'products',
+  'product_codes',
+  'purchase_total',
+  'currency'
+];
+
+// Quote a CSV field when needed. Text that a spreadsheet would run as a
+// formula is prefixed with an apostrophe.
+function csvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(values) {
+  return `${values.map(csvField).join(',')}\r\n`;
+}
+
+// One row per food item, with the meal's details repeated on each. Meals
+// without analyzed items get a single row with the item columns empty.
+function mealCsvRows(meal) {
+  const { items } = describeMealNutrition(meal);
+  const purchase = meal.purchase || {};
+  const mealColumns = [
+    meal.id,
+    meal.eatenAt,
+    meal.name,
+    meal.notes,
+    meal.imageId,
+    `/api/images/${meal.imageId}/file`
+  ];
+  const productColumns = [
+    meal.products.map(product => product.name).join('; '),
+    meal.products.map(product => product.code).filter(Boolean).join('; '),
+    purchase.total,
+    purchase.currency
+  ];
+
+  const itemRows = items.length > 0
+    ? items.map(item => [item.name, item.grams, ...NUTRIENT_KEYS.map(key => item.nutrition ? item.nutrition[key] : null)])
+    : [[null, null, ...NUTRIENT_KEYS.map(() => null)]];
+
+  return itemRows.map(itemColumns => csvLine([...mealColumns, ...itemColumns, ...productColumns]));
+}
+
+function* csvExportChunks({ meals }) {
+  yield csvLine(CSV_COLUMNS);
+
+  for (const meal of meals) {
+    yield* mealCsvRows(meal);
+  }
+}
+
+const timestampSchema = { type: 'string', minLength: 1 };
+
+const importSchema = {
+  type: 'object',
+  required: ['format', 'version', 'meals'],
+  properties: {
+    format: { const: EXPORT_FORMAT },
+    version: { const: EXPORT_VERSION },
+    meals: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'imageId', 'eatenAt', 'createdAt', 'updatedAt', 'analyses', 'productMatches', 'products'],
+        properties: {
+          id: { type: 'string', pattern: '^[A-Za-z0-9-]{1,64}$' },
+          imageId: { type: 'string', pattern: '^[a-f0-9]{64}$' },
+          name: { type: ['string', 'null'] },
+          notes: { type: 'string' },
+          eatenAt: timestampSchema,
+          createdAt: timestampSchema,
+          updatedAt: timestampSchema,
+          analyses: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['id', 'provider', 'createdAt', 'data'],
+              properties: {
+                id: { type: 'string' },
+                provider: { type: 'string' },
+                createdAt: timestampSchema,
+                data: {
+                  type: 'object',
+                  required: ['results'],
+                  properties: {
+                    results: {
+                      type: 'object',
+                      required: ['foodItems'],
+                      properties: { foodItems: { type: 'array', items: { type: 'object', required: ['name'] } } }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          productMatches: { type: 'array', items: { type: 'object' } },
+          products: { type: 'array', items: { type: 'object', required: ['name'] } },
+          portions: { type: 'object', additionalProperties: { type: ['number', 'null'] } },
+          purchase: { type: ['object', 'null'] }
+        }
+      }
+    },
+    images: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+          id: { type: 'string', pattern: '^[a-f0-9]{64}$' },
+          originalname: { type: ['string', 'null'] },
+          timestamp: timestampSchema,
+          data: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+const ajv = new Ajv({ allErrors: true });
+const validateImport = ajv.compile(importSchema);
+
+// Parse and check an uploaded JSON export. Returns { meals, images } with
+// meals trimmed to the fields that are restored, their name, notes and
+// timestamps checked and normalized as when a meal is saved through the API.
+// Throws ImportValidationError.
+function parseMealExport(buffer) {
+  let document;
+  try {
+    document = JSON.parse(buffer.toString('utf8'));
+  } catch (parseError) {
+    throw new ImportValidationError('Import file is not valid JSON', [parseError.message]);
+  }
+
+  if (!validateImport(document)) {
+    const errors = validateImport.errors.slice(0, 20).map(error => `${error.instancePath || '/'} ${error.message}`);
+    throw new ImportValidationError('Import file is not a meal export', errors);
+  }
+
+  const errors = [];
+  const seen = new Set();
+  const meals = document.meals.map((meal, index) => {
+    // The same checks as a meal saved through the API; TypeErrors name the field
+    const fields = {};
+    const check = parse => {
+      try {
+        Object.assign(fields, parse());
+      } catch (error) {
+        errors.push(`/meals/${index} ${error.message}`);
+      }
+    };
+
+    check(() => parseMealFields({ name: meal.name, notes: meal.notes, eatenAt: meal.eatenAt }));
+    check(() => ({ createdAt: parseTimestamp(meal.createdAt, 'createdAt') }));
+    check(() => ({ updatedAt: parseTimestamp(meal.updatedAt, 'updatedAt') }));
+
+    if (seen.has(meal.id)) {
+      errors.push(`/meals/${index}/id ${meal.id} appears more than once`);
+    }
+    seen.add(meal.id);
+
+    return {
+      name: null,
+      notes: '',
+      portions: {},
+      purchase: null,
+      ...pick(meal, MEAL_FIELDS),
+      ...fields
+    };
+  });
+
+  if (errors.length > 0) {
+    throw new ImportValidationError('Import file is not a meal export', errors.slice(0, 20));
+  }
+
+  return { meals, images: document.images || [] };
+}
+
+// Point imported meals at the importer's copies of their photos. imageIds
+// maps the export's image IDs to the importer's, for photos embedded in the
+// file; any other meal keeps its image ID only if ownsImage(id) says the
+// importer has it, so an import can never link a meal to another account's
+// photo. Returns { meals, skipped }, skipped counting the meals left out.
+function linkImportedMeals(meals, { imageIds, ownsImage }) {
+  const linked = [];
+  let skipped = 0;
+
+  for (const meal of meals) {
+    if (imageIds.has(meal.imageId)) {
+      linked.push({ ...meal, imageId: imageIds.get(meal.imageId) });
+    } else if (ownsImage(meal.imageId)) {
+      linked.push(meal);
+    } else {
+      skipped++;
+    }
+  }
+
+  return { meals: linked, skipped };
+}
+
+module.exports = {
+  ImportValidationError,
+  jsonExportChunks,
+  csvExportChunks,
+  parseMealExport,
+  linkImportedMeals
+};
@@ -0,0 +1,233 @@
+const crypto = require('crypto');
+const path = require('path');
+const { JsonStore } = require('./json-store');
+const { isDateKey } = require('./nutrition');
+
+// A UUID-shaped ID for another user's copy of a meal
+function scopedMealId(ownerId, mealId) {
+  const hash = crypto.createHash('sha256').update(`${ownerId}:${mealId}`).digest('hex');
+  return [hash.slice(0, 8), hash.slice(8, 12), hash.slice(12, 16), hash.slice(16, 20), hash.slice(20, 32)].join('-');
+}
+
+// Longest meal name or notes a user can enter
+const MAX_NAME_LENGTH = 200;
+const MAX_NOTES_LENGTH = 5000;
+
+// ISO 8601 date, optionally with a time and offset ("2025-03-01T12:30:00Z")
+const ISO_TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}(?:T(?:[01]\d|2[0-3]):[0-5]\d(?::[0-5]\d(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+// Validate an ISO 8601 timestamp on a real calendar day. Returns it as a UTC
+// ISO timestamp, or throws a TypeError naming the field.
+function parseTimestamp(value, field) {
+  const valid = typeof value === 'string' && ISO_TIMESTAMP_PATTERN.test(value) && isDateKey(value.slice(0, 10));
+  const time = valid ? Date.parse(value) : NaN;
+  if (Number.isNaN(time)) {
+    throw new TypeError(`${field} must be an ISO 8601 timestamp`);
+  }
+  return new Date(time).toISOString();
+}
+
+// Validate the user-editable text and time fields of a meal ({ name, notes,
+// eatenAt }, each optional). Returns the fields that were given, with eatenAt
+// normalized to a UTC ISO timestamp, or throws a TypeError.
+function parseMealFields({ name, notes, eatenAt }) {
+  const fields = {};
+
+  if (name !== undefined) {
+    if (name !== null && (typeof name !== 'string' || name.length > MAX_NAME_LENGTH)) {
+      throw new TypeError(`name must be a string of at most ${MAX_NAME_LENGTH} characters, or null`);
+    }
+    fields.name = name;
+  }
+
+  if (notes !== undefined) {
+    if (typeof notes !== 'string' || notes.length > MAX_NOTES_LENGTH) {
+      throw new TypeError(`notes must be a string of at most ${MAX_NOTES_LENGTH} characters`);
+    }
+    fields.notes = notes;
+  }
+
+  if (eatenAt !== undefined) {
+    fields.eatenAt = parseTimestamp(eatenAt, 'eatenAt');
+  }
+
+  return fields;
+}
+
+// Persistent meal log. Each meal links an uploaded image to every analysis run
+// on it and to the Open Food Facts products chosen for it, so a photo can be
+// revisited without re-running (and paying for) another analysis.
+class MealStore {
+  constructor(filePath = path.join(__dirname, 'data', 'meals.json')) {
+    this.store = new JsonStore(filePath, { meals: [] });
+  }
+
+  get meals() {
+    return this.store.data.meals;
+  }
+
+  // A user's meals, optionally only those logged against one image
+  list({ ownerId, imageId } = {}) {
+    return this.meals
+      .filter(meal => meal.ownerId === ownerId)
+      .filter(meal => !imageId || meal.imageId === imageId)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt)); // Newest first
+  }
+
+  get(id) {
+    return this.meals.find(meal => meal.id === id) || null;
+  }
+
+  // Throws a TypeError if name, notes or eatenAt are invalid (see parseMealFields)
+  create({ ownerId, imageId, name = null, notes = '', eatenAt, products = [], portions = {}, purchase = null }) {
+    ({ name, notes, eatenAt } = parseMealFields({ name, notes, eatenAt }));
+    const now = new Date().toISOString();
+    const meal = {
+      id: crypto.randomUUID(),
+      ownerId,
+      imageId,
+      name,
+      notes,
+      eatenAt: eatenAt || now,
+      createdAt: now,
+      updatedAt: now,
+      analyses: [],
+      productMatches: [],
+      products,
+      // User-adjusted grams per food item, keyed by normalized name
+      portions,
+      // What was paid, read off a price tag or entered by the user (see prices.js)
+      purchase
+    };
+
+    this.meals.push(meal);
+    this.store.save();
+    return meal;
+  }
+
+  // Throws a TypeError if name, notes or eatenAt are invalid (see parseMealFields)
+  update(id, changes) {
+    const meal = this.get(id);
+    if (!meal) {
+      return null;
+    }
+
+    changes = { ...changes, ...parseMealFields(changes) };
+
+    // Only user-editable fields can be changed; analyses are append-only
+    const editableFields = ['name', 'notes', 'eatenAt', 'products', 'portions', 'purchase'];
+    for (const field of editableFields) {
+      if (changes[field] !== undefined) {
+        meal[field] = changes[field];
+      }
+    }
+
+    meal.updatedAt = new Date().toISOString();
+    this.store.save();
+    return meal;
+  }
+
+  remove(id) {
+    const index = this.meals.findIndex(meal => meal.id === id);
+    if (index === -1) {
+      return false;
+    }
+
+    this.meals.splice(index, 1);
+    this.store.save();
+    return true;
+  }
+
+  // Remove every meal a user logged against an image. Returns the number
+  // removed.
+  removeByImage(ownerId, imageId) {
+    const remaining = this.meals.filter(meal => meal.ownerId !== ownerId || meal.imageId !== imageId);
+    const removed = this.meals.length - remaining.length;
+
+    if (removed > 0) {
+      this.store.data.meals = remaining;
+      this.store.save();
+    }
+
+    return removed;
+  }
+
+  // Restore exported meal records for a user, keeping their IDs so importing
+  // the same export twice changes nothing. Meals already stored are replaced
+  // only if the export's copy is different. A meal whose ID belongs to another
+  // user (an export imported into a second account on the same backend) gets
+  // an ID derived from the original, so it too is only imported once.
+  // Returns { created, updated, unchanged }.
+  restore(ownerId, records) {
+    const result = { created: 0, updated: 0, unchanged: 0 };
+
+    for (const record of records) {
+      const meal = { ...record, ownerId };
+      let index = this.meals.findIndex(item => item.id === meal.id);
+
+      if (index !== -1 && this.meals[index].ownerId !== ownerId) {
+        meal.id = scopedMealId(ownerId, record.id);
+        index = this.meals.findIndex(item => item.id === meal.id);
+      }
+
+      if (index === -1) {
+        this.meals.push(meal);
+        result.created += 1;
+      } else if (JSON.stringify(this.meals[index]) === JSON.stringify({ ...this.meals[index], ...meal })) {
+        result.unchanged += 1;
+      } else {
+        this.meals[index] = meal;
+        result.updated += 1;
+      }
+    }
+
+    if (result.created > 0 || result.updated > 0) {
+      this.store.save();
+    }
+    return result;
+  }
+
+  // Returns the most recent stored analysis for a provider, if any
+  findAnalysis(id, provider) {
+    const meal = this.get(id);
+    if (!meal) {
+      return null;
+    }
+
+    const matches = meal.analyses.filter(analysis => analysis.provider === provider);
+    return matches.length > 0 ? matches[matches.length - 1] : null;
+  }
+
+  addAnalysis(id, provider, data) {
+    const meal = this.get(id);
+    if (!meal) {
+      return null;
+    }
+
+    const analysis = {
+      id: crypto.randomUUID(),
+      provider,
+      createdAt: new Date().toISOString(),
+      data
+    };
+
+    meal.analyses.push(analysis);
+    meal.updatedAt = analysis.createdAt;
+    this.store.save();
+    return analysis;
+  }
+
+  setProductMatches(id, searchResults) {
+    const meal = this.get(id);
+    if (!meal) {
+      return null;
+    }
+
+    meal.productMatches = searchResults;
+    meal.updatedAt = new Date().toISOString();
+    this.store.save();
+    return meal;
+  }
+}
+
+module.exports = { MealStore, parseMealFields, parseTimestamp };
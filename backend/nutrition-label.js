@@ -0,0 +1,310 @@
+// Parse Nutrition Facts (US) and EU nutrition declaration panels out of OCR
+// text, as returned by Vision text detection for a photo of a package.
+//
+// OCR output is messy: rows get split across lines or run together, "0" is
+// read as "O", and EU labels use decimal commas. The text is cleaned up first,
+// then each line is matched against the nutrient names below.
+
+// Case-insensitive match for any of the names as whole words. \b doesn't
+// work next to accented letters, so word edges are checked with \p{L}.
+function word(...names) {
+  return new RegExp(`(?<!\\p{L})(?:${names.join('|')})(?!\\p{L})`, 'iu');
+}
+
+// Nutrient rows, in match order: more specific names first so "Saturated Fat"
+// isn't read as fat and "Added Sugars" isn't read as sugars. Names cover
+// English, German and French labels.
+const NUTRIENT_ROWS = [
+  { key: 'calories', pattern: word('calories', 'kalorien'), exclude: /from\s+fat/i },
+  { key: 'energy', pattern: word('energy', 'energie', 'énergie', 'brennwert', 'valeur [ée]nerg[ée]tique') },
+  { key: 'saturatedFat', pattern: /saturat|sat\.?\s*fat|ges[äa]ttigt|satur[ée]s/i },
+  { key: 'transFat', pattern: word('trans') },
+  { key: 'addedSugars', pattern: /added\s+sugars?|incl(?:udes|\.)\s.*sugars?/i },
+  { key: 'sugars', pattern: word('sugars?', 'zucker', 'sucres?'), exclude: /alcohol/i },
+  { key: 'fiber', pattern: word('fib(?:er|re)s?', 'ballaststoffe') },
+  { key: 'carbs', pattern: word('carbohydrates?', 'carbs?', 'kohlenhydrate', 'glucides') },
+  { key: 'fat', pattern: word('fat', 'fett', 'mati[èe]res? grasses', 'lipides'), exclude: /calories/i },
+  { key: 'protein', pattern: word('proteins?', 'eiwei(?:ß|ss)', 'prot[ée]ines?') },
+  { key: 'sodium', pattern: word('sodium', 'natrium') },
+  { key: 'salt', pattern: word('salt', 'salz', 'sel') }
+];
+
+// Every value is reported in grams, except energy
+const GRAMS_PER_UNIT = { g: 1, mg: 0.001, mcg: 0.000001, µg: 0.000001 };
+const KJ_PER_KCAL = 4.184;
+const SALT_PER_SODIUM = 2.5;
+const GRAMS_PER_OUNCE = 28.35;
+
+function round(value, places = 1) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+// Fix common OCR mistakes and split rows that were read as one line
+function cleanText(text) {
+  return text
+    .replace(/\r/g, '')
+    // "Og", "O mg", "O%" are zeros
+    .replace(/\b[Oo](?=\s?(?:g|mg|mcg|%)\b)/g, '0')
+    // "1,046 kJ" and "1,200mg" use a thousands separator, "2,5 g" and
+    // "0,107 g" a decimal comma
+    .replace(/\b([1-9]\d{0,2}),(\d{3})(?=\s*(?:kj|kcal|mg)\b)/gi, '$1$2')
+    .replace(/(\d),(\d)/g, '$1.$2')
+    // Old US labels put "Calories from Fat" on the calories row
+    .replace(/(\d)[ \t]+(?=calories from fat)/gi, '$1\n')
+    // Start a new line when a name follows a value ("8g 10% Saturated Fat 1g"),
+    // except in phrases like "Includes 10g Added Sugars" or "per 30g serving"
+    .replace(/(\d+(?:\.\d+)?\s*(?:g|mg|mcg|µg|%|kcal|kj)(?![\w%])\)?)[ \t]+(?=[\p{L}]{3,})/giu, (match, value, offset, full) => {
+      const before = full.slice(Math.max(0, offset - 12), offset);
+      const after = full.slice(offset + match.length, offset + match.length + 12);
+      const keepTogether = /includes?\s*$/i.test(before) || /^(?:serving|portion|per|container|daily)/i.test(after);
+      return keepTogether ? match : `${value}\n`;
+    })
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean);
+}
+
+// Amounts on a row, in column order: [{ value, unit }]. Percentages are
+// returned separately as the %DV.
+function readAmounts(line) {
+  const amounts = [];
+  let dailyValue = null;
+
+  const pattern = /(<\s*)?(\d+(?:\.\d+)?)\s*(kcal|kj|mg|mcg|µg|g|%)?(?![\w.])/gi;
+  let match;
+  while ((match = pattern.exec(line)) !== null) {
+    const unit = (match[3] || '').toLowerCase();
+    const value = parseFloat(match[2]);
+
+    if (unit === '%') {
+      if (dailyValue === null) {
+        dailyValue = value;
+      }
+    } else {
+      amounts.push({ value, unit, lessThan: Boolean(match[1]) });
+    }
+  }
+
+  return { amounts, dailyValue };
+}
+
+// Which nutrient a line names, if any
+function matchRow(line) {
+  return NUTRIENT_ROWS.find(row => row.pattern.test(line) && !(row.exclude && row.exclude.test(line))) || null;
+}
+
+function toGrams({ value, unit }) {
+  return round(value * (GRAMS_PER_UNIT[unit] || 1), 3);
+}
+
+// Energy rows list kJ and kcal in either order ("1046 kJ / 250 kcal"), per column
+function readEnergy(amounts) {
+  const columns = [];
+  let current = {};
+
+  for (const amount of amounts) {
+    const unit = amount.unit === 'kj' ? 'kj' : 'kcal';
+    if (current[unit] !== undefined) {
+      columns.push(current);
+      current = {};
+    }
+    current[unit] = amount.value;
+  }
+  if (Object.keys(current).length > 0) {
+    columns.push(current);
+  }
+
+  return columns;
+}
+
+// "1 cup (228g)", "30 g", "2/3 cup (55 g)", "1 oz (28g)", "250 ml"
+function parseServingSize(text) {
+  const cleaned = text.replace(/^[:\s]+/, '').trim();
+  const grams = cleaned.match(/(\d+(?:\.\d+)?)\s*g\b/i);
+  const milliliters = cleaned.match(/(\d+(?:\.\d+)?)\s*ml\b/i);
+  const ounces = cleaned.match(/(\d+(?:\.\d+)?)\s*oz\b/i);
+
+  return {
+    text: cleaned,
+    grams: grams ? parseFloat(grams[1]) : ounces ? round(parseFloat(ounces[1]) * GRAMS_PER_OUNCE) : null,
+    milliliters: milliliters ? parseFloat(milliliters[1]) : null
+  };
+}
+
+function findServingInfo(lines, fullText) {
+  let servingSize = null;
+  let servingsPerContainer = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    const size = line.match(/serving size\s*(.*)$/i) || line.match(/(?:per\s+)?(?:portion|serving|portionsgr[öo]sse|portion de)\s*[:(]\s*(\d.*?)\)?$/i);
+    if (!servingSize && size) {
+      // The amount is sometimes on the next line
+      const text = size[1] && /\d/.test(size[1]) ? size[1] : lines[i + 1] || '';
+      servingSize = parseServingSize(text);
+    }
+
+    const perContainer = line.match(/(?:about\s+)?(\d+(?:\.\d+)?)\s+servings?\s+per\s+container/i)
+      || line.match(/servings?\s+per\s+container\s*:?\s*(?:about\s+)?(\d+(?:\.\d+)?)/i);
+    if (servingsPerContainer === null && perContainer) {
+      servingsPerContainer = parseFloat(perContainer[1]);
+    }
+  }
+
+  // EU labels often only give it in the column header: "per 30 g serving"
+  if (!servingSize) {
+    const header = fullText.match(/per\s+(\d+(?:\.\d+)?\s*(?:g|ml))\s+(?:serving|portion)/i);
+    if (header) {
+      servingSize = parseServingSize(header[1]);
+    }
+  }
+
+  return { servingSize, servingsPerContainer };
+}
+
+// Per-100g values for product nutrition, when they can be worked out
+function toPer100g(nutrients, basis, servingSize) {
+  let factor = null;
+  if (basis === '100g' || basis === '100ml') {
+    factor = 1;
+  } else if (servingSize && servingSize.grams) {
+    factor = 100 / servingSize.grams;
+  }
+
+  if (factor === null) {
+    return null;
+  }
+
+  const scale = value => (value === undefined ? null : round(value * factor, 2));
+  return {
+    calories: scale(nutrients.calories),
+    protein: scale(nutrients.protein),
+    carbs: scale(nutrients.carbs),
+    fat: scale(nutrients.fat),
+    fiber: scale(nutrients.fiber),
+    sugar: scale(nutrients.sugars),
+    salt: scale(nutrients.salt)
+  };
+}
+
+// Fill in kcal from kJ (and back) and salt from sodium (and back)
+function completeNutrients(nutrients) {
+  if (nutrients.calories === undefined && nutrients.energyKj !== undefined) {
+    nutrients.calories = round(nutrients.energyKj / KJ_PER_KCAL);
+  }
+  if (nutrients.energyKj === undefined && nutrients.calories !== undefined) {
+    nutrients.energyKj = round(nutrients.calories * KJ_PER_KCAL);
+  }
+  if (nutrients.salt === undefined && nutrients.sodium !== undefined) {
+    nutrients.salt = round(nutrients.sodium * SALT_PER_SODIUM, 3);
+  }
+  if (nutrients.sodium === undefined && nutrients.salt !== undefined) {
+    nutrients.sodium = round(nutrients.salt / SALT_PER_SODIUM, 3);
+  }
+  return nutrients;
+}
+
+// Parse a nutrition panel from OCR text. Returns null if the text doesn't look
+// like one, otherwise:
+//   {
+//     format: 'us' | 'eu',
+//     basis: 'serving' | '100g' | '100ml',   what `nutrients` are given per
+//     servingSize: { text, grams, milliliters } | null,
+//     servingsPerContainer,
+//     nutrients: { calories, energyKj, fat, saturatedFat, transFat, carbs,
+//                  sugars, addedSugars, fiber, protein, sodium, salt },
+//     perServing: second column of EU labels, same keys | null,
+//     dailyValues: { [nutrient]: percent },
+//     per100g: { calories, protein, carbs, fat, fiber, sugar, salt } | null
+//   }
+// Amounts are in grams and kcal/kJ; nutrients not on the label are left out.
+function parseNutritionLabel(text) {
+  if (!text || typeof text !== 'string') {
+    return null;
+  }
+
+  const lines = cleanText(text);
+  const fullText = lines.join('\n');
+  const isUS = /nutrition\s*facts/i.test(fullText) || /%\s*daily\s*value/i.test(fullText);
+
+  const nutrients = {};
+  const perServing = {};
+  const dailyValues = {};
+
+  for (let i = 0; i < lines.length; i++) {
+    const row = matchRow(lines[i]);
+    if (!row) {
+      continue;
+    }
+
+    let { amounts, dailyValue } = readAmounts(lines[i]);
+
+    // Big-type values ("Calories" / "230") often land on their own line
+    if (amounts.length === 0 && lines[i + 1] && !matchRow(lines[i + 1])) {
+      ({ amounts, dailyValue } = readAmounts(lines[i + 1]));
+    }
+
+    if (row.key === 'energy') {
+      const columns = readEnergy(amounts);
+      for (const [column, target] of [[columns[0], nutrients], [columns[1], perServing]]) {
+        if (!column) {
+          continue;
+        }
+        if (column.kcal !== undefined && target.calories === undefined) {
+          target.calories = column.kcal;
+        }
+        if (column.kj !== undefined && target.energyKj === undefined) {
+          target.energyKj = column.kj;
+        }
+      }
+      continue;
+    }
+
+    if (amounts.length === 0 || nutrients[row.key] !== undefined) {
+      continue;
+    }
+
+    if (row.key === 'calories') {
+      nutrients.calories = amounts[0].value;
+    } else {
+      // Labels that lost the unit in OCR are almost always in grams, except sodium
+      const withUnit = amounts.map(amount => ({ ...amount, unit: amount.unit || (row.key === 'sodium' ? 'mg' : 'g') }));
+      nutrients[row.key] = toGrams(withUnit[0]);
+      if (withUnit[1]) {
+        perServing[row.key] = toGrams(withUnit[1]);
+      }
+    }
+
+    if (dailyValue !== null) {
+      dailyValues[row.key] = dailyValue;
+    }
+  }
+
+  // Need at least a couple of nutrient rows to call it a panel
+  const found = Object.keys(nutrients).filter(key => key !== 'calories' && key !== 'energyKj');
+  const hasEnergy = nutrients.calories !== undefined || nutrients.energyKj !== undefined;
+  if (found.length < 2 || (!hasEnergy && found.length < 3)) {
+    return null;
+  }
+
+  const per100Header = fullText.match(/(?:per|pro|pour)\s*100\s*(g|ml)/i);
+  const basis = isUS || !per100Header ? 'serving' : `100${per100Header[1].toLowerCase()}`;
+  const { servingSize, servingsPerContainer } = findServingInfo(lines, fullText);
+
+  completeNutrients(nutrients);
+
+  return {
+    format: isUS ? 'us' : 'eu',
+    basis,
+    servingSize,
+    servingsPerContainer,
+    nutrients,
+    perServing: Object.keys(perServing).length > 0 ? completeNutrients(perServing) : null,
+    dailyValues,
+    per100g: toPer100g(nutrients, basis, servingSize)
+  };
+}
+
+module.exports = { parseNutritionLabel };
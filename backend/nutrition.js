@@ -0,0 +1,218 @@
+// Nutrition arithmetic: meal portions and totals from the analyzers' numeric
+// estimates, Open Food Facts per-100g values and daily summaries.
+
+const { normalizeFoodName } = require('./food-names');
+
+const NUTRIENT_KEYS = ['calories', 'protein', 'carbs', 'fat', 'fiber'];
+
+function emptyTotals() {
+  return NUTRIENT_KEYS.reduce((totals, key) => ({ ...totals, [key]: 0 }), {});
+}
+
+function roundValue(value) {
+  return Math.round(value * 10) / 10;
+}
+
+// The analysis a meal's portions and nutrition come from: the most recent one
+// with nutrition estimates, else the most recent one of any kind
+function getPortionAnalysis(meal) {
+  const withNutrition = [...meal.analyses].reverse()
+    .find(analysis => analysis.data && analysis.data.results && analysis.data.results.nutrition);
+
+  return withNutrition || meal.analyses[meal.analyses.length - 1] || null;
+}
+
+function scaleNutrition(nutrition, factor) {
+  return NUTRIENT_KEYS.reduce((scaled, key) => ({ ...scaled, [key]: roundValue((nutrition[key] || 0) * factor) }), {});
+}
+
+// Detected food items with their estimated weight, the weight the user set
+// (meal.portions, keyed by normalized food name) and nutrition rescaled to it
+function getMealPortions(meal) {
+  const analysis = getPortionAnalysis(meal);
+  if (!analysis) {
+    return [];
+  }
+
+  const portions = meal.portions || {};
+
+  return analysis.data.results.foodItems.map(item => {
+    const edited = portions[normalizeFoodName(item.name)];
+    const grams = edited !== undefined ? edited : item.estimatedGrams;
+    const canScale = item.nutrition && item.estimatedGrams > 0;
+
+    return {
+      name: item.name,
+      estimatedGrams: item.estimatedGrams ?? null,
+      grams: grams ?? null,
+      gramsSource: edited !== undefined ? 'user' : item.gramsSource || null,
+      nutrition: canScale ? scaleNutrition(item.nutrition, grams / item.estimatedGrams) : item.nutrition || null
+    };
+  });
+}
+
+// Nutrition totals for a logged meal. When the analysis has per-item
+// nutrition, items are summed at their current (possibly user-edited) weights;
+// otherwise the analysis' own totals are used as-is.
+function getMealNutrition(meal) {
+  const analysis = getPortionAnalysis(meal);
+  const results = analysis && analysis.data.results;
+  if (!results || !results.nutrition) {
+    return null;
+  }
+
+  const items = getMealPortions(meal).filter(item => item.nutrition);
+  if (items.length === 0) {
+    return results.nutrition;
+  }
+
+  const totals = emptyTotals();
+  for (const item of items) {
+    for (const key of NUTRIENT_KEYS) {
+      totals[key] += item.nutrition[key];
+    }
+  }
+
+  return scaleNutrition(totals, 1);
+}
+
+// Portion breakdown and totals, as returned with a meal
+function describeMealNutrition(meal) {
+  return {
+    items: getMealPortions(meal),
+    totals: getMealNutrition(meal)
+  };
+}
+
+// Nutrients computed from Open Food Facts product data, which (unlike the
+// analyzers) reports sugar and salt as well
+const PRODUCT_NUTRIENT_KEYS = ['calories', 'protein', 'carbs', 'fat', 'fiber', 'sugar', 'salt'];
+
+// Open Food Facts nutriment fields for each nutrient, in order of preference
+const OFF_NUTRIMENT_FIELDS = {
+  protein: ['proteins_100g'],
+  carbs: ['carbohydrates_100g'],
+  fat: ['fat_100g'],
+  fiber: ['fiber_100g'],
+  sugar: ['sugars_100g']
+};
+
+// Sodium is reported instead of salt by some products; salt = sodium x 2.5
+const SALT_PER_SODIUM = 2.5;
+
+function readNutriment(nutriments, field) {
+  const value = Number(nutriments[field]);
+  return nutriments[field] !== undefined && nutriments[field] !== '' && Number.isFinite(value) ? value : null;
+}
+
+// Per-100g { calories, protein, carbs, fat, fiber, sugar, salt } from an Open
+// Food Facts nutriments object. Nutrients the product doesn't report are null;
+// returns null if it reports none of them.
+function getPer100gNutrients(nutriments) {
+  if (!nutriments || typeof nutriments !== 'object') {
+    return null;
+  }
+
+  const kcal = readNutriment(nutriments, 'energy-kcal_100g');
+  const kj = readNutriment(nutriments, 'energy-kj_100g') ?? readNutriment(nutriments, 'energy_100g');
+  const salt = readNutriment(nutriments, 'salt_100g');
+  const sodium = readNutriment(nutriments, 'sodium_100g');
+
+  const per100g = {
+    calories: kcal ?? (kj !== null ? roundValue(kj / 4.184) : null),
+    ...Object.fromEntries(Object.entries(OFF_NUTRIMENT_FIELDS).map(([key, fields]) => [
+      key,
+      fields.map(field => readNutriment(nutriments, field)).find(value => value !== null) ?? null
+    ])),
+    salt: salt ?? (sodium !== null ? roundValue(sodium * SALT_PER_SODIUM) : null)
+  };
+
+  return Object.values(per100g).some(value => value !== null) ? per100g : null;
+}
+
+// Nutrients in `grams` of a product, from its per-100g values. Returns
+// { nutrients, missing } where missing lists nutrients the product lacks
+// (counted as 0 in nutrients).
+function computeProductNutrients(per100g, grams) {
+  const nutrients = {};
+  const missing = [];
+
+  for (const key of PRODUCT_NUTRIENT_KEYS) {
+    const value = per100g ? per100g[key] : null;
+    if (value === null || value === undefined) {
+      missing.push(key);
+    }
+    nutrients[key] = roundValue(((value || 0) * grams) / 100);
+  }
+
+  return { nutrients, missing };
+}
+
+// YYYY-MM-DD for a timestamp, shifted by the client's timezone offset
+// (minutes, as returned by Date.prototype.getTimezoneOffset)
+function toDateKey(timestamp, tzOffset = 0) {
+  const date = new Date(new Date(timestamp).getTime() - tzOffset * 60 * 1000);
+  return date.toISOString().slice(0, 10);
+}
+
+// Whether date is a real calendar day as YYYY-MM-DD. "2025-02-30" has the
+// right shape but isn't one (Date would roll it over to March 2nd).
+function isDateKey(date) {
+  if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return false;
+  }
+
+  const [year, month, day] = date.split('-').map(Number);
+  const parsed = new Date(Date.UTC(year, month - 1, day));
+  return parsed.getUTCFullYear() === year && parsed.getUTCMonth() === month - 1 && parsed.getUTCDate() === day;
+}
+
+function summarizeDay(meals, date, tzOffset = 0) {
+  const totals = emptyTotals();
+  const mealSummaries = [];
+
+  for (const meal of meals) {
+    if (toDateKey(meal.eatenAt, tzOffset) !== date) {
+      continue;
+    }
+
+    const nutrition = getMealNutrition(meal);
+    if (nutrition) {
+      for (const key of NUTRIENT_KEYS) {
+        totals[key] += nutrition[key] || 0;
+      }
+    }
+
+    mealSummaries.push({
+      id: meal.id,
+      name: meal.name,
+      imageId: meal.imageId,
+      eatenAt: meal.eatenAt,
+      nutrition
+    });
+  }
+
+  for (const key of NUTRIENT_KEYS) {
+    totals[key] = roundValue(totals[key]);
+  }
+
+  return {
+    date,
+    totals,
+    mealCount: mealSummaries.length,
+    meals: mealSummaries
+  };
+}
+
+module.exports = {
+  NUTRIENT_KEYS,
+  PRODUCT_NUTRIENT_KEYS,
+  getMealNutrition,
+  getMealPortions,
+  describeMealNutrition,
+  getPer100gNutrients,
+  computeProductNutrients,
+  toDateKey,
+  isDateKey,
+  summarizeDay
+};
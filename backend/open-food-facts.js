@@ -0,0 +1,213 @@
+// Open Food Facts API helpers
+
+const { getPer100gNutrients } = require('./nutrition');
+
+const OFF_BASE_URL = 'https://world.openfoodfacts.org';
+const DEFAULT_MAX_RETRIES = 2;
+
+// Retry count from an environment variable: a whole number of zero or more,
+// falling back to DEFAULT_MAX_RETRIES when unset or anything else ("", "-1",
+// "1.5", "abc")
+function parseRetryCount(value) {
+  const retries = Number.parseInt(value, 10);
+  return /^\s*\d+\s*$/.test(value || '') && Number.isSafeInteger(retries) ? retries : DEFAULT_MAX_RETRIES;
+}
+
+// Per-request limits for calls to the public API
+const REQUEST_TIMEOUT_MS = Number(process.env.OFF_TIMEOUT_MS) || 8000;
+const MAX_RETRIES = parseRetryCount(process.env.OFF_MAX_RETRIES);
+const RETRY_BASE_DELAY_MS = 500;
+// Longest Retry-After waited out, so one bad header can't stall a search
+const MAX_RETRY_AFTER_MS = 5000;
+
+// Thrown when Open Food Facts doesn't answer within REQUEST_TIMEOUT_MS
+class RequestTimeoutError extends Error {
+  constructor(url, timeoutMs) {
+    super(`Open Food Facts request timed out after ${timeoutMs}ms`);
+    this.name = 'RequestTimeoutError';
+    this.url = url;
+  }
+}
+
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+// How long to wait before retrying a 429/5xx response: the server's
+// Retry-After (seconds, capped at MAX_RETRY_AFTER_MS) when it sends one,
+// otherwise exponential backoff
+function getRetryDelay(response, attempt) {
+  const retryAfter = Number(response.headers.get('retry-after'));
+  return retryAfter > 0
+    ? Math.min(retryAfter * 1000, MAX_RETRY_AFTER_MS)
+    : RETRY_BASE_DELAY_MS * 2 ** attempt;
+}
+
+// fetch() a JSON document with a timeout per attempt and exponential-backoff
+// retries on 429/5xx responses. The timeout covers reading the body too, so a
+// response that stalls halfway through is abandoned like one that never
+// starts. Timeouts and network errors are not retried, so one unresponsive
+// lookup can't hold a search for longer than a single timeout.
+// Resolves to { status, ok, data }, data being null for error responses.
+async function fetchJsonWithRetry(url, { timeoutMs = REQUEST_TIMEOUT_MS, retries = MAX_RETRIES } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    let response;
+    try {
+      response = await fetch(url, { signal: controller.signal });
+      if (response.ok) {
+        return { status: response.status, ok: true, data: await response.json() };
+      }
+
+      // Error bodies aren't used; discard them so the connection is released
+      if (response.body) {
+        await response.body.cancel();
+      }
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new RequestTimeoutError(url, timeoutMs);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (!isRetryableStatus(response.status) || attempt >= retries) {
+      return { status: response.status, ok: false, data: null };
+    }
+
+    const delay = getRetryDelay(response, attempt);
+    console.log(`Open Food Facts returned ${response.status}, retrying in ${delay}ms: ${url}`);
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+}
+
+// Convert an Open Food Facts product into the shape returned to the client
+function formatProduct(product, { confidence, includeNutriments = false } = {}) {
+  const formatted = {
+    id: product.id || product._id || product.code,
+    code: product.code || null,
+    name: product.product_name || product.product_name_en || 'Unknown Product',
+    brand: product.brands || '',
+    url: `${OFF_BASE_URL}/product/${product.code || product.id}`,
+    image: product.image_url || product.image_front_url,
+    nutritionGrade: product.nutrition_grades || product.nutriscore_grade,
+    categories: product.categories || '',
+    confidence,
+    // Normalized per-100g nutrients, for /api/nutrition/compute
+    per100g: getPer100gNutrients(product.nutriments),
+    servingQuantity: Number(product.serving_quantity) || null,
+    // Allergen, diet and ingredient data, for dietary profile checks
+    allergens: product.allergens_tags || [],
+    traces: product.traces_tags || [],
+    ingredientsAnalysis: product.ingredients_analysis_tags || [],
+    labels: product.labels_tags || [],
+    ingredientsText: product.ingredients_text || product.ingredients_text_en || null
+  };
+
+  if (includeNutriments) {
+    formatted.servingSize = product.serving_size || null;
+    formatted.nutriments = product.nutriments || {};
+  }
+
+  return formatted;
+}
+
+// Fields kept when storing products locally (cache and imported dataset)
+const STORED_FIELDS = [
+  'code',
+  'product_name',
+  'product_name_en',
+  'brands',
+  'categories',
+  'nutrition_grades',
+  'nutriscore_grade',
+  'image_url',
+  'image_front_url',
+  'serving_size',
+  'serving_quantity',
+  'allergens_tags',
+  'traces_tags',
+  'ingredients_analysis_tags',
+  'labels_tags',
+  'ingredients_text',
+  'ingredients_text_en',
+  'nutriments'
+];
+
+// Strip a raw Open Food Facts product down to the fields we use
+function slimProduct(product) {
+  const slim = {};
+  for (const field of STORED_FIELDS) {
+    if (product[field] !== undefined && product[field] !== '') {
+      slim[field] = product[field];
+    }
+  }
+
+  // Only per-100g and per-serving nutriment values are used
+  if (slim.nutriments) {
+    slim.nutriments = Object.fromEntries(
+      Object.entries(slim.nutriments).filter(([key]) => /_(100g|serving|unit)$/.test(key))
+    );
+  }
+
+  return slim;
+}
+
+// Full-text search, used for vision labels like "Apple"
+async function searchProducts(searchTerm, { pageSize = 5 } = {}) {
+  const searchUrl = `${OFF_BASE_URL}/cgi/search.pl?search_terms=${encodeURIComponent(searchTerm)}&json=1&page_size=${pageSize}`;
+
+  console.log(`Searching for "${searchTerm}": ${searchUrl}`);
+
+  const response = await fetchJsonWithRetry(searchUrl);
+
+  if (!response.ok) {
+    throw new Error(`Open Food Facts search failed: ${response.status}`);
+  }
+
+  return response.data.products || [];
+}
+
+// Exact lookup by barcode. Returns the raw product or null if it isn't in the database.
+async function getProductByBarcode(code) {
+  // UPC-A codes are stored as EAN-13 with a leading zero, so try both
+  const candidates = code.length === 12 ? [code, `0${code}`] : [code];
+
+  for (const candidate of candidates) {
+    const productUrl = `${OFF_BASE_URL}/api/v2/product/${candidate}.json`;
+
+    console.log(`Looking up barcode ${candidate}: ${productUrl}`);
+
+    const response = await fetchJsonWithRetry(productUrl);
+
+    // Unknown barcodes come back as 404 with status 0
+    if (response.status === 404) {
+      continue;
+    }
+
+    if (!response.ok) {
+      throw new Error(`Open Food Facts lookup failed: ${response.status}`);
+    }
+
+    const { data } = response;
+    if (data.status === 1 && data.product) {
+      return { code: candidate, ...data.product };
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  RequestTimeoutError,
+  fetchJsonWithRetry,
+  getRetryDelay,
+  parseRetryCount,
+  formatProduct,
+  slimProduct,
+  searchProducts,
+  getProductByBarcode
+};
@@ -0,0 +1,84 @@
+// Mock OpenAI client for development/testing
+// This allows testing the OpenAI analysis pipeline without an API key.
+// Replies come from fixture files in fixtures/openai/, chosen by:
+//   1. the MOCK_OPENAI_SCENARIO env var (e.g. MOCK_OPENAI_SCENARIO=prose), or
+//   2. a scenario name appearing in the original image filename (e.g. lunch-error.png), or
+//   3. the default "valid-json" scenario
+
+const fs = require('fs');
+const path = require('path');
+const OpenAI = require('openai');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'openai');
+const DEFAULT_SCENARIO = 'valid-json';
+
+function listScenarios() {
+  return fs.readdirSync(FIXTURES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => path.basename(file, '.json'));
+}
+
+function chooseScenario(imageName) {
+  const scenarios = listScenarios();
+  const envScenario = process.env.MOCK_OPENAI_SCENARIO;
+
+  if (envScenario) {
+    if (!scenarios.includes(envScenario)) {
+      throw new Error(`Unknown MOCK_OPENAI_SCENARIO "${envScenario}" (available: ${scenarios.join(', ')})`);
+    }
+    return envScenario;
+  }
+
+  const filename = (imageName || '').toLowerCase();
+  return scenarios.find(scenario => filename.includes(scenario)) || DEFAULT_SCENARIO;
+}
+
+function loadFixture(scenario) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${scenario}.json`), 'utf8'));
+}
+
+// Create mock OpenAI client that mimics the chat.completions.create API
+class MockOpenAIClient {
+  constructor() {
+    this.chat = {
+      completions: {
+        create: (params, options = {}) => this.createCompletion(params, options)
+      }
+    };
+  }
+
+  async createCompletion(params, options) {
+    const scenario = chooseScenario(options.imageName);
+    const fixture = loadFixture(scenario);
+
+    console.log(`[MOCK] OpenAI ${params.model} completion using "${scenario}" fixture`);
+    // Simulate API delay
+    await new Promise(resolve => setTimeout(resolve, 800));
+
+    if (fixture.error) {
+      const { status, ...error } = fixture.error;
+      throw OpenAI.APIError.generate(status, { error }, error.message, new Headers());
+    }
+
+    const content = typeof fixture.content === 'string'
+      ? fixture.content
+      : JSON.stringify(fixture.content);
+
+    return {
+      id: `chatcmpl-mock-${Date.now()}`,
+      object: 'chat.completion',
+      created: Math.floor(Date.now() / 1000),
+      model: params.model,
+      choices: [
+        {
+          index: 0,
+          message: { role: 'assistant', content, refusal: null },
+          finish_reason: 'stop'
+        }
+      ],
+      usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+    };
+  }
+}
+
+module.exports = { MockOpenAIClient };
@@ -0,0 +1,136 @@
+const { normalizeFoodName } = require('./food-names');
+
+// Typical single-serving weights in grams, used when an analyzer detects a
+// food but can't estimate how much of it there is (e.g. Vision labels).
+// Keys are normalized names as produced by normalizeFoodName, hence "french frie".
+const TYPICAL_PORTIONS = {
+  apple: 180,
+  banana: 120,
+  orange: 150,
+  pear: 180,
+  peach: 150,
+  grape: 100,
+  strawberry: 150,
+  blueberry: 75,
+  avocado: 150,
+  tomato: 120,
+  carrot: 60,
+  broccoli: 90,
+  potato: 170,
+  'french frie': 120,
+  egg: 50,
+  bread: 40,
+  toast: 30,
+  bagel: 100,
+  croissant: 60,
+  rice: 160,
+  pasta: 180,
+  noodle: 180,
+  pizza: 110,
+  sandwich: 200,
+  hamburger: 220,
+  burger: 220,
+  salad: 150,
+  soup: 250,
+  steak: 200,
+  chicken: 150,
+  fish: 150,
+  salmon: 150,
+  cheese: 30,
+  yogurt: 150,
+  cereal: 40,
+  cookie: 15,
+  cake: 80,
+  donut: 60,
+  muffin: 110,
+  'soft drink': 330,
+  coffee: 240,
+  milk: 240,
+  juice: 240
+};
+
+// Fallback when nothing is known about a food
+const DEFAULT_PORTION_GRAMS = 100;
+
+// Objects of known size that can appear next to the food to give the model a
+// sense of scale. Plates vary, so their diameter can be overridden.
+const REFERENCE_OBJECTS = {
+  plate: { label: 'dinner plate', defaultSizeCm: 26, describe: size => `a dinner plate ${size} cm in diameter` },
+  card: { label: 'credit card', defaultSizeCm: 8.56, fixedSize: true, describe: () => 'a standard credit card (8.56 cm x 5.40 cm)' }
+};
+
+// Estimated grams for a detected food from the typical portion table. Matches
+// the full name first, then its last word ("Gala apple" -> "apple").
+// Returns { grams, source } where source is 'typical' or 'default'.
+function estimateTypicalPortion(name) {
+  const key = normalizeFoodName(name);
+  const headNoun = key.split(' ').pop();
+  const grams = [key, headNoun].map(name => Object.hasOwn(TYPICAL_PORTIONS, name) && TYPICAL_PORTIONS[name]).find(Boolean);
+
+  return grams
+    ? { grams, source: 'typical' }
+    : { grams: DEFAULT_PORTION_GRAMS, source: 'default' };
+}
+
+// Validate a client-supplied reference object ({ type, sizeCm? }). Returns the
+// normalized reference, null if none was given, or throws a TypeError.
+function parseReference(input) {
+  if (input === undefined || input === null) {
+    return null;
+  }
+
+  // Own keys only, so "constructor" and the like aren't mistaken for objects
+  const definition = input && Object.hasOwn(REFERENCE_OBJECTS, input.type) ? REFERENCE_OBJECTS[input.type] : null;
+  if (!definition) {
+    throw new TypeError(`reference.type must be one of: ${Object.keys(REFERENCE_OBJECTS).join(', ')}`);
+  }
+
+  let sizeCm = definition.defaultSizeCm;
+  if (input.sizeCm !== undefined && !definition.fixedSize) {
+    sizeCm = Number(input.sizeCm);
+    if (!Number.isFinite(sizeCm) || sizeCm <= 0 || sizeCm > 100) {
+      throw new TypeError('reference.sizeCm must be a number of centimeters between 0 and 100');
+    }
+  }
+
+  return { type: input.type, sizeCm };
+}
+
+// Heaviest single portion a user can enter
+const MAX_PORTION_GRAMS = 5000;
+
+// Validate user-edited portion weights ({ "Gala apple": 150, ... }). Returns
+// the weights keyed by normalized food name, or throws a TypeError.
+function parsePortions(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new TypeError('portions must be an object mapping food names to grams');
+  }
+
+  const portions = {};
+  for (const [name, value] of Object.entries(input)) {
+    const grams = Number(value);
+    if (value === null || !Number.isFinite(grams) || grams < 0 || grams > MAX_PORTION_GRAMS) {
+      throw new TypeError(`portions["${name}"] must be a number of grams between 0 and ${MAX_PORTION_GRAMS}`);
+    }
+    portions[normalizeFoodName(name)] = grams;
+  }
+
+  return portions;
+}
+
+// Sentence telling a vision model what the reference object is. Throws a
+// TypeError for a reference that didn't come through parseReference.
+function describeReference(reference) {
+  if (!Object.hasOwn(REFERENCE_OBJECTS, reference.type)) {
+    throw new TypeError(`Unknown reference type: ${reference.type}`);
+  }
+  return REFERENCE_OBJECTS[reference.type].describe(reference.sizeCm);
+}
+
+module.exports = {
+  REFERENCE_OBJECTS,
+  estimateTypicalPortion,
+  parseReference,
+  parsePortions,
+  describeReference
+};
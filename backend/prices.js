@@ -0,0 +1,232 @@
+// Read prices off shelf tags and price stickers in OCR text ("$2.99/LB",
+// "2 for $5", "€4,98/kg", "99¢ each") and turn them into purchase records
+// that the spending report adds up.
+
+const CURRENCY_SYMBOLS = { '$': 'USD', '€': 'EUR', '£': 'GBP', '¢': 'USD' };
+const CURRENCY_CODES = ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'CHF'];
+
+// Pricing units as printed on tags, mapped to the unit we store
+const UNIT_ALIASES = {
+  lb: 'lb',
+  lbs: 'lb',
+  pound: 'lb',
+  kg: 'kg',
+  kilo: 'kg',
+  '100g': '100g',
+  oz: 'oz',
+  each: 'each',
+  ea: 'each',
+  pc: 'each',
+  pcs: 'each',
+  piece: 'each',
+  unit: 'each'
+};
+
+// Units a product is sold by weight in, and their size in kg
+const KG_PER_UNIT = { lb: 0.45359237, oz: 0.028349523, kg: 1, '100g': 0.1 };
+
+const CODES = CURRENCY_CODES.join('|');
+const UNITS = '100\\s?g|lbs?|pound|kg|kilo|oz|each|ea|pcs?|piece|unit';
+
+// [multi-buy count] [currency] amount [currency | ¢] [unit], where amount may
+// group thousands ("1,299.00", "1.299,00")
+const PRICE_PATTERN = new RegExp(
+  `(?:(\\d{1,2})\\s*(?:for|/)\\s*(?=[$€£]))?` +
+  `(?:([$€£])\\s?|\\b(${CODES})\\s?)?` +
+  `(\\d{1,3}(?:[.,]\\d{3})+(?:[.,]\\d{1,2})?|\\d{1,4}(?:[.,]\\d{1,2})?)` +
+  `(?:\\s?([€£¢])|\\s?(${CODES})\\b)?` +
+  `(?:\\s*(?:/|per|a)\\s*(${UNITS})\\b|\\s+(each|ea)\\b)?`,
+  'giu'
+);
+
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Number matched as a price amount. Groups of three digits after a separator
+// are thousands ("1,299.00" and "1.299,00" are both 1299); otherwise a comma
+// is a decimal point ("4,98"). Returns null for amounts that mix grouping
+// separators or use the same one as the decimal point ("1,299,00").
+function parseAmount(number) {
+  const grouped = number.match(/^(\d{1,3}(?:([.,])\d{3})+)(?:([.,])(\d{1,2}))?$/);
+  if (!grouped) {
+    return parseFloat(number.replace(',', '.'));
+  }
+
+  const [, whole, groupSeparator, decimalSeparator, decimals = '0'] = grouped;
+  if (decimalSeparator === groupSeparator || new Set(whole.match(/[.,]/g)).size > 1) {
+    return null;
+  }
+
+  return parseFloat(`${whole.replace(/[.,]/g, '')}.${decimals}`);
+}
+
+// Every price in the text, in reading order: { text, amount, currency,
+// quantity, unit }. amount is what `quantity` units cost ("2 for $5" is
+// amount 5, quantity 2, unit 'each'); unit is null when the tag doesn't say.
+// Numbers with neither a currency nor a unit aren't prices and are skipped.
+function extractPrices(text) {
+  if (!text || typeof text !== 'string') {
+    return [];
+  }
+
+  const prices = [];
+  for (const match of text.matchAll(PRICE_PATTERN)) {
+    const [raw, count, symbol, code, number, suffix, suffixCode, unitText, eachText] = match;
+    const unitKey = (unitText || eachText || '').toLowerCase().replace(/\s/g, '');
+    const unit = UNIT_ALIASES[unitKey] || null;
+    const currency = CURRENCY_SYMBOLS[symbol] || CURRENCY_SYMBOLS[suffix]
+      || (code || suffixCode || '').toUpperCase() || null;
+
+    if (!currency && !unit) {
+      continue;
+    }
+
+    let amount = parseAmount(number);
+    if (amount === null) {
+      continue;
+    }
+    if (suffix === '¢') {
+      amount = amount / 100;
+    }
+
+    prices.push({
+      text: raw.trim(),
+      amount: roundMoney(amount),
+      currency,
+      quantity: count ? Number(count) : 1,
+      unit: count ? 'each' : unit
+    });
+  }
+
+  return prices;
+}
+
+// The price tag in OCR text, or null if it shows no price:
+//   currency   - first currency seen; prices without one are assumed to share it
+//   price      - { amount, quantity, unit } per item or package, if shown
+//   unitPrice  - { amount, unit, perKg } for prices by weight, if shown
+//   prices     - everything extractPrices found
+function readPriceTag(text) {
+  const prices = extractPrices(text);
+  if (prices.length === 0) {
+    return null;
+  }
+
+  const currency = (prices.find(price => price.currency) || {}).currency || null;
+  const byWeight = prices.find(price => KG_PER_UNIT[price.unit]);
+  const byItem = prices.find(price => !KG_PER_UNIT[price.unit]);
+
+  return {
+    currency,
+    price: byItem ? { amount: byItem.amount, quantity: byItem.quantity, unit: byItem.unit || 'each' } : null,
+    unitPrice: byWeight ? {
+      amount: byWeight.amount,
+      unit: byWeight.unit,
+      perKg: roundMoney(byWeight.amount / KG_PER_UNIT[byWeight.unit])
+    } : null,
+    prices: prices.map(price => ({ ...price, currency: price.currency || currency }))
+  };
+}
+
+// A purchase record for a meal from its price tag. Items priced by weight
+// are costed at `grams` (the meal's estimated portion weight), so the total is
+// an estimate until the user corrects the quantity or total.
+function createPurchase(tag, { grams = null } = {}) {
+  const purchase = {
+    currency: tag.currency,
+    total: null,
+    quantity: null,
+    unit: null,
+    unitPrice: null,
+    pricePerKg: tag.unitPrice ? tag.unitPrice.perKg : null,
+    store: null,
+    category: null,
+    product: null,
+    source: 'ocr',
+    priceText: tag.prices.map(price => price.text).join(' ')
+  };
+
+  if (tag.price) {
+    purchase.unit = 'each';
+    purchase.quantity = 1;
+    purchase.unitPrice = roundMoney(tag.price.amount / tag.price.quantity);
+    purchase.total = purchase.unitPrice;
+  } else {
+    purchase.unit = tag.unitPrice.unit;
+    purchase.unitPrice = tag.unitPrice.amount;
+    if (grams > 0) {
+      purchase.quantity = Math.round((grams / 1000 / KG_PER_UNIT[purchase.unit]) * 1000) / 1000;
+      purchase.total = roundMoney(purchase.unitPrice * purchase.quantity);
+    }
+  }
+
+  return purchase;
+}
+
+// Longest store or category name a user can enter
+const MAX_LABEL_LENGTH = 100;
+
+// Validate user edits to a meal's purchase ({ total, quantity, currency,
+// store, category }) and apply them over the current purchase. Changing the
+// quantity of a priced item recomputes the total unless one is given.
+// Returns the updated purchase, or throws a TypeError.
+function applyPurchaseChanges(current, input) {
+  if (input === null) {
+    return null;
+  }
+
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new TypeError('purchase must be an object');
+  }
+
+  const purchase = {
+    currency: null,
+    total: null,
+    quantity: null,
+    unit: null,
+    unitPrice: null,
+    pricePerKg: null,
+    store: null,
+    category: null,
+    product: null,
+    priceText: null,
+    ...current,
+    source: 'user'
+  };
+
+  for (const field of ['total', 'quantity']) {
+    if (input[field] === undefined) {
+      continue;
+    }
+    if (input[field] !== null && (typeof input[field] !== 'number' || !Number.isFinite(input[field]) || input[field] < 0)) {
+      throw new TypeError(`purchase.${field} must be a non-negative number`);
+    }
+    purchase[field] = input[field];
+  }
+
+  if (input.quantity !== undefined && input.total === undefined && purchase.unitPrice != null && purchase.quantity != null) {
+    purchase.total = roundMoney(purchase.unitPrice * purchase.quantity);
+  }
+
+  if (input.currency !== undefined) {
+    if (typeof input.currency !== 'string' || !/^[A-Za-z]{3}$/.test(input.currency)) {
+      throw new TypeError('purchase.currency must be a three-letter currency code');
+    }
+    purchase.currency = input.currency.toUpperCase();
+  }
+
+  for (const field of ['store', 'category']) {
+    if (input[field] === undefined) {
+      continue;
+    }
+    if (input[field] !== null && (typeof input[field] !== 'string' || input[field].trim().length > MAX_LABEL_LENGTH)) {
+      throw new TypeError(`purchase.${field} must be a string of at most ${MAX_LABEL_LENGTH} characters`);
+    }
+    purchase[field] = input[field] ? input[field].trim() : null;
+  }
+
+  return purchase;
+}
+
+module.exports = { roundMoney, extractPrices, readPriceTag, createPurchase, applyPurchaseChanges };
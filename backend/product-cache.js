@@ -0,0 +1,47 @@
+const path = require('path');
+const { JsonStore } = require('./json-store');
+
+const DEFAULT_TTL_HOURS = 24 * 7;
+
+// Time-limited cache of Open Food Facts network responses, so repeated
+// searches for the same label or barcode don't hit the public API again.
+class ProductCache {
+  constructor({
+    filePath = path.join(__dirname, 'data', 'product-cache.json'),
+    ttlHours = Number(process.env.OFF_CACHE_TTL_HOURS) || DEFAULT_TTL_HOURS
+  } = {}) {
+    this.store = new JsonStore(filePath, { entries: {} });
+    this.ttl = ttlHours * 60 * 60 * 1000;
+  }
+
+  isFresh(entry) {
+    return Date.now() - Date.parse(entry.storedAt) < this.ttl;
+  }
+
+  // Returns { value } for a fresh entry (value may be null for a cached miss),
+  // or undefined if nothing usable is cached
+  get(key) {
+    const entry = this.store.data.entries[key];
+    if (!entry || !this.isFresh(entry)) {
+      return undefined;
+    }
+
+    return { value: entry.value };
+  }
+
+  set(key, value) {
+    const { entries } = this.store.data;
+
+    // Drop expired entries while we're writing anyway
+    for (const [entryKey, entry] of Object.entries(entries)) {
+      if (!this.isFresh(entry)) {
+        delete entries[entryKey];
+      }
+    }
+
+    entries[key] = { storedAt: new Date().toISOString(), value };
+    this.store.save();
+  }
+}
+
+module.exports = { ProductCache };
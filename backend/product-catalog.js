@@ -0,0 +1,61 @@
+const { slimProduct, searchProducts, getProductByBarcode } = require('./open-food-facts');
+
+// Product lookups answered from the local imported dataset first, then the
+// response cache, and only then (if OFF_NETWORK allows it) the live
+// Open Food Facts API. Every result reports which source it came from.
+//
+// OFF_NETWORK=fallback (default) - use the network when local data has no answer
+// OFF_NETWORK=never              - never contact Open Food Facts
+class ProductCatalog {
+  constructor({ database, cache, networkMode = process.env.OFF_NETWORK || 'fallback' }) {
+    this.database = database;
+    this.cache = cache;
+    this.networkEnabled = networkMode !== 'never';
+  }
+
+  async search(searchTerm) {
+    const localProducts = this.database.search(searchTerm);
+    if (localProducts.length > 0) {
+      return { products: localProducts, source: 'local' };
+    }
+
+    const cacheKey = `search:${searchTerm.toLowerCase()}`;
+    const cached = this.cache.get(cacheKey);
+    if (cached) {
+      return { products: cached.value, source: 'cache' };
+    }
+
+    if (!this.networkEnabled) {
+      return { products: [], source: 'none' };
+    }
+
+    const products = (await searchProducts(searchTerm)).map(slimProduct);
+    this.cache.set(cacheKey, products);
+    return { products, source: 'network' };
+  }
+
+  async getByBarcode(code) {
+    const localProduct = this.database.getByBarcode(code);
+    if (localProduct) {
+      return { product: localProduct, source: 'local' };
+    }
+
+    const cacheKey = `barcode:${code}`;
+    const cached = this.cache.get(cacheKey);
+    if (cached) {
+      return { product: cached.value, source: 'cache' };
+    }
+
+    if (!this.networkEnabled) {
+      return { product: null, source: 'none' };
+    }
+
+    const product = await getProductByBarcode(code);
+
+    // Misses are cached too, so unknown barcodes aren't looked up again
+    this.cache.set(cacheKey, product && slimProduct(product));
+    return { product: product && slimProduct(product), source: 'network' };
+  }
+}
+
+module.exports = { ProductCatalog };
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { tokenize } = require('./food-names');
+
+// Search weights: a token matching the product name counts double one
+// matching its brand or categories
+const NAME_WEIGHT = 2;
+const TEXT_WEIGHT = 1;
+
+// Local product dataset imported from an Open Food Facts export
+// (see scripts/import-products.js). Products live in a SQLite file, keyed by
+// barcode and indexed for full-text search with FTS5, so a full export (a few
+// million products) is read from disk as needed rather than loaded into
+// memory. The index holds each product's search tokens (see tokenize in
+// food-names.js), so "apples" still finds "Apple juice".
+class ProductDatabase {
+  constructor(filePath = path.join(__dirname, 'data', 'products.sqlite')) {
+    const dir = path.dirname(filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    this.db = new Database(filePath);
+    // WAL lets the backend keep answering searches while an import runs
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS products (
+        id INTEGER PRIMARY KEY,
+        code TEXT NOT NULL UNIQUE,
+        data TEXT NOT NULL
+      );
+      CREATE VIRTUAL TABLE IF NOT EXISTS product_search USING fts5(name, text);
+      CREATE TABLE IF NOT EXISTS imports (
+        id INTEGER PRIMARY KEY,
+        source TEXT NOT NULL
+      );
+    `);
+
+    this.statements = {
+      count: this.db.prepare('SELECT COUNT(*) AS count FROM products'),
+      getByCode: this.db.prepare('SELECT id, data FROM products WHERE code = ?'),
+      insert: this.db.prepare('INSERT INTO products (code, data) VALUES (?, ?)'),
+      update: this.db.prepare('UPDATE products SET data = ? WHERE id = ?'),
+      deleteIndex: this.db.prepare('DELETE FROM product_search WHERE rowid = ?'),
+      insertIndex: this.db.prepare('INSERT INTO product_search (rowid, name, text) VALUES (?, ?, ?)'),
+      search: this.db.prepare(`
+        SELECT products.data FROM product_search
+        JOIN products ON products.id = product_search.rowid
+        WHERE product_search MATCH ?
+        ORDER BY bm25(product_search, ${NAME_WEIGHT}, ${TEXT_WEIGHT})
+        LIMIT ?
+      `),
+      insertImport: this.db.prepare('INSERT INTO imports (source) VALUES (?)'),
+      listImports: this.db.prepare('SELECT source FROM imports ORDER BY id')
+    };
+
+    // Store a batch of products in one transaction; returns how many were stored
+    this.upsertMany = this.db.transaction(products => {
+      let stored = 0;
+      for (const product of products) {
+        if (this.upsert(product)) {
+          stored++;
+        }
+      }
+      return stored;
+    });
+  }
+
+  get size() {
+    return this.statements.count.get().count;
+  }
+
+  // Past imports ({ file, format, imported, importedAt }), oldest first
+  get sources() {
+    return this.statements.listImports.all().map(row => JSON.parse(row.source));
+  }
+
+  getByBarcode(code) {
+    // UPC-A codes are stored as EAN-13 with a leading zero
+    const row = this.statements.getByCode.get(code) || this.statements.getByCode.get(`0${code}`);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  // Products matching any search token, best matches first
+  search(searchTerm, { limit = 5 } = {}) {
+    const tokens = [...new Set(tokenize(searchTerm))];
+    if (tokens.length === 0) {
+      return [];
+    }
+
+    // Quote each token so FTS5 reads it as a plain term, never as syntax
+    const query = tokens.map(token => `"${token.replace(/"/g, '""')}"`).join(' OR ');
+    return this.statements.search.all(query, limit).map(row => JSON.parse(row.data));
+  }
+
+  // Add or replace a product. Returns false for products without a barcode.
+  // Use upsertMany to store many at once in a single transaction.
+  upsert(product) {
+    if (!product.code) {
+      return false;
+    }
+
+    const data = JSON.stringify(product);
+    const existing = this.statements.getByCode.get(product.code);
+    let id;
+
+    if (existing) {
+      id = existing.id;
+      this.statements.update.run(data, id);
+      this.statements.deleteIndex.run(id);
+    } else {
+      id = this.statements.insert.run(product.code, data).lastInsertRowid;
+    }
+
+    this.statements.insertIndex.run(
+      id,
+      tokenize(`${product.product_name || ''} ${product.product_name_en || ''}`).join(' '),
+      tokenize(`${product.brands || ''} ${product.categories || ''}`).join(' ')
+    );
+    return true;
+  }
+
+  clear() {
+    this.db.exec('DELETE FROM products; DELETE FROM product_search; DELETE FROM imports;');
+  }
+
+  // Note a finished import ({ file, format, imported, importedAt })
+  recordImport(source) {
+    this.statements.insertImport.run(JSON.stringify(source));
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = { ProductDatabase };
@@ -0,0 +1,44 @@
+// Give images and meals stored before user accounts existed to one account,
+// so they show up in that user's history again.
+//
+// Usage:
+//   npm run assign-owner -- <email>
+//
+// Run it with the backend stopped; the server keeps its data in memory and
+// would overwrite the change on its next write.
+
+const { UserStore } = require('../user-store');
+const { ImageStore } = require('../image-store');
+const { MealStore } = require('../meal-store');
+
+function main() {
+  const email = process.argv[2];
+  if (!email) {
+    console.error('Usage: npm run assign-owner -- <email>');
+    process.exit(1);
+  }
+
+  const user = new UserStore().findByEmail(email);
+  if (!user) {
+    console.error(`No account found for ${email}`);
+    process.exit(1);
+  }
+
+  const imageStore = new ImageStore();
+  const images = Object.values(imageStore.images).filter(image => !image.ownerId);
+  for (const image of images) {
+    image.ownerId = user.id;
+  }
+  imageStore.store.save();
+
+  const mealStore = new MealStore();
+  const meals = mealStore.meals.filter(meal => !meal.ownerId);
+  for (const meal of meals) {
+    meal.ownerId = user.id;
+  }
+  mealStore.store.save();
+
+  console.log(`Assigned ${images.length} images and ${meals.length} meals to ${user.email}`);
+}
+
+main();
@@ -0,0 +1,195 @@
+// Import an Open Food Facts export into the local product database.
+//
+// Usage:
+//   npm run import-products -- <file> [--limit N] [--replace]
+//
+// Supports the JSONL export (openfoodfacts-products.jsonl) and the CSV/TSV
+// export (en.openfoodfacts.org.products.csv, tab-separated despite its name),
+// optionally gzipped. The file is
+// streamed and products are written in batches, so a full export imports
+// without being held in memory.
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const zlib = require('zlib');
+const { ProductDatabase } = require('../product-db');
+const { slimProduct } = require('../open-food-facts');
+
+// Products written per transaction
+const BATCH_SIZE = 1000;
+
+function parseArgs(argv) {
+  const options = { file: null, limit: Infinity, replace: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--limit') {
+      options.limit = Number(argv[++i]);
+    } else if (argv[i] === '--replace') {
+      options.replace = true;
+    } else {
+      options.file = argv[i];
+    }
+  }
+
+  return options;
+}
+
+// Split one delimited line. Comma-separated fields may be double-quoted;
+// tab-separated exports don't quote fields (a product name can start with a
+// literal quote), so those lines are split on tabs only.
+function splitDelimitedLine(line, delimiter) {
+  if (delimiter === '\t') {
+    return line.split('\t');
+  }
+
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  fields.push(field);
+  return fields;
+}
+
+// CSV exports list tags comma-separated ("en:milk,en:soybeans")
+function splitTags(value) {
+  return value ? value.split(',').map(tag => tag.trim()).filter(Boolean) : undefined;
+}
+
+// Map a CSV export row onto the JSON product fields
+function productFromRow(row) {
+  const nutriments = {};
+  for (const [column, value] of Object.entries(row)) {
+    if (column.endsWith('_100g') && value !== '') {
+      const number = Number(value);
+      if (Number.isFinite(number)) {
+        nutriments[column] = number;
+      }
+    }
+  }
+
+  return {
+    code: row.code,
+    product_name: row.product_name,
+    brands: row.brands,
+    categories: row.categories,
+    nutrition_grades: row.nutriscore_grade || row.nutrition_grade_fr,
+    image_url: row.image_url,
+    serving_size: row.serving_size,
+    serving_quantity: row.serving_quantity,
+    allergens_tags: splitTags(row.allergens_tags || row.allergens),
+    traces_tags: splitTags(row.traces_tags),
+    ingredients_analysis_tags: splitTags(row.ingredients_analysis_tags),
+    labels_tags: splitTags(row.labels_tags),
+    ingredients_text: row.ingredients_text,
+    nutriments
+  };
+}
+
+async function importProducts({ file, limit, replace }) {
+  const isGzipped = file.endsWith('.gz');
+  const baseName = isGzipped ? file.slice(0, -3) : file;
+  const format = /\.jsonl?$/i.test(baseName) ? 'jsonl' : /\.tsv$/i.test(baseName) ? 'tsv' : 'csv';
+
+  let input = fs.createReadStream(file);
+  if (isGzipped) {
+    input = input.pipe(zlib.createGunzip());
+  }
+
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  const database = new ProductDatabase();
+
+  if (replace) {
+    database.clear();
+  }
+
+  let header = null;
+  let delimiter = ',';
+  let imported = 0;
+  let skipped = 0;
+  let batch = [];
+
+  const flush = () => {
+    const stored = database.upsertMany(batch);
+    skipped += batch.length - stored;
+    imported += stored;
+    batch = [];
+
+    if (Math.floor(imported / 10000) > Math.floor((imported - stored) / 10000)) {
+      console.log(`Imported ${imported} products...`);
+    }
+  };
+
+  for await (const line of lines) {
+    if (imported + batch.length >= limit) {
+      break;
+    }
+
+    if (!line.trim()) {
+      continue;
+    }
+
+    let product;
+    try {
+      if (format === 'jsonl') {
+        product = JSON.parse(line);
+      } else if (!header) {
+        delimiter = format === 'tsv' || line.includes('\t') ? '\t' : ',';
+        header = splitDelimitedLine(line, delimiter);
+        continue;
+      } else {
+        const values = splitDelimitedLine(line, delimiter);
+        product = productFromRow(Object.fromEntries(header.map((column, i) => [column, values[i] || ''])));
+      }
+    } catch (error) {
+      skipped++;
+      continue;
+    }
+
+    batch.push(slimProduct(product));
+    if (batch.length >= BATCH_SIZE) {
+      flush();
+    }
+  }
+
+  lines.close();
+  flush();
+  database.recordImport({ file: path.basename(file), format, imported, importedAt: new Date().toISOString() });
+
+  console.log(`Imported ${imported} products (${skipped} skipped). Local database now has ${database.size} products.`);
+  database.close();
+}
+
+const options = parseArgs(process.argv.slice(2));
+
+if (!options.file) {
+  console.error('Usage: npm run import-products -- <file.jsonl|file.csv|file.tsv[.gz]> [--limit N] [--replace]');
+  process.exit(1);
+}
+
+importProducts(options).catch(error => {
+  console.error('Import failed:', error);
+  process.exit(1);
+});
@@ -1,83 +1,102 @@
 const express = require('express');
 const multer = require('multer');
 const cors = require('cors');
-const path = require('path');
 const fs = require('fs');
-const vision = require('@google-cloud/vision');
-const { MockVisionClient } = require('./vision-mock');
-const OpenAI = require('openai');
+const { Readable } = require('stream');
+const { MealStore, parseMealFields } = require('./meal-store');
+const { UserStore, RegistrationError, describeUser } = require('./user-store');
+const { JobStore, describeJob, isFinished } = require('./job-store');
+const { createAuthMiddleware, ensureOwner } = require('./auth');
+const { ImageStore, InvalidImageError } = require('./image-store');
+const {
+  PRODUCT_NUTRIENT_KEYS,
+  summarizeDay,
+  toDateKey,
+  isDateKey,
+  describeMealNutrition,
+  getMealPortions,
+  getPer100gNutrients,
+  computeProductNutrients
+} = require('./nutrition');
+const { parseReference, parsePortions } = require('./portions');
+const { isGenericLabel } = require('./food-names');
+const { createPurchase, applyPurchaseChanges } = require('./prices');
+const { getPurchaseCategory, summarizeSpending } = require('./spending');
+const {
+  parseDietaryProfile,
+  checkAnalysis,
+  checkProduct,
+  checkMeal,
+  describeProfileOptions
+} = require('./dietary-profile');
+const { parseGoals, computeProgress } = require('./goals');
+const {
+  ImportValidationError,
+  jsonExportChunks,
+  csvExportChunks,
+  parseMealExport,
+  linkImportedMeals
+} = require('./meal-export');
+const { createAnalyzerRegistry, AnalysisValidationError } = require('./analyzers');
+const { detectBarcode } = require('./barcode');
+const { RequestTimeoutError, formatProduct } = require('./open-food-facts');
+const { mapWithConcurrency } = require('./async-utils');
+const { ProductCatalog } = require('./product-catalog');
+const { ProductDatabase } = require('./product-db');
+const { ProductCache } = require('./product-cache');
 
 const app = express();
 const PORT = 3001;
 
-// Initialize Vision client (Google Cloud or Mock for development)
-let visionClient;
+// Maximum number of product lookups run in parallel for one search request
+const PRODUCT_SEARCH_CONCURRENCY = Number(process.env.OFF_CONCURRENCY) || 4;
 
-// Check if Google Cloud credentials are available
-if (process.env.GOOGLE_APPLICATION_CREDENTIALS || process.env.GOOGLE_CLOUD_PROJECT) {
-  try {
-    visionClient = new vision.ImageAnnotatorClient();
-    console.log('Using Google Cloud Vision API');
-  } catch (error) {
-    console.log('Google Cloud Vision API failed, using Mock Vision API');
-    visionClient = new MockVisionClient();
-  }
-} else {
-  // No credentials found, use mock client for development/testing
-  console.log('No Google Cloud credentials found, using Mock Vision API');
-  visionClient = new MockVisionClient();
-}
+// Image analyzers (Google Vision, Mock Vision, OpenAI) behind one interface
+const analyzers = createAnalyzerRegistry();
 
-// Initialize OpenAI client (if API key is available)
-let openaiClient;
-if (process.env.OPENAI_API_KEY) {
-  try {
-    openaiClient = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-    console.log('OpenAI Vision API available');
-  } catch (error) {
-    console.log('OpenAI initialization failed:', error.message);
-  }
-} else {
-  console.log('No OpenAI API key found - OpenAI Vision will not be available');
-}
+// Content-addressed storage for uploaded images
+const imageStore = new ImageStore();
+
+// Persistent meal log (analyses and product matches linked to uploaded images)
+const mealStore = new MealStore();
+
+// Accounts and login sessions; every image and meal belongs to one user
+const userStore = new UserStore();
+
+// Background analysis jobs, kept on disk so they outlive a restart
+const jobStore = new JobStore();
+
+// Open Food Facts lookups: imported local dataset, then cache, then network
+const productCatalog = new ProductCatalog({
+  database: new ProductDatabase(),
+  cache: new ProductCache()
+});
+console.log(`Local product database: ${productCatalog.database.size} products`);
 
 // Enable CORS for frontend requests
 app.use(cors());
 app.use(express.json());
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const uploadDir = path.join(__dirname, 'uploads');
-
-    // Ensure uploads directory exists
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
-    }
+// Everything but the health check and signing in needs a bearer token
+app.use('/api', createAuthMiddleware(userStore, {
+  publicPaths: ['/health', '/auth/register', '/auth/login']
+}));
 
-    cb(null, uploadDir);
-  },
-  filename: (req, file, cb) => {
-    // Use original filename or create one with timestamp
-    const filename = file.originalname || `food-scan-${Date.now()}.png`;
-    cb(null, filename);
+// Configure multer for file uploads. Files are kept in memory so they can be
+// hashed and type-checked before anything is written to disk.
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB limit
   }
 });
 
-const upload = multer({
-  storage,
+// Meal history imports can embed every image, so they get a larger limit
+const MAX_IMPORT_MB = Number(process.env.IMPORT_MAX_MB) || 100;
+const importUpload = multer({
+  storage: multer.memoryStorage(),
   limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB limit
-  },
-  fileFilter: (req, file, cb) => {
-    // Accept only image files
-    if (file.mimetype.startsWith('image/')) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only image files are allowed!'), false);
-    }
+    fileSize: MAX_IMPORT_MB * 1024 * 1024
   }
 });
 
@@ -90,25 +109,26 @@ app.post('/api/images/upload', upload.single('image'), (req, res) => {
       });
     }
 
-    const imageInfo = {
-      id: Date.now().toString(),
-      filename: req.file.filename,
+    const { image, duplicate } = imageStore.save(req.file.buffer, {
+      ownerId: req.user.id,
       originalname: req.file.originalname,
-      size: req.file.size,
-      path: req.file.path,
-      timestamp: req.body.timestamp || new Date().toISOString(),
-      status: 'uploaded'
-    };
+      timestamp: req.body.timestamp
+    });
 
-    console.log('Image uploaded successfully:', imageInfo);
+    console.log(duplicate ? 'Duplicate image upload, reusing stored image:' : 'Image uploaded successfully:', image.id);
 
     res.json({
       success: true,
-      message: 'Image uploaded successfully',
-      data: imageInfo
+      message: duplicate ? 'Image already uploaded' : 'Image uploaded successfully',
+      duplicate,
+      data: { ...image, status: 'uploaded' }
     });
 
   } catch (error) {
+    if (error instanceof InvalidImageError) {
+      return res.status(400).json({ error: error.message });
+    }
+
     console.error('Upload error:', error);
     res.status(500).json({
       error: 'Failed to upload image',
@@ -117,6 +137,94 @@ app.post('/api/images/upload', upload.single('image'), (req, res) => {
   }
 });
 
+// Create an account and sign in. Body: { email, password }.
+// Resolves to { token, user }.
+app.post('/api/auth/register', async (req, res) => {
+  try {
+    const user = await userStore.register(req.body || {});
+    const token = userStore.createSession(user.id);
+    console.log('User registered:', user.id);
+
+    res.status(201).json({ success: true, data: { token, user: describeUser(user) } });
+
+  } catch (error) {
+    if (error instanceof RegistrationError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('Registration error:', error);
+    res.status(500).json({
+      error: 'Failed to register',
+      details: error.message
+    });
+  }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { email, password } = req.body || {};
+
+    if (!email || !password) {
+      return res.status(400).json({ error: 'email and password are required' });
+    }
+
+    const user = await userStore.authenticate(email, password);
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    const token = userStore.createSession(user.id);
+    res.json({ success: true, data: { token, user: describeUser(user) } });
+
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      error: 'Failed to log in',
+      details: error.message
+    });
+  }
+});
+
+// End the session the request was made with
+app.post('/api/auth/logout', (req, res) => {
+  userStore.revokeSession(req.token);
+  res.json({ success: true });
+});
+
+app.get('/api/auth/me', (req, res) => {
+  res.json({ success: true, data: describeUser(req.user) });
+});
+
+// The signed-in user's dietary profile, plus the allergens and diets it can list
+app.get('/api/profile/dietary', (req, res) => {
+  res.json({
+    success: true,
+    data: userStore.getDietaryProfile(req.user.id),
+    options: describeProfileOptions()
+  });
+});
+
+// Replace the dietary profile. Body: { allergens, diets, excludedIngredients }
+app.put('/api/profile/dietary', (req, res) => {
+  try {
+    let profile;
+    try {
+      profile = parseDietaryProfile(req.body);
+    } catch (profileError) {
+      return res.status(400).json({ error: profileError.message });
+    }
+
+    res.json({ success: true, data: userStore.setDietaryProfile(req.user.id, profile) });
+
+  } catch (error) {
+    console.error('Error saving dietary profile:', error);
+    res.status(500).json({
+      error: 'Failed to save dietary profile',
+      details: error.message
+    });
+  }
+});
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.json({
@@ -126,34 +234,47 @@ app.get('/api/health', (req, res) => {
   });
 });
 
-// List uploaded images (for future ML processing)
+// Page size limits for the image listing
+const DEFAULT_IMAGE_PAGE_SIZE = 20;
+const MAX_IMAGE_PAGE_SIZE = 100;
+
+// List uploaded images, newest first. Supports ?limit=&offset= paging and
+// ?from=&to= filtering on capture time (dates or ISO timestamps, inclusive).
 app.get('/api/images', (req, res) => {
   try {
-    const uploadsDir = path.join(__dirname, 'uploads');
+    const limit = req.query.limit !== undefined ? Number(req.query.limit) : DEFAULT_IMAGE_PAGE_SIZE;
+    const offset = req.query.offset !== undefined ? Number(req.query.offset) : 0;
 
-    if (!fs.existsSync(uploadsDir)) {
-      return res.json({ images: [] });
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_IMAGE_PAGE_SIZE) {
+      return res.status(400).json({
+        error: `limit must be an integer between 1 and ${MAX_IMAGE_PAGE_SIZE}`
+      });
     }
 
-    const files = fs.readdirSync(uploadsDir)
-      .filter(file => file.match(/\.(jpg|jpeg|png|gif)$/i))
-      .map(file => {
-        const filePath = path.join(uploadsDir, file);
-        const stats = fs.statSync(filePath);
+    if (!Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({
+        error: 'offset must be a non-negative integer'
+      });
+    }
 
-        return {
-          filename: file,
-          path: filePath,
-          size: stats.size,
-          created: stats.birthtime,
-          modified: stats.mtime
-        };
-      })
-      .sort((a, b) => b.created - a.created); // Newest first
+    const from = parseDateBound(req.query.from, 'start');
+    const to = parseDateBound(req.query.to, 'end');
+
+    if (from === null || to === null) {
+      return res.status(400).json({
+        error: 'from and to must be YYYY-MM-DD dates or ISO timestamps'
+      });
+    }
+
+    const { images, total } = imageStore.list({ ownerId: req.user.id, from, to, limit, offset });
 
     res.json({
-      images: files,
-      count: files.length
+      images: images.map(describeScan),
+      count: images.length,
+      total,
+      limit,
+      offset,
+      hasMore: offset + images.length < total
     });
 
   } catch (error) {
@@ -165,402 +286,1272 @@ app.get('/api/images', (req, res) => {
   }
 });
 
-// Analyze image with Google Vision API
-app.post('/api/images/analyze', async (req, res) => {
-  try {
-    const { filename } = req.body;
+app.get('/api/images/:id', (req, res) => {
+  const image = findStoredImage(req.params.id);
 
-    if (!filename) {
-      return res.status(400).json({
-        error: 'Filename is required'
-      });
-    }
+  if (!ensureOwner(req, res, image, { error: 'Image not found' })) {
+    return;
+  }
+
+  res.json({ success: true, data: describeScan(image) });
+});
 
-    const imagePath = path.join(__dirname, 'uploads', filename);
+// Image files never change once stored (IDs are content hashes), so clients
+// may cache them indefinitely. They're private to their owner, though, so
+// shared caches must not keep them.
+const IMAGE_CACHE_HEADERS = { 'Cache-Control': 'private, max-age=31536000, immutable' };
 
-    // Check if image file exists
-    if (!fs.existsSync(imagePath)) {
-      return res.status(404).json({
-        error: 'Image file not found',
-        filename
-      });
+app.get('/api/images/:id/file', (req, res) => {
+  const image = findStoredImage(req.params.id);
+
+  if (!ensureOwner(req, res, image, { error: 'Image not found' })) {
+    return;
+  }
+
+  res.type(image.mimeType).set(IMAGE_CACHE_HEADERS).sendFile(image.path);
+});
+
+app.get('/api/images/:id/thumbnail', (req, res) => {
+  try {
+    if (!ensureOwner(req, res, findStoredImage(req.params.id), { error: 'Image not found' })) {
+      return;
     }
 
-    console.log(`Analyzing image: ${filename}`);
-
-    // Perform Google Vision API analysis
-    const [labelResult] = await visionClient.labelDetection(imagePath);
-    const [textResult] = await visionClient.textDetection(imagePath);
-    const [objectResult] = await visionClient.objectLocalization(imagePath);
-
-    // Extract and format results
-    const labels = labelResult.labelAnnotations || [];
-    const textAnnotations = textResult.textAnnotations || [];
-    const objects = objectResult.localizedObjectAnnotations || [];
-
-    const analysisResults = {
-      filename,
-      timestamp: new Date().toISOString(),
-      results: {
-        // Food-related labels with confidence scores
-        foodItems: labels
-          .filter(label => label.score > 0.6)
-          .map(label => ({
-            name: label.description,
-            confidence: Math.round(label.score * 100),
-            category: 'detected_food'
-          })),
-
-        // Extracted text from packaging
-        extractedText: textAnnotations.length > 0 ? {
-          fullText: textAnnotations[0].description || '',
-          detectedWords: textAnnotations.slice(1).map(text => ({
-            text: text.description,
-            confidence: Math.round((text.confidence || 0.8) * 100)
-          }))
-        } : null,
-
-        // Detected objects
-        objects: objects
-          .filter(obj => obj.score > 0.5)
-          .map(obj => ({
-            name: obj.name,
-            confidence: Math.round(obj.score * 100),
-            category: 'detected_object'
-          })),
-
-        // Analysis metadata
-        totalLabels: labels.length,
-        processingTime: new Date().toISOString(),
-        apiProvider: 'Google Cloud Vision'
-      }
-    };
+    const thumbnail = imageStore.getThumbnail(req.params.id);
+    res.type(thumbnail.mimeType).set(IMAGE_CACHE_HEADERS).sendFile(thumbnail.path);
 
-    console.log(`Analysis completed for ${filename}:`, {
-      labels: labels.length,
-      textDetected: textAnnotations.length > 0,
-      objects: objects.length
+  } catch (error) {
+    console.error('Error generating thumbnail:', error);
+    res.status(500).json({
+      error: 'Failed to generate thumbnail',
+      details: error.message
     });
+  }
+});
 
-    res.json({
-      success: true,
-      data: analysisResults
-    });
+// Delete an image along with the meals logged against it
+app.delete('/api/images/:id', (req, res) => {
+  try {
+    if (!ensureOwner(req, res, imageStore.get(req.params.id), { error: 'Image not found' })) {
+      return;
+    }
+
+    imageStore.remove(req.params.id);
+    const deletedMeals = mealStore.removeByImage(req.user.id, req.params.id);
+    console.log('Image deleted:', req.params.id, `(${deletedMeals} meals removed)`);
+
+    res.json({ success: true, deletedMeals });
 
   } catch (error) {
-    console.error('Error analyzing image:', error);
+    console.error('Error deleting image:', error);
     res.status(500).json({
-      error: 'Failed to analyze image',
+      error: 'Failed to delete image',
       details: error.message
     });
   }
 });
 
-// Analyze image with OpenAI Vision API
-app.post('/api/images/analyze-openai', async (req, res) => {
+// Parse a ?from=/?to= query value into an ISO timestamp. Bare dates cover the
+// whole day. Returns undefined when absent and null when invalid.
+function parseDateBound(value, edge) {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+
+  const isDateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const time = Date.parse(isDateOnly ? `${value}T${edge === 'start' ? '00:00:00.000' : '23:59:59.999'}Z` : value);
+
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+// Image record plus file URLs and the analysis status of the meals logged
+// against it, as shown in the scan history
+function describeScan(image) {
+  const meals = mealStore.list({ ownerId: image.ownerId, imageId: image.id });
+  const providers = [...new Set(meals.flatMap(meal => meal.analyses.map(analysis => analysis.provider)))];
+
+  return {
+    id: image.id,
+    originalname: image.originalname,
+    mimeType: image.mimeType,
+    size: image.size,
+    timestamp: image.timestamp,
+    uploadedAt: image.uploadedAt,
+    url: `/api/images/${image.id}/file`,
+    thumbnailUrl: `/api/images/${image.id}/thumbnail`,
+    mealIds: meals.map(meal => meal.id),
+    analysisStatus: providers.length > 0 ? 'analyzed' : 'pending',
+    analyzedBy: providers,
+    productMatchCount: meals.reduce((count, meal) => count + meal.productMatches.length, 0)
+  };
+}
+
+// List analyzer providers and whether they're configured
+app.get('/api/analyzers', (req, res) => {
+  res.json({
+    analyzers: analyzers.list(),
+    defaultProvider: analyzers.defaultProvider()
+  });
+});
+
+// Analyze image with any registered provider (?provider=google|openai|mock)
+app.post('/api/images/analyze', async (req, res) => {
   try {
-    const { filename } = req.body;
+    const { imageId, mealId, refresh } = req.body;
+    const provider = req.query.provider || req.body.provider || analyzers.defaultProvider();
 
-    if (!filename) {
+    if (!imageId) {
       return res.status(400).json({
-        error: 'Filename is required'
+        error: 'imageId is required'
       });
     }
 
-    // Check if OpenAI client is available
-    if (!openaiClient) {
-      return res.status(503).json({
-        error: 'OpenAI Vision API not available',
-        details: 'OpenAI API key not configured'
-      });
+    let reference;
+    try {
+      reference = parseReference(req.body.reference);
+    } catch (referenceError) {
+      return res.status(400).json({ error: referenceError.message });
     }
 
-    const imagePath = path.join(__dirname, 'uploads', filename);
+    const analyzer = analyzers.get(provider);
 
-    // Check if image file exists
-    if (!fs.existsSync(imagePath)) {
-      return res.status(404).json({
-        error: 'Image file not found',
-        filename
+    if (!analyzer) {
+      return res.status(400).json({
+        error: 'Unknown analyzer provider',
+        provider,
+        available: analyzers.list().map(item => item.name)
       });
     }
 
-    console.log(`Analyzing image with OpenAI: ${filename}`);
-
-    // Convert image to base64 for OpenAI API
-    const imageBuffer = fs.readFileSync(imagePath);
-    const base64Image = imageBuffer.toString('base64');
-    const mimeType = 'image/png'; // Assuming PNG format
-
-    // Call OpenAI Vision API with detailed food analysis prompt
-    const response = await openaiClient.chat.completions.create({
-      model: 'gpt-4o',
-      messages: [
-        {
-          role: 'user',
-          content: [
-            {
-              type: 'text',
-              text: `Analyze this food image in detail. Please provide:
-
-1. **Food Items**: List all food items you can identify with confidence levels
-2. **Portion Sizes**: Estimate portion sizes using visual cues and scale references in the image
-3. **Nutritional Analysis**: Provide estimated nutritional information (calories, protein, carbs, fat, fiber)
-4. **Food Quality**: Assess freshness, preparation method, and overall quality
-5. **Cultural Context**: Identify cuisine type or cultural background if apparent
-6. **Dietary Information**: Note any dietary considerations (vegetarian, vegan, gluten-free, etc.)
-7. **Ingredients**: List likely ingredients used in preparation
-8. **Serving Suggestions**: Provide context about typical serving sizes
-
-Please structure your response as JSON with clear categories. Be specific about confidence levels for your identifications.`
-            },
-            {
-              type: 'image_url',
-              image_url: {
-                url: `data:${mimeType};base64,${base64Image}`,
-                detail: 'high'
-              }
-            }
-          ]
-        }
-      ],
-      max_tokens: 1500,
-      temperature: 0.1
-    });
-
-    // Parse OpenAI response
-    const analysisText = response.choices[0].message.content;
-
-    // Try to parse JSON response, fallback to structured text parsing
-    let structuredAnalysis;
-    try {
-      structuredAnalysis = JSON.parse(analysisText);
-    } catch (jsonError) {
-      // If not valid JSON, create structured response from text
-      structuredAnalysis = {
-        rawAnalysis: analysisText,
-        foodItems: extractFoodItems(analysisText),
-        nutritionalInfo: extractNutritionalInfo(analysisText),
-        portionSizes: extractPortionInfo(analysisText),
-        confidence: 'high'
-      };
+    // Check if the provider's client is configured
+    if (!analyzer.isAvailable()) {
+      return res.status(503).json({
+        error: `${analyzer.label} not available`,
+        details: 'Provider credentials not configured'
+      });
     }
 
-    const analysisResults = {
-      filename,
-      timestamp: new Date().toISOString(),
-      provider: 'OpenAI GPT-4 Vision',
-      results: {
-        detailedAnalysis: structuredAnalysis,
-        conversationalSummary: analysisText,
+    const image = findStoredImage(imageId);
 
-        // Extract food items in compatible format for Open Food Facts integration
-        foodItems: extractCompatibleFoodItems(structuredAnalysis, analysisText),
+    if (!ensureOwner(req, res, image, { error: 'Image not found', imageId })) {
+      return;
+    }
 
-        // Nutritional insights
-        nutritionalAnalysis: structuredAnalysis.nutritionalInfo || extractNutritionalInfo(analysisText),
+    if (mealId && !ensureOwner(req, res, mealStore.get(mealId), { error: 'Meal not found', mealId })) {
+      return;
+    }
 
-        // Additional OpenAI-specific insights
-        culturalContext: structuredAnalysis.culturalContext || null,
-        dietaryConsiderations: structuredAnalysis.dietaryInformation || null,
-        qualityAssessment: structuredAnalysis.foodQuality || null,
+    const cached = findCachedAnalysis(mealId, provider, refresh, reference);
+    if (cached) {
+      console.log(`Returning stored ${analyzer.label} analysis for meal ${mealId}`);
+      return res.json({
+        success: true,
+        cached: true,
+        data: cached.data,
+        dietaryWarnings: checkAnalysis(userStore.getDietaryProfile(req.user.id), cached.data.results)
+      });
+    }
 
-        // Metadata
-        processingTime: new Date().toISOString(),
-        apiProvider: 'OpenAI GPT-4 Vision'
-      }
-    };
+    console.log(`Analyzing image with ${analyzer.label}: ${imageId}`);
 
-    console.log(`OpenAI analysis completed for ${filename}`);
+    const analysisResults = await analyzeImage(image, { provider, mealId, reference });
 
+    // Warnings follow the current profile, so they're worked out per response
+    // rather than stored with the analysis
     res.json({
       success: true,
-      data: analysisResults
+      data: analysisResults,
+      dietaryWarnings: checkAnalysis(userStore.getDietaryProfile(req.user.id), analysisResults.results)
     });
 
   } catch (error) {
-    console.error('Error analyzing image with OpenAI:', error);
+    console.error('Error analyzing image:', error);
+
+    // The provider answered, but not with a usable analysis
+    if (error instanceof AnalysisValidationError) {
+      return res.status(502).json({
+        error: 'Analyzer returned an invalid response',
+        details: error.message,
+        validationErrors: error.errors
+      });
+    }
+
     res.status(500).json({
-      error: 'Failed to analyze image with OpenAI',
+      error: 'Failed to analyze image',
       details: error.message
     });
   }
 });
 
-// Helper functions for parsing OpenAI response
-function extractFoodItems(text) {
-  // Simple food item extraction from text
-  const foodPatterns = [
-    /food items?[:\s]*([^\.]+)/i,
-    /identified?[:\s]*([^\.]+)/i,
-    /contains?[:\s]*([^\.]+)/i
-  ];
+// Run an analyzer on a stored image and log the analysis with the meal, if
+// one is given
+async function analyzeImage(image, { provider, mealId, reference, onProgress }) {
+  const analysis = await analyzers.analyze(provider, image, { reference, onProgress });
 
-  const items = [];
-  for (const pattern of foodPatterns) {
-    const match = text.match(pattern);
-    if (match) {
-      const foodText = match[1];
-      const foodItems = foodText.split(/[,;]/).map(item => item.trim());
-      items.push(...foodItems);
-    }
+  if (mealId) {
+    mealStore.addAnalysis(mealId, provider, analysis);
+    recordPriceTag(mealId, analysis);
   }
 
-  return items.slice(0, 5).map((item, index) => ({
-    name: item,
-    confidence: Math.max(60, 95 - index * 10), // Decreasing confidence
-    category: 'detected_food'
-  }));
+  return analysis;
 }
 
-function extractNutritionalInfo(text) {
-  const nutritionPatterns = {
-    calories: /(\d+)\s*(?:cal|calories)/i,
-    protein: /(\d+(?:\.\d+)?)\s*g?\s*protein/i,
-    carbs: /(\d+(?:\.\d+)?)\s*g?\s*carb/i,
-    fat: /(\d+(?:\.\d+)?)\s*g?\s*fat/i
-  };
+// Stored image record plus its path on disk, or null if the ID is unknown or
+// the file has gone missing
+function findStoredImage(imageId) {
+  const image = imageStore.get(imageId);
+  const imagePath = imageStore.getPath(imageId);
 
-  const nutrition = {};
-  for (const [key, pattern] of Object.entries(nutritionPatterns)) {
-    const match = text.match(pattern);
-    if (match) {
-      nutrition[key] = match[1];
-    }
+  if (!image || !fs.existsSync(imagePath)) {
+    return null;
   }
 
-  return Object.keys(nutrition).length > 0 ? nutrition : null;
+  return { ...image, path: imagePath };
 }
 
-function extractPortionInfo(text) {
-  const portionPatterns = [
-    /portion[:\s]*([^\.]+)/i,
-    /serving[:\s]*([^\.]+)/i,
-    /amount[:\s]*([^\.]+)/i
-  ];
-
-  for (const pattern of portionPatterns) {
-    const match = text.match(pattern);
-    if (match) {
-      return match[1].trim();
-    }
+// Look up a previously stored analysis so the same photo isn't analyzed twice.
+// An analysis made with a different size reference doesn't count.
+// Returns null if there's nothing cached.
+function findCachedAnalysis(mealId, provider, refresh, reference) {
+  if (!mealId) {
+    return null;
   }
 
-  return null;
+  const cached = refresh ? null : mealStore.findAnalysis(mealId, provider);
+  const sameReference = cached && JSON.stringify(cached.data.reference || null) === JSON.stringify(reference);
+  return sameReference ? cached : null;
 }
 
-function extractCompatibleFoodItems(structuredData, text) {
-  // Extract food items in format compatible with Open Food Facts integration
-  if (structuredData && structuredData.foodItems && Array.isArray(structuredData.foodItems)) {
-    return structuredData.foodItems.map(item => ({
-      name: typeof item === 'string' ? item : item.name || item.food,
-      confidence: item.confidence || 80,
-      category: 'detected_food'
-    }));
+// Store a price read off a shelf tag as the meal's purchase, unless the user
+// has already entered one. Items sold by weight are costed at the estimated
+// weight of the first specific food detected.
+function recordPriceTag(mealId, analysis) {
+  const tag = analysis.results.text && analysis.results.text.priceTag;
+  const meal = mealStore.get(mealId);
+
+  if (!tag || !meal || (meal.purchase && meal.purchase.source === 'user')) {
+    return;
+  }
+
+  const item = getMealPortions(meal).find(portion => !isGenericLabel(portion.name) && portion.grams > 0);
+  const purchase = createPurchase(tag, { grams: item ? item.grams : null });
+
+  if (meal.purchase) {
+    purchase.store = meal.purchase.store;
+    purchase.category = meal.purchase.category;
   }
 
-  // Fallback to text extraction
-  return extractFoodItems(text);
+  mealStore.update(mealId, { purchase: { ...purchase, product: pickPurchaseProduct(meal) } });
 }
 
-// Search Open Food Facts for product information
-app.post('/api/products/search', async (req, res) => {
+// The product a meal's purchase is for: the one the user chose, else the top
+// product search match
+function pickPurchaseProduct(meal) {
+  const match = meal.productMatches.find(result => result.products && result.products.length > 0);
+  const product = meal.products[0] || (match && match.products[0]);
+
+  return product ? {
+    code: product.code || null,
+    name: product.name,
+    brand: product.brand || '',
+    categories: product.categories || ''
+  } : null;
+}
+
+// Re-link a meal's purchase after its products change
+function attachPurchaseProduct(mealId) {
+  const meal = mealStore.get(mealId);
+
+  if (meal && meal.purchase) {
+    mealStore.update(mealId, { purchase: { ...meal.purchase, product: pickPurchaseProduct(meal) } });
+  }
+}
+
+// How often an idle progress stream sends a comment, so proxies keep it open
+const SSE_HEARTBEAT_MS = 15 * 1000;
+
+// Start an analysis in the background. Takes the same fields as
+// /api/images/analyze (a stored analysis is reused the same way), as JSON
+// or as multipart form data with the photo itself in "image" (which is then
+// uploaded as the job's first step), plus searchProducts (default true) to
+// look up products for the detected food. Answers 202 with the job; follow
+// it with GET /api/jobs/:id or the /api/jobs/:id/events stream.
+app.post('/api/jobs', upload.single('image'), (req, res) => {
   try {
-    const { foodItems } = req.body;
+    const { mealId } = req.body;
+    const refresh = [true, 'true'].includes(req.body.refresh);
+    const type = req.body.type || 'analysis';
+    const provider = req.query.provider || req.body.provider || analyzers.defaultProvider();
+    const searchProducts = ![false, 'false'].includes(req.body.searchProducts);
+
+    if (type !== 'analysis') {
+      return res.status(400).json({ error: 'Unknown job type', type, available: ['analysis'] });
+    }
+
+    if (!req.file && !req.body.imageId) {
+      return res.status(400).json({ error: 'imageId or an image file is required' });
+    }
 
-    if (!foodItems || !Array.isArray(foodItems) || foodItems.length === 0) {
+    let reference;
+    try {
+      // Multipart fields arrive as strings
+      const input = typeof req.body.reference === 'string' ? JSON.parse(req.body.reference) : req.body.reference;
+      reference = parseReference(input);
+    } catch (referenceError) {
+      return res.status(400).json({ error: `Invalid reference: ${referenceError.message}` });
+    }
+
+    const analyzer = analyzers.get(provider);
+
+    if (!analyzer) {
       return res.status(400).json({
-        error: 'foodItems array is required'
+        error: 'Unknown analyzer provider',
+        provider,
+        available: analyzers.list().map(item => item.name)
       });
     }
 
-    console.log('Searching Open Food Facts for food items:', foodItems.map(item => item.name));
+    if (!analyzer.isAvailable()) {
+      return res.status(503).json({
+        error: `${analyzer.label} not available`,
+        details: 'Provider credentials not configured'
+      });
+    }
 
-    const productResults = [];
+    if (mealId && !ensureOwner(req, res, mealStore.get(mealId), { error: 'Meal not found', mealId })) {
+      return;
+    }
 
-    // Search for each detected food item
-    for (const foodItem of foodItems) {
-      try {
-        const searchTerm = encodeURIComponent(foodItem.name);
-        const searchUrl = `https://world.openfoodfacts.org/cgi/search.pl?search_terms=${searchTerm}&json=1&page_size=5`;
-
-        console.log(`Searching for "${foodItem.name}": ${searchUrl}`);
-
-        const response = await fetch(searchUrl);
-        const data = await response.json();
-
-        if (data.products && data.products.length > 0) {
-          const products = data.products.slice(0, 3).map(product => ({
-            id: product.id || product._id,
-            name: product.product_name || product.product_name_en || 'Unknown Product',
-            brand: product.brands || '',
-            url: `https://world.openfoodfacts.org/product/${product.code || product.id}`,
-            image: product.image_url || product.image_front_url,
-            nutritionGrade: product.nutrition_grades || product.nutriscore_grade,
-            categories: product.categories || '',
-            confidence: foodItem.confidence
-          }));
-
-          productResults.push({
-            searchTerm: foodItem.name,
-            detectedConfidence: foodItem.confidence,
-            products
-          });
-        } else {
-          productResults.push({
-            searchTerm: foodItem.name,
-            detectedConfidence: foodItem.confidence,
-            products: []
-          });
-        }
-      } catch (searchError) {
-        console.error(`Error searching for "${foodItem.name}":`, searchError);
-        productResults.push({
-          searchTerm: foodItem.name,
-          detectedConfidence: foodItem.confidence,
-          products: [],
-          error: searchError.message
-        });
-      }
+    let imageId = req.body.imageId;
+    if (req.file) {
+      const { image } = imageStore.save(req.file.buffer, {
+        ownerId: req.user.id,
+        originalname: req.file.originalname,
+        timestamp: req.body.timestamp
+      });
+      imageId = image.id;
+    } else if (!ensureOwner(req, res, findStoredImage(imageId), { error: 'Image not found', imageId })) {
+      return;
     }
 
-    res.json({
-      success: true,
-      data: {
-        searchResults: productResults,
-        totalSearches: foodItems.length,
-        timestamp: new Date().toISOString()
-      }
+    const job = jobStore.create({
+      ownerId: req.user.id,
+      type,
+      input: { imageId, provider, mealId: mealId || null, reference, refresh, searchProducts, uploaded: Boolean(req.file) },
+      steps: ['upload', ...analyzer.steps, ...(searchProducts ? ['products'] : [])]
     });
 
+    console.log(`Analysis job ${job.id} created: ${analyzer.label} on ${imageId}`);
+    runAnalysisJob(job);
+
+    res.status(202)
+      .location(`/api/jobs/${job.id}`)
+      .json({ success: true, data: describeJob(job) });
+
   } catch (error) {
-    console.error('Error searching products:', error);
+    if (error instanceof InvalidImageError) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error('Error creating job:', error);
     res.status(500).json({
-      error: 'Failed to search products',
+      error: 'Failed to create job',
       details: error.message
     });
   }
 });
 
-// Error handling middleware
-app.use((error, req, res, next) => {
-  console.error('Server error:', error);
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobStore.get(req.params.id);
 
-  if (error instanceof multer.MulterError) {
-    if (error.code === 'LIMIT_FILE_SIZE') {
-      return res.status(400).json({ error: 'File too large (max 10MB)' });
-    }
+  if (!ensureOwner(req, res, job, { error: 'Job not found' })) {
+    return;
   }
 
-  res.status(500).json({
-    error: 'Internal server error',
-    details: error.message
+  res.json({ success: true, data: describeJobResult(job, userStore.getDietaryProfile(req.user.id)) });
+});
+
+// Server-sent events for a job: a "job" event with the whole job every time
+// it changes, starting with its current state. The stream ends once the job
+// has succeeded or failed. EventSource can't send headers, so the token may
+// be passed as ?access_token=.
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = jobStore.get(req.params.id);
+
+  if (!ensureOwner(req, res, job, { error: 'Job not found' })) {
+    return;
+  }
+
+  const profile = userStore.getDietaryProfile(req.user.id);
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
   });
+
+  let unsubscribe = null;
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), SSE_HEARTBEAT_MS);
+  const stop = () => {
+    clearInterval(heartbeat);
+    if (unsubscribe) {
+      unsubscribe();
+    }
+  };
+
+  const send = current => {
+    res.write(`event: job\ndata: ${JSON.stringify(describeJobResult(current, profile))}\n\n`);
+    if (isFinished(current)) {
+      stop();
+      res.end();
+    }
+  };
+
+  req.on('close', stop);
+  send(job);
+  if (!isFinished(job)) {
+    unsubscribe = jobStore.subscribe(job.id, send);
+  }
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`Backend server running on http://localhost:${PORT}`);
+// A job as returned to its owner. Dietary warnings follow the current
+// profile, like /api/images/analyze, so they're added here rather than stored.
+function describeJobResult(job, profile) {
+  const described = describeJob(job);
+  if (!job.result) {
+    return described;
+  }
+
+  const { analysis, productSearch } = job.result;
+  return {
+    ...described,
+    result: {
+      analysis,
+      dietaryWarnings: checkAnalysis(profile, analysis.results),
+      productSearch: productSearch && {
+        ...productSearch,
+        searchResults: withProductWarnings(productSearch.searchResults, profile)
+      }
+    }
+  };
+}
+
+// Run an analysis job's steps, recording each one's progress on the job.
+// Results are logged with the meal just as /api/images/analyze and
+// /api/products/search would.
+async function runAnalysisJob(job) {
+  const { imageId, provider, mealId, reference, refresh, searchProducts, uploaded } = job.input;
+
+  try {
+    jobStore.update(job.id, { status: 'running' });
+    jobStore.updateStep(job.id, 'upload', uploaded ? 'done' : 'skipped');
+
+    const image = findStoredImage(imageId);
+    if (!image) {
+      throw new Error('Image not found');
+    }
+
+    // The meal may have been deleted while the job waited
+    const meal = mealId ? mealStore.get(mealId) : null;
+
+    // With a stored analysis the analyzer's steps are left pending, and
+    // marked skipped below
+    const cached = meal && findCachedAnalysis(meal.id, provider, refresh, reference);
+    const analysis = cached ? cached.data : await analyzeImage(image, {
+      provider,
+      mealId: meal && meal.id,
+      reference,
+      onProgress: ({ step, status, error }) => jobStore.updateStep(job.id, step, status, error || null)
+    });
+
+    let productSearch = null;
+    if (searchProducts) {
+      jobStore.updateStep(job.id, 'products', 'running');
+      const { barcode, productResults } = await findProducts({ foodItems: analysis.results.foodItems, image });
+
+      if (meal) {
+        mealStore.setProductMatches(meal.id, productResults);
+        attachPurchaseProduct(meal.id);
+      }
+
+      jobStore.updateStep(job.id, 'products', 'done');
+      productSearch = {
+        barcode,
+        searchResults: productResults,
+        totalSearches: productResults.length,
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    // Steps an analyzer didn't get to (an ensemble member that was skipped,
+    // or a stored analysis)
+    for (const step of jobStore.get(job.id).steps.filter(item => item.status === 'pending')) {
+      jobStore.updateStep(job.id, step.name, 'skipped');
+    }
+
+    console.log(`Analysis job ${job.id} finished`);
+    jobStore.update(job.id, { status: 'succeeded', result: { analysis, productSearch } });
+
+  } catch (error) {
+    console.error(`Analysis job ${job.id} failed:`, error);
+
+    for (const step of jobStore.get(job.id).steps.filter(item => item.status === 'running')) {
+      jobStore.updateStep(job.id, step.name, 'failed', error.message);
+    }
+
+    jobStore.update(job.id, { status: 'failed', error: error.message });
+  }
+}
+
+// Search Open Food Facts for product information. If an uploaded image ID is given
+// and it contains an EAN-13/UPC-A barcode, that exact product is returned;
+// otherwise falls back to full-text search on the detected food item names.
+app.post('/api/products/search', async (req, res) => {
+  try {
+    const { foodItems = [], imageId, mealId } = req.body;
+
+    if (!Array.isArray(foodItems) || (foodItems.length === 0 && !imageId)) {
+      return res.status(400).json({
+        error: 'foodItems array or imageId is required'
+      });
+    }
+
+    if (mealId && !ensureOwner(req, res, mealStore.get(mealId), { error: 'Meal not found', mealId })) {
+      return;
+    }
+
+    let image = null;
+    if (imageId) {
+      image = findStoredImage(imageId);
+
+      if (!ensureOwner(req, res, image, { error: 'Image not found', imageId })) {
+        return;
+      }
+    }
+
+    const { barcode, productResults } = await findProducts({ foodItems, image });
+
+    if (mealId) {
+      mealStore.setProductMatches(mealId, productResults);
+      attachPurchaseProduct(mealId);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        barcode,
+        searchResults: withProductWarnings(productResults, userStore.getDietaryProfile(req.user.id)),
+        totalSearches: productResults.length,
+        timestamp: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('Error searching products:', error);
+    res.status(500).json({
+      error: 'Failed to search products',
+      details: error.message
+    });
+  }
+});
+
+// Look up a single product by barcode
+app.get('/api/products/barcode/:code', async (req, res) => {
+  try {
+    const { code } = req.params;
+
+    if (!/^\d{8,14}$/.test(code)) {
+      return res.status(400).json({
+        error: 'Barcode must be 8 to 14 digits'
+      });
+    }
+
+    const { product, source } = await productCatalog.getByBarcode(code);
+
+    if (!product) {
+      return res.status(404).json({
+        error: 'Product not found',
+        code
+      });
+    }
+
+    const formatted = formatProduct(product, { includeNutriments: true });
+
+    res.json({
+      success: true,
+      source,
+      data: { ...formatted, dietaryWarnings: checkProduct(userStore.getDietaryProfile(req.user.id), formatted) }
+    });
+
+  } catch (error) {
+    console.error('Error looking up barcode:', error);
+
+    if (error instanceof RequestTimeoutError) {
+      return res.status(504).json({
+        error: 'Open Food Facts did not respond in time',
+        details: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to look up barcode',
+      details: error.message
+    });
+  }
+});
+
+// Per-item lookup status, so the client can tell "no products" from "lookup failed"
+function lookupErrorStatus(error) {
+  return error instanceof RequestTimeoutError ? 'timeout' : 'failed';
+}
+
+// Products for an analysis: the exact product if the image (optional) shows a
+// known barcode, else full-text search on the detected food item names.
+// Resolves to { barcode, productResults }.
+async function findProducts({ foodItems, image }) {
+  let barcode = null;
+  let barcodeFailure = null;
+  let productResults = null;
+
+  if (image) {
+    barcode = detectBarcode(image.path);
+
+    if (barcode) {
+      console.log(`Barcode detected in ${image.id}:`, barcode);
+
+      try {
+        const { product, source } = await productCatalog.getByBarcode(barcode.code);
+
+        if (product) {
+          productResults = [{
+            searchTerm: barcode.code,
+            matchType: 'barcode',
+            status: 'ok',
+            source,
+            detectedConfidence: 100,
+            products: [formatProduct(product, { confidence: 100, includeNutriments: true })]
+          }];
+        } else {
+          console.log(`Barcode ${barcode.code} not found in Open Food Facts, falling back to label search`);
+        }
+      } catch (lookupError) {
+        // Report the failed barcode lookup, but still try the label search
+        console.error(`Error looking up barcode ${barcode.code}:`, lookupError.message);
+        barcodeFailure = {
+          searchTerm: barcode.code,
+          matchType: 'barcode',
+          status: lookupErrorStatus(lookupError),
+          detectedConfidence: 100,
+          products: [],
+          error: lookupError.message
+        };
+      }
+    }
+  }
+
+  if (!productResults) {
+    productResults = await searchFoodItems(foodItems);
+
+    if (barcodeFailure) {
+      productResults.unshift(barcodeFailure);
+    }
+  }
+
+  return { barcode, productResults };
+}
+
+// Search results with each product's warnings against a dietary profile
+function withProductWarnings(productResults, profile) {
+  return productResults.map(result => ({
+    ...result,
+    products: result.products.map(product => ({ ...product, dietaryWarnings: checkProduct(profile, product) }))
+  }));
+}
+
+// Full-text search for each detected food item, a few at a time
+async function searchFoodItems(foodItems) {
+  console.log('Searching Open Food Facts for food items:', foodItems.map(item => item.name));
+
+  return mapWithConcurrency(foodItems, PRODUCT_SEARCH_CONCURRENCY, async (foodItem) => {
+    try {
+      const { products, source } = await productCatalog.search(foodItem.name);
+
+      return {
+        searchTerm: foodItem.name,
+        matchType: 'label',
+        status: 'ok',
+        source,
+        detectedConfidence: foodItem.confidence,
+        products: products.slice(0, 3).map(product => formatProduct(product, { confidence: foodItem.confidence }))
+      };
+    } catch (searchError) {
+      console.error(`Error searching for "${foodItem.name}":`, searchError.message);
+      return {
+        searchTerm: foodItem.name,
+        matchType: 'label',
+        status: lookupErrorStatus(searchError),
+        detectedConfidence: foodItem.confidence,
+        products: [],
+        error: searchError.message
+      };
+    }
+  });
+}
+
+// Meal log endpoints
+app.get('/api/meals', (req, res) => {
+  const meals = mealStore.list({ ownerId: req.user.id, imageId: req.query.imageId });
+
+  res.json({
+    meals,
+    count: meals.length
+  });
+});
+
+app.get('/api/meals/:id', (req, res) => {
+  const meal = mealStore.get(req.params.id);
+
+  if (!ensureOwner(req, res, meal, { error: 'Meal not found' })) {
+    return;
+  }
+
+  res.json({ success: true, data: withNutrition(meal, userStore.getDietaryProfile(req.user.id)) });
+});
+
+// Meal plus its portion breakdown and nutrition totals at the current weights,
+// the spending category its purchase is counted under and any warnings
+// against the owner's dietary profile
+function withNutrition(meal, profile) {
+  return {
+    ...meal,
+    nutrition: describeMealNutrition(meal),
+    purchase: meal.purchase ? { ...meal.purchase, category: getPurchaseCategory(meal) } : null,
+    dietaryWarnings: checkMeal(profile, meal)
+  };
+}
+
+app.post('/api/meals', (req, res) => {
+  try {
+    const { imageId, name, notes, eatenAt, products } = req.body;
+
+    if (!imageId) {
+      return res.status(400).json({
+        error: 'imageId is required'
+      });
+    }
+
+    if (!ensureOwner(req, res, findStoredImage(imageId), { error: 'Image not found', imageId })) {
+      return;
+    }
+
+    if (products !== undefined && !Array.isArray(products)) {
+      return res.status(400).json({ error: 'products must be an array' });
+    }
+
+    let fields;
+    try {
+      fields = parseMealFields({ name, notes, eatenAt });
+    } catch (fieldsError) {
+      return res.status(400).json({ error: fieldsError.message });
+    }
+
+    const meal = mealStore.create({ ownerId: req.user.id, imageId, ...fields, products });
+    console.log('Meal created:', meal.id, 'for image', imageId);
+
+    res.status(201).json({ success: true, data: meal });
+
+  } catch (error) {
+    console.error('Error creating meal:', error);
+    res.status(500).json({
+      error: 'Failed to create meal',
+      details: error.message
+    });
+  }
+});
+
+app.patch('/api/meals/:id', (req, res) => {
+  try {
+    const current = mealStore.get(req.params.id);
+
+    if (!ensureOwner(req, res, current, { error: 'Meal not found' })) {
+      return;
+    }
+
+    if (req.body.products !== undefined && !Array.isArray(req.body.products)) {
+      return res.status(400).json({ error: 'products must be an array' });
+    }
+
+    let changes;
+    try {
+      changes = { ...req.body, ...parseMealFields(req.body) };
+    } catch (fieldsError) {
+      return res.status(400).json({ error: fieldsError.message });
+    }
+
+    if (changes.portions !== undefined) {
+      try {
+        changes.portions = parsePortions(changes.portions);
+      } catch (portionsError) {
+        return res.status(400).json({ error: portionsError.message });
+      }
+    }
+
+    if (changes.purchase !== undefined) {
+      try {
+        changes.purchase = applyPurchaseChanges(current.purchase, changes.purchase);
+      } catch (purchaseError) {
+        return res.status(400).json({ error: purchaseError.message });
+      }
+    }
+
+    const meal = mealStore.update(req.params.id, changes);
+
+    if (changes.products !== undefined) {
+      attachPurchaseProduct(meal.id);
+    }
+
+    res.json({ success: true, data: withNutrition(meal, userStore.getDietaryProfile(req.user.id)) });
+
+  } catch (error) {
+    console.error('Error updating meal:', error);
+    res.status(500).json({
+      error: 'Failed to update meal',
+      details: error.message
+    });
+  }
+});
+
+app.delete('/api/meals/:id', (req, res) => {
+  try {
+    if (!ensureOwner(req, res, mealStore.get(req.params.id), { error: 'Meal not found' })) {
+      return;
+    }
+
+    mealStore.remove(req.params.id);
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('Error deleting meal:', error);
+    res.status(500).json({
+      error: 'Failed to delete meal',
+      details: error.message
+    });
+  }
+});
+
+// Most products one nutrition computation can cover
+const MAX_NUTRITION_ITEMS = 50;
+
+// Nutrients for gram amounts of selected products, from Open Food Facts
+// per-100g data. Body: { items: [{ grams, product } | { grams, code }] } where
+// product is a result from /api/products/search; bare barcodes are looked up.
+app.post('/api/nutrition/compute', async (req, res) => {
+  try {
+    const { items } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0 || items.length > MAX_NUTRITION_ITEMS) {
+      return res.status(400).json({
+        error: `items must be an array of 1 to ${MAX_NUTRITION_ITEMS} products`
+      });
+    }
+
+    for (const [index, item] of items.entries()) {
+      const grams = item && Number(item.grams);
+      if (!item || item.grams === null || !Number.isFinite(grams) || grams < 0) {
+        return res.status(400).json({ error: `items[${index}].grams must be a non-negative number` });
+      }
+      if (!item.product && !item.code) {
+        return res.status(400).json({ error: `items[${index}] needs a product or a barcode` });
+      }
+    }
+
+    const results = await mapWithConcurrency(items, PRODUCT_SEARCH_CONCURRENCY, computeItemNutrition);
+
+    const totals = PRODUCT_NUTRIENT_KEYS.reduce((sums, key) => ({ ...sums, [key]: 0 }), {});
+    for (const result of results.filter(item => item.status === 'ok')) {
+      for (const key of PRODUCT_NUTRIENT_KEYS) {
+        totals[key] = Math.round((totals[key] + result.nutrients[key]) * 10) / 10;
+      }
+    }
+
+    res.json({
+      success: true,
+      data: {
+        items: results,
+        totals,
+        // Totals undercount if any product lacks data for a nutrient
+        incomplete: results.some(item => item.status !== 'ok' || item.missing.length > 0)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error computing nutrition:', error);
+    res.status(500).json({
+      error: 'Failed to compute nutrition',
+      details: error.message
+    });
+  }
+});
+
+// Nutrients for one { grams, product | code } item. Never throws; lookup
+// problems are reported in the item's status like product search does.
+async function computeItemNutrition(item) {
+  const grams = Number(item.grams);
+  let product = item.product;
+
+  if (!product) {
+    try {
+      const lookup = await productCatalog.getByBarcode(String(item.code));
+      if (!lookup.product) {
+        return { code: item.code, grams, status: 'not_found' };
+      }
+      product = formatProduct(lookup.product);
+    } catch (lookupError) {
+      console.error(`Error looking up barcode ${item.code}:`, lookupError.message);
+      return {
+        code: item.code,
+        grams,
+        status: lookupError instanceof RequestTimeoutError ? 'timeout' : 'failed',
+        error: lookupError.message
+      };
+    }
+  }
+
+  // Accept raw Open Food Facts nutriments as well as our per100g summary
+  const per100g = product.per100g || getPer100gNutrients(product.nutriments);
+  const { nutrients, missing } = computeProductNutrients(per100g, grams);
+
+  return {
+    code: product.code || item.code || null,
+    name: product.name || product.product_name || null,
+    grams,
+    status: 'ok',
+    nutrients,
+    missing
+  };
+}
+
+// Daily calorie and macro totals across logged meals
+app.get('/api/summary/daily', (req, res) => {
+  try {
+    let day;
+    try {
+      day = readDayQuery(req.query);
+    } catch (queryError) {
+      return res.status(400).json({ error: queryError.message });
+    }
+
+    res.json({
+      success: true,
+      data: summarizeDay(mealStore.list({ ownerId: req.user.id }), day.date, day.tzOffset)
+    });
+
+  } catch (error) {
+    console.error('Error building daily summary:', error);
+    res.status(500).json({
+      error: 'Failed to build daily summary',
+      details: error.message
+    });
+  }
+});
+
+// { date, tzOffset } from ?date=YYYY-MM-DD&tzOffset= (minutes, as returned by
+// Date.prototype.getTimezoneOffset). The date defaults to today in that
+// timezone. Throws TypeError on bad input.
+function readDayQuery(query) {
+  const tzOffset = query.tzOffset !== undefined ? Number(query.tzOffset) : 0;
+  if (!Number.isFinite(tzOffset)) {
+    throw new TypeError('tzOffset must be a number of minutes');
+  }
+
+  const date = query.date || toDateKey(new Date(), tzOffset);
+  if (!isDateKey(date)) {
+    throw new TypeError('date must be in YYYY-MM-DD format');
+  }
+
+  return { date, tzOffset };
+}
+
+// The signed-in user's daily targets: { daily, weekend }
+app.get('/api/goals', (req, res) => {
+  res.json({ success: true, data: userStore.getGoals(req.user.id) });
+});
+
+// Replace the daily targets. Body: { daily: { calories, protein, carbs, fat,
+// fiber }, weekend: { ...overrides } | null }; null means no target.
+app.put('/api/goals', (req, res) => {
+  try {
+    let goals;
+    try {
+      goals = parseGoals(req.body);
+    } catch (goalsError) {
+      return res.status(400).json({ error: goalsError.message });
+    }
+
+    res.json({ success: true, data: userStore.setGoals(req.user.id, goals) });
+
+  } catch (error) {
+    console.error('Error saving goals:', error);
+    res.status(500).json({
+      error: 'Failed to save goals',
+      details: error.message
+    });
+  }
+});
+
+// Consumed, remaining and percent of target per nutrient for one day.
+// Query: date (YYYY-MM-DD, default today), tzOffset.
+app.get('/api/goals/progress', (req, res) => {
+  try {
+    let day;
+    try {
+      day = readDayQuery(req.query);
+    } catch (queryError) {
+      return res.status(400).json({ error: queryError.message });
+    }
+
+    const summary = summarizeDay(mealStore.list({ ownerId: req.user.id }), day.date, day.tzOffset);
+
+    res.json({
+      success: true,
+      data: computeProgress(userStore.getGoals(req.user.id), summary)
+    });
+
+  } catch (error) {
+    console.error('Error building goal progress:', error);
+    res.status(500).json({
+      error: 'Failed to build goal progress',
+      details: error.message
+    });
+  }
+});
+
+// Days covered by the spending report when no range is given
+const DEFAULT_SPENDING_DAYS = 30;
+
+// Food spending by day, category and store, from the prices recorded on
+// meals. Query: from, to (YYYY-MM-DD, default the last 30 days), tzOffset.
+app.get('/api/spending', (req, res) => {
+  try {
+    const tzOffset = req.query.tzOffset !== undefined ? Number(req.query.tzOffset) : 0;
+
+    if (!Number.isFinite(tzOffset)) {
+      return res.status(400).json({
+        error: 'tzOffset must be a number of minutes'
+      });
+    }
+
+    const to = req.query.to || toDateKey(new Date(), tzOffset);
+
+    if (!isDateKey(to) || (req.query.from !== undefined && !isDateKey(req.query.from))) {
+      return res.status(400).json({
+        error: 'from and to must be in YYYY-MM-DD format'
+      });
+    }
+
+    const from = req.query.from
+      || toDateKey(Date.parse(to) - (DEFAULT_SPENDING_DAYS - 1) * 24 * 60 * 60 * 1000);
+
+    if (from > to) {
+      return res.status(400).json({ error: 'from must not be after to' });
+    }
+
+    res.json({
+      success: true,
+      data: summarizeSpending(mealStore.list({ ownerId: req.user.id }), { from, to, tzOffset })
+    });
+
+  } catch (error) {
+    console.error('Error building spending report:', error);
+    res.status(500).json({
+      error: 'Failed to build spending report',
+      details: error.message
+    });
+  }
+});
+
+// Export the meal log. Query: format (json or csv, default json), from and to
+// (YYYY-MM-DD of the day eaten, inclusive, both optional), tzOffset, and
+// includeImages=true to embed image files in a JSON export. Streamed, so
+// large histories don't have to fit in one response string.
+app.get('/api/export', (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+    const tzOffset = req.query.tzOffset !== undefined ? Number(req.query.tzOffset) : 0;
+    const { from, to } = req.query;
+
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({ error: 'format must be json or csv' });
+    }
+
+    if (!Number.isFinite(tzOffset)) {
+      return res.status(400).json({ error: 'tzOffset must be a number of minutes' });
+    }
+
+    if ((from !== undefined && !isDateKey(from)) || (to !== undefined && !isDateKey(to))) {
+      return res.status(400).json({ error: 'from and to must be in YYYY-MM-DD format' });
+    }
+
+    if (from && to && from > to) {
+      return res.status(400).json({ error: 'from must not be after to' });
+    }
+
+    const meals = mealStore.list({ ownerId: req.user.id })
+      .filter(meal => {
+        const date = toDateKey(meal.eatenAt, tzOffset);
+        return (!from || date >= from) && (!to || date <= to);
+      })
+      .sort((a, b) => a.eatenAt.localeCompare(b.eatenAt));
+
+    const images = [...new Set(meals.map(meal => meal.imageId))]
+      .map(imageId => imageStore.get(imageId))
+      .filter(image => image && image.ownerId === req.user.id);
+
+    const includeImages = req.query.includeImages === 'true';
+    const readImage = image => {
+      const imagePath = imageStore.getPath(image.id);
+      return includeImages && fs.existsSync(imagePath) ? fs.readFileSync(imagePath) : null;
+    };
+
+    const chunks = format === 'csv'
+      ? csvExportChunks({ meals })
+      : jsonExportChunks({ meals, images, from: from || null, to: to || null, readImage });
+
+    const filename = `meals-${from || 'start'}-to-${to || 'latest'}.${format}`;
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    console.log(`Exporting ${meals.length} meals as ${format}${includeImages ? ' with images' : ''}`);
+
+    // Headers are gone by the time a chunk fails, so all that's left is to cut
+    // the response short
+    Readable.from(chunks)
+      .on('error', streamError => {
+        console.error('Error streaming export:', streamError);
+        res.destroy(streamError);
+      })
+      .pipe(res);
+
+  } catch (error) {
+    console.error('Error exporting meals:', error);
+    res.status(500).json({
+      error: 'Failed to export meals',
+      details: error.message
+    });
+  }
+});
+
+// Restore a JSON export (multipart field "file"). Meals keep their IDs, so
+// importing the same file again changes nothing. Image files embedded in the
+// export are stored too, unless includeImages=false; meals are relinked to the
+// images' new IDs, which depend on the importing account.
+app.post('/api/import', importUpload.single('file'), (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'No import file provided'
+      });
+    }
+
+    let exported;
+    try {
+      exported = parseMealExport(req.file.buffer);
+    } catch (parseError) {
+      if (parseError instanceof ImportValidationError) {
+        return res.status(400).json({
+          error: parseError.message,
+          validationErrors: parseError.errors
+        });
+      }
+      throw parseError;
+    }
+
+    const includeImages = req.query.includeImages !== 'false' && req.body.includeImages !== 'false';
+    const imageResult = { created: 0, existing: 0, invalid: 0, missing: 0 };
+    const imageIds = new Map();
+
+    for (const record of exported.images.filter(item => item.data)) {
+      const buffer = Buffer.from(record.data, 'base64');
+
+      // Skipped files still decide the ID, so meals link up with copies of
+      // the images this account already has
+      if (!includeImages) {
+        imageIds.set(record.id, imageStore.computeId(buffer, req.user.id));
+        continue;
+      }
+
+      try {
+        const { image, duplicate } = imageStore.save(buffer, {
+          ownerId: req.user.id,
+          originalname: record.originalname,
+          timestamp: record.timestamp
+        });
+        imageIds.set(record.id, image.id);
+        imageResult[duplicate ? 'existing' : 'created'] += 1;
+
+      } catch (imageError) {
+        if (!(imageError instanceof InvalidImageError)) {
+          throw imageError;
+        }
+        imageResult.invalid += 1;
+      }
+    }
+
+    const ownsImage = imageId => {
+      const image = imageStore.get(imageId);
+      return Boolean(image) && image.ownerId === req.user.id;
+    };
+    const { meals, skipped } = linkImportedMeals(exported.meals, { imageIds, ownsImage });
+
+    // Photos in the file that weren't stored (?includeImages=false) and that
+    // this user doesn't already have
+    imageResult.missing = new Set(meals.map(meal => meal.imageId).filter(imageId => !ownsImage(imageId))).size;
+
+    const mealResult = { ...mealStore.restore(req.user.id, meals), skipped };
+    console.log('Import finished:', { meals: mealResult, images: imageResult });
+
+    res.json({
+      success: true,
+      data: { meals: mealResult, images: imageResult }
+    });
+
+  } catch (error) {
+    console.error('Error importing meals:', error);
+    res.status(500).json({
+      error: 'Failed to import meals',
+      details: error.message
+    });
+  }
+});
+
+// Error handling middleware
+app.use((error, req, res, next) => {
+  console.error('Server error:', error);
+
+  if (error instanceof multer.MulterError) {
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      const maxMb = req.path === '/api/import' ? MAX_IMPORT_MB : 10;
+      return res.status(400).json({ error: `File too large (max ${maxMb}MB)` });
+    }
+  }
+
+  res.status(500).json({
+    error: 'Internal server error',
+    details: error.message
+  });
+});
+
+// Start server
+app.listen(PORT, () => {
+  console.log(`Backend server running on http://localhost:${PORT}`);
+
+  // Pick up jobs the last run didn't finish
+  const pruned = jobStore.prune();
+  const unfinished = jobStore.takeUnfinished();
+  if (pruned > 0 || unfinished.length > 0) {
+    console.log(`Jobs: removed ${pruned} old, resuming ${unfinished.length} unfinished`);
+  }
+  unfinished.forEach(runAnalysisJob);
+
   console.log(`Upload endpoint: http://localhost:${PORT}/api/images/upload`);
   console.log(`Health check: http://localhost:${PORT}/api/health`);
+  console.log(`Meal log: http://localhost:${PORT}/api/meals`);
 });
\ No newline at end of file
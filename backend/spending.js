@@ -0,0 +1,107 @@
+// Food spending report built from the purchases recorded on meals (see
+// prices.js), grouped by day, category and store.
+
+const { getMealPortions, toDateKey } = require('./nutrition');
+const { roundMoney } = require('./prices');
+
+// Spending categories and the product categories / food names that fall
+// under them. Checked in order, so "frozen vegetables" counts as frozen.
+const SPENDING_CATEGORIES = [
+  ['frozen', /frozen|ice cream/i],
+  ['beverages', /beverage|drink|juice|soda|coffee|\btea\b|water|beer|wine/i],
+  ['produce', /fruit|vegetable|apple|banana|berr|grape|orange|lemon|pear|avocado|tomato|potato|onion|carrot|lettuce|salad|herb|mushroom/i],
+  ['meat & seafood', /meat|beef|pork|chicken|poultry|turkey|lamb|sausage|ham|bacon|fish|seafood|salmon|tuna|shrimp/i],
+  ['dairy & eggs', /dairy|milk|cheese|yog(?:h)?urt|butter|cream|\beggs?\b/i],
+  ['bakery', /bread|bakery|bagel|baguette|croissant|muffin|cake|pastr|tortilla|\bbuns?\b/i],
+  ['snacks & sweets', /snack|chip|crisp|cookie|biscuit|cracker|candy|confection|chocolate|sweet/i],
+  ['pantry', /cereal|pasta|noodle|rice|grain|flour|sauce|condiment|spice|oil|legume|bean|\bnuts?\b|spread|jam|honey|canned/i]
+];
+
+const UNCATEGORIZED = 'other';
+const UNKNOWN_STORE = 'Unknown store';
+
+// Spending category for a list of terms, most specific first
+function categorize(terms) {
+  for (const term of terms) {
+    const match = SPENDING_CATEGORIES.find(([, pattern]) => pattern.test(term));
+    if (match) {
+      return match[0];
+    }
+  }
+  return UNCATEGORIZED;
+}
+
+// The category the user picked, else one guessed from the attached product's
+// Open Food Facts categories (which run from general to specific, so they're
+// checked last to first) and then the detected food names
+function getPurchaseCategory(meal) {
+  const { purchase } = meal;
+  if (purchase.category) {
+    return purchase.category;
+  }
+
+  const productCategories = purchase.product && purchase.product.categories
+    ? purchase.product.categories.split(',').map(category => category.trim()).reverse()
+    : [];
+
+  return categorize([...productCategories, ...getMealPortions(meal).map(item => item.name)]);
+}
+
+function addTo(groups, key, purchase) {
+  const group = groups.get(key) || { count: 0, totals: {} };
+  group.count += 1;
+  group.totals[purchase.currency] = roundMoney((group.totals[purchase.currency] || 0) + purchase.total);
+  groups.set(key, group);
+}
+
+// Largest total across currencies, for ordering groups
+function sortKey(group) {
+  return Math.max(...Object.values(group.totals));
+}
+
+// Spending between two YYYY-MM-DD dates (inclusive, in the client's timezone).
+// Totals are kept per currency. Purchases without a total (sold by weight
+// with no known quantity) are counted in `unpriced` but not added up.
+function summarizeSpending(meals, { from, to, tzOffset = 0 }) {
+  const totals = {};
+  const byDay = new Map();
+  const byCategory = new Map();
+  const byStore = new Map();
+  let purchaseCount = 0;
+  let unpriced = 0;
+
+  for (const meal of meals) {
+    const date = toDateKey(meal.eatenAt, tzOffset);
+    if (!meal.purchase || date < from || date > to) {
+      continue;
+    }
+
+    const { purchase } = meal;
+    if (purchase.total === null || purchase.total === undefined || !purchase.currency) {
+      unpriced += 1;
+      continue;
+    }
+
+    purchaseCount += 1;
+    totals[purchase.currency] = roundMoney((totals[purchase.currency] || 0) + purchase.total);
+    addTo(byDay, date, purchase);
+    addTo(byCategory, getPurchaseCategory(meal), purchase);
+    addTo(byStore, purchase.store || UNKNOWN_STORE, purchase);
+  }
+
+  const toList = (groups, keyName) => [...groups.entries()]
+    .map(([key, group]) => ({ [keyName]: key, ...group }));
+
+  return {
+    from,
+    to,
+    purchaseCount,
+    unpriced,
+    totals,
+    byDay: toList(byDay, 'date').sort((a, b) => a.date.localeCompare(b.date)),
+    byCategory: toList(byCategory, 'category').sort((a, b) => sortKey(b) - sortKey(a)),
+    byStore: toList(byStore, 'store').sort((a, b) => sortKey(b) - sortKey(a))
+  };
+}
+
+module.exports = { getPurchaseCategory, summarizeSpending };
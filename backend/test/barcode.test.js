@@ -0,0 +1,87 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PNG } = require('pngjs');
+const { detectBarcode } = require('../barcode');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const JPEG_SIGNATURE = Buffer.from([0xff, 0xd8, 0xff, 0xe0]);
+
+// EAN-13 digit encodings. The first digit picks which of the left-hand digits
+// use the G set (the L set mirrored and inverted); the right-hand digits use R.
+const EAN_L = ['0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011'];
+const EAN_PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+
+function invert(bits) {
+  return bits.replace(/./g, bit => (bit === '1' ? '0' : '1'));
+}
+
+// Draw an EAN-13 barcode as a PNG: black bars on white, with a quiet zone
+function ean13Png(code, { moduleWidth = 3, height = 80 } = {}) {
+  const digits = [...code].map(Number);
+  const left = digits.slice(1, 7).map((digit, i) => (EAN_PARITY[digits[0]][i] === 'L'
+    ? EAN_L[digit]
+    : [...invert(EAN_L[digit])].reverse().join('')));
+  const right = digits.slice(7).map(digit => invert(EAN_L[digit]));
+  const quiet = '0'.repeat(10);
+  const modules = `${quiet}101${left.join('')}01010${right.join('')}101${quiet}`;
+
+  const png = new PNG({ width: modules.length * moduleWidth, height });
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < png.width; x++) {
+      const value = modules[Math.floor(x / moduleWidth)] === '1' ? 0 : 255;
+      png.data.set([value, value, value, 255], (y * png.width + x) * 4);
+    }
+  }
+  return PNG.sync.write(png);
+}
+
+function writeTemp(name, contents) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'barcode-'));
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, contents);
+  return file;
+}
+
+test('detectBarcode returns null for a PNG whose body is corrupt', () => {
+  const file = writeTemp('corrupt.png', Buffer.concat([PNG_SIGNATURE, Buffer.from('not really a png')]));
+  assert.equal(detectBarcode(file), null);
+});
+
+test('detectBarcode returns null for a truncated PNG', () => {
+  const png = new PNG({ width: 32, height: 32 });
+  png.data.fill(255);
+  const full = PNG.sync.write(png);
+  const file = writeTemp('truncated.png', full.subarray(0, full.length / 2));
+
+  assert.equal(detectBarcode(file), null);
+});
+
+test('detectBarcode returns null for a JPEG whose body is corrupt', () => {
+  const file = writeTemp('corrupt.jpg', Buffer.concat([JPEG_SIGNATURE, Buffer.alloc(64, 0x42)]));
+  assert.equal(detectBarcode(file), null);
+});
+
+test('detectBarcode returns null for a readable image with no barcode', () => {
+  const png = new PNG({ width: 32, height: 32 });
+  png.data.fill(255);
+  const file = writeTemp('blank.png', PNG.sync.write(png));
+
+  assert.equal(detectBarcode(file), null);
+});
+
+test('detectBarcode reads an EAN-13 barcode', () => {
+  const file = writeTemp('ean13.png', ean13Png('4006381333931'));
+  assert.deepEqual(detectBarcode(file), { code: '4006381333931', format: 'EAN_13' });
+});
+
+test('detectBarcode returns null without decoding an image over the pixel budget', () => {
+  const png = PNG.sync.write(new PNG({ width: 1, height: 1 }));
+  png.writeUInt32BE(20000, 16); // IHDR width
+  png.writeUInt32BE(20000, 20); // IHDR height
+  const file = writeTemp('huge.png', png);
+
+  assert.equal(detectBarcode(file), null);
+});
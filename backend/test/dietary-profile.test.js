@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDietaryProfile, checkAnalysis, checkProduct } = require('../dietary-profile');
+
+const glutenAllergy = parseDietaryProfile({ allergens: ['gluten'] });
+const glutenFreeDiet = parseDietaryProfile({ diets: ['glutenFree'] });
+
+const flaggedFoods = (profile, names) => names.filter(name =>
+  checkAnalysis(profile, { foodItems: [{ name }] }).length > 0
+);
+
+test('gluten checks flag wheat-based foods', () => {
+  const foods = ['Wheat bread', 'Whole wheat toast', 'Wholewheat crackers', 'Egg noodles', 'Spaghetti pasta',
+    'Rye crispbread', 'Shortbread', 'Breaded chicken', 'Couscous salad', 'Wheat flour'];
+
+  assert.deepEqual(flaggedFoods(glutenAllergy, foods), foods);
+  assert.deepEqual(flaggedFoods(glutenFreeDiet, foods), foods);
+});
+
+test('gluten checks leave naturally gluten-free foods alone', () => {
+  const foods = ['Buckwheat', 'Buckwheat pancakes', 'Buckwheat flour', 'Rice noodles', 'Rice noodle soup',
+    'Rice-flour dumplings', 'Almond flour cake', 'Glass noodles', 'Corn pasta', 'Breadfruit', 'Gluten-free bread',
+    'Glutinous rice', 'Ryegrass tea'];
+
+  assert.deepEqual(flaggedFoods(glutenAllergy, foods), []);
+  assert.deepEqual(flaggedFoods(glutenFreeDiet, foods), []);
+});
+
+test('a gluten-free phrase does not hide other gluten in the same text', () => {
+  const results = {
+    foodItems: [],
+    text: { fullText: 'Ingredients: rice flour, wheat starch, gluten-free oats' }
+  };
+
+  assert.equal(checkAnalysis(glutenAllergy, results).length, 1);
+});
+
+test('product ingredient text uses the same gluten matching', () => {
+  const product = { name: 'Pad thai', ingredientsText: 'rice noodles, buckwheat, peanuts' };
+  assert.deepEqual(checkProduct(glutenAllergy, product), []);
+
+  const withWheat = { name: 'Soba', ingredientsText: 'buckwheat flour, wheat flour' };
+  assert.equal(checkProduct(glutenAllergy, withWheat).length, 1);
+});
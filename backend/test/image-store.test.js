@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PNG } = require('pngjs');
+const jpeg = require('jpeg-js');
+const { ImageStore } = require('../image-store');
+
+function tempStore() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'image-store-'));
+  return new ImageStore({ uploadDir: path.join(dir, 'uploads'), filePath: path.join(dir, 'images.json') });
+}
+
+function pngBuffer(shade) {
+  const png = new PNG({ width: 16, height: 16 });
+  png.data.fill(shade);
+  return PNG.sync.write(png);
+}
+
+test('getThumbnail generates a JPEG preview for a decodable image', () => {
+  const store = tempStore();
+  const { image } = store.save(pngBuffer(200), { ownerId: 'u1' });
+
+  const thumbnail = store.getThumbnail(image.id);
+  assert.equal(thumbnail.mimeType, 'image/jpeg');
+  assert.ok(fs.existsSync(thumbnail.path));
+});
+
+test('getThumbnail falls back to the original file when it fails to decode', () => {
+  const store = tempStore();
+  const full = pngBuffer(200);
+  const { image } = store.save(full.subarray(0, full.length / 2), { ownerId: 'u1' });
+
+  assert.deepEqual(store.getThumbnail(image.id), { path: store.getPath(image.id), mimeType: 'image/png' });
+});
+
+test('getThumbnail falls back to the original file for an image over the pixel budget', () => {
+  const store = tempStore();
+  const small = jpeg.encode({ width: 16, height: 16, data: Buffer.alloc(16 * 16 * 4, 200) }, 80).data;
+  // Claim 10000x10000 in the start-of-frame segment
+  const sof = small.indexOf(Buffer.from([0xff, 0xc0]));
+  small.writeUInt16BE(10000, sof + 5);
+  small.writeUInt16BE(10000, sof + 7);
+  const { image } = store.save(small, { ownerId: 'u1' });
+
+  assert.deepEqual(store.getThumbnail(image.id), { path: store.getPath(image.id), mimeType: 'image/jpeg' });
+  assert.ok(!fs.existsSync(store.getThumbnailPath(image)));
+});
+
+test('list filters and sorts on the capture timestamp', () => {
+  const store = tempStore();
+  const older = store.save(pngBuffer(10), { ownerId: 'u1', timestamp: '2025-03-01T08:00:00.000Z' }).image;
+  const newer = store.save(pngBuffer(20), { ownerId: 'u1', timestamp: '2025-03-02T08:00:00.000Z' }).image;
+  // Uploaded last, but captured first
+  const earliest = store.save(pngBuffer(30), { ownerId: 'u1', timestamp: '2025-02-28T08:00:00.000Z' }).image;
+  store.save(pngBuffer(40), { ownerId: 'u2', timestamp: '2025-03-01T09:00:00.000Z' });
+
+  assert.deepEqual(store.list({ ownerId: 'u1' }).images.map(image => image.id), [newer.id, older.id, earliest.id]);
+  assert.deepEqual(
+    store.list({ ownerId: 'u1', from: '2025-03-01T00:00:00.000Z' }).images.map(image => image.id),
+    [newer.id, older.id]
+  );
+});
@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JobStore } = require('../job-store');
+
+function tempFile() {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'job-store-')), 'jobs.json');
+}
+
+const readSaved = file => JSON.parse(fs.readFileSync(file, 'utf8')).jobs;
+
+function createJob(store) {
+  return store.create({ ownerId: 'u1', type: 'analysis', input: {}, steps: ['upload', 'llm'] });
+}
+
+test('step progress is announced but only saved with job-level changes', () => {
+  const file = tempFile();
+  const store = new JobStore(file);
+  const job = createJob(store);
+  const seen = [];
+  store.subscribe(job.id, current => seen.push(current.steps.map(step => step.status).join(',')));
+
+  store.update(job.id, { status: 'running' });
+  store.updateStep(job.id, 'upload', 'done');
+  store.updateStep(job.id, 'llm', 'running');
+
+  assert.deepEqual(seen, ['pending,pending', 'done,pending', 'done,running']);
+  assert.deepEqual(readSaved(file)[0].steps.map(step => step.status), ['pending', 'pending']);
+
+  store.updateStep(job.id, 'llm', 'done');
+  store.update(job.id, { status: 'succeeded', result: { ok: true } });
+
+  const [saved] = readSaved(file);
+  assert.equal(saved.status, 'succeeded');
+  assert.deepEqual(saved.steps.map(step => step.status), ['done', 'done']);
+});
+
+test('finishing a job drops finished jobs past the retention period', () => {
+  const file = tempFile();
+  const store = new JobStore(file, { retentionMs: 60 * 1000 });
+  const old = createJob(store);
+  const running = createJob(store);
+  store.update(old.id, { status: 'failed', error: 'boom' });
+  old.finishedAt = new Date(Date.now() - 2 * 60 * 1000).toISOString();
+
+  const latest = createJob(store);
+  store.update(latest.id, { status: 'succeeded' });
+
+  assert.deepEqual(store.jobs.map(job => job.id), [running.id, latest.id]);
+  assert.deepEqual(readSaved(file).map(job => job.id), [running.id, latest.id]);
+});
+
+test('takeUnfinished resets interrupted jobs to their first step', () => {
+  const file = tempFile();
+  const store = new JobStore(file);
+  const job = createJob(store);
+  store.update(job.id, { status: 'running' });
+  store.updateStep(job.id, 'upload', 'done');
+
+  const [resumed] = new JobStore(file).takeUnfinished();
+  assert.equal(resumed.id, job.id);
+  assert.equal(resumed.status, 'queued');
+  assert.deepEqual(resumed.steps.map(step => step.status), ['pending', 'pending']);
+});
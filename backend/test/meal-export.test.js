@@ -0,0 +1,82 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ImportValidationError, parseMealExport, linkImportedMeals } = require('../meal-export');
+
+test('linkImportedMeals points meals at the embedded photos\' new IDs', () => {
+  const { meals, skipped } = linkImportedMeals([{ id: 'm1', imageId: 'old' }], {
+    imageIds: new Map([['old', 'new']]),
+    ownsImage: () => false
+  });
+
+  assert.deepEqual(meals, [{ id: 'm1', imageId: 'new' }]);
+  assert.equal(skipped, 0);
+});
+
+test('linkImportedMeals skips meals whose photo is neither embedded nor the importer\'s', () => {
+  const { meals, skipped } = linkImportedMeals([
+    { id: 'm1', imageId: 'mine' },
+    { id: 'm2', imageId: 'someone-elses' }
+  ], {
+    imageIds: new Map(),
+    ownsImage: imageId => imageId === 'mine'
+  });
+
+  assert.deepEqual(meals.map(meal => meal.id), ['m1']);
+  assert.equal(skipped, 1);
+});
+
+const IMAGE_ID = 'a'.repeat(64);
+
+function exportBuffer(meals) {
+  return Buffer.from(JSON.stringify({ format: 'choices-count-meals', version: 1, meals }));
+}
+
+function exportedMeal(fields = {}) {
+  return {
+    id: 'meal-1',
+    imageId: IMAGE_ID,
+    eatenAt: '2025-03-01T12:30:00+02:00',
+    createdAt: '2025-03-01T10:31:00Z',
+    updatedAt: '2025-03-01T10:31:00Z',
+    analyses: [],
+    productMatches: [],
+    products: [],
+    ...fields
+  };
+}
+
+test('parseMealExport normalizes timestamps the way the meal API does', () => {
+  const { meals } = parseMealExport(exportBuffer([exportedMeal({ name: 'Lunch' })]));
+
+  assert.equal(meals[0].name, 'Lunch');
+  assert.equal(meals[0].notes, '');
+  assert.equal(meals[0].eatenAt, '2025-03-01T10:30:00.000Z');
+  assert.equal(meals[0].createdAt, '2025-03-01T10:31:00.000Z');
+});
+
+test('parseMealExport rejects meals the meal API would reject', () => {
+  const invalid = [
+    { eatenAt: '2025-02-30T10:00:00Z' },
+    { eatenAt: 'March 1, 2025' },
+    { createdAt: '2025-13-01' },
+    { updatedAt: 'yesterday' },
+    { name: 'x'.repeat(201) },
+    { notes: 'x'.repeat(5001) }
+  ];
+
+  for (const fields of invalid) {
+    assert.throws(() => parseMealExport(exportBuffer([exportedMeal(fields)])), ImportValidationError, JSON.stringify(fields).slice(0, 60));
+  }
+});
+
+test('parseMealExport reports each invalid meal', () => {
+  const meals = [exportedMeal({ eatenAt: 'garbage' }), exportedMeal({ id: 'meal-2', name: 'x'.repeat(201) })];
+
+  assert.throws(() => parseMealExport(exportBuffer(meals)), error => {
+    assert.deepEqual(error.errors, [
+      '/meals/0 eatenAt must be an ISO 8601 timestamp',
+      '/meals/1 name must be a string of at most 200 characters, or null'
+    ]);
+    return true;
+  });
+});
@@ -0,0 +1,82 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MealStore, parseMealFields } = require('../meal-store');
+
+function tempStore() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'meal-store-'));
+  return new MealStore(path.join(dir, 'meals.json'));
+}
+
+test('parseMealFields accepts ISO timestamps and normalizes them to UTC', () => {
+  assert.deepEqual(parseMealFields({ eatenAt: '2025-03-01T12:30:00+02:00' }), { eatenAt: '2025-03-01T10:30:00.000Z' });
+  assert.deepEqual(parseMealFields({ eatenAt: '2025-03-01' }), { eatenAt: '2025-03-01T00:00:00.000Z' });
+});
+
+test('parseMealFields only returns the fields that were given', () => {
+  assert.deepEqual(parseMealFields({}), {});
+  assert.deepEqual(parseMealFields({ name: null, notes: '' }), { name: null, notes: '' });
+});
+
+test('parseMealFields rejects timestamps that are not ISO 8601', () => {
+  for (const eatenAt of ['garbage', '', 'March 1, 2025', '2025-13-45T99:00:00Z', 1740823800000, null, {}]) {
+    assert.throws(() => parseMealFields({ eatenAt }), TypeError, `eatenAt ${JSON.stringify(eatenAt)}`);
+  }
+});
+
+test('parseMealFields rejects dates and times that do not exist', () => {
+  for (const eatenAt of ['2025-02-30T10:00:00Z', '2025-02-29', '2024-04-31T00:00:00Z', '2025-00-10', '2025-03-01T24:00:00Z', '2025-03-01T12:60:00Z']) {
+    assert.throws(() => parseMealFields({ eatenAt }), TypeError, eatenAt);
+  }
+  assert.deepEqual(parseMealFields({ eatenAt: '2024-02-29T10:00:00Z' }), { eatenAt: '2024-02-29T10:00:00.000Z' });
+});
+
+test('MealStore.update rejects an impossible eatenAt instead of rolling it over', () => {
+  const store = tempStore();
+  const meal = store.create({ ownerId: 'u1', imageId: 'img', eatenAt: '2025-02-27T10:00:00Z' });
+
+  assert.throws(() => store.update(meal.id, { eatenAt: '2025-02-30T10:00:00Z' }), TypeError);
+  assert.equal(store.get(meal.id).eatenAt, '2025-02-27T10:00:00.000Z');
+});
+
+test('parseMealFields rejects names and notes that are not strings', () => {
+  assert.throws(() => parseMealFields({ name: { first: 'lunch' } }), TypeError);
+  assert.throws(() => parseMealFields({ name: 42 }), TypeError);
+  assert.throws(() => parseMealFields({ notes: ['tasty'] }), TypeError);
+  assert.throws(() => parseMealFields({ notes: null }), TypeError);
+  assert.throws(() => parseMealFields({ name: 'x'.repeat(201) }), TypeError);
+});
+
+test('MealStore.create rejects an invalid eatenAt and stores nothing', () => {
+  const store = tempStore();
+
+  assert.throws(() => store.create({ ownerId: 'u1', imageId: 'img', eatenAt: 'garbage' }), TypeError);
+  assert.equal(store.meals.length, 0);
+});
+
+test('MealStore.update rejects invalid fields and leaves the meal unchanged', () => {
+  const store = tempStore();
+  const meal = store.create({ ownerId: 'u1', imageId: 'img', name: 'Lunch', eatenAt: '2025-03-01T12:00:00Z' });
+
+  assert.throws(() => store.update(meal.id, { eatenAt: 'garbage' }), TypeError);
+  assert.throws(() => store.update(meal.id, { notes: 7 }), TypeError);
+  assert.equal(store.get(meal.id).eatenAt, '2025-03-01T12:00:00.000Z');
+  assert.equal(store.get(meal.id).notes, '');
+
+  store.update(meal.id, { name: null, eatenAt: '2025-03-02T08:00:00Z' });
+  assert.equal(store.get(meal.id).name, null);
+  assert.equal(store.get(meal.id).eatenAt, '2025-03-02T08:00:00.000Z');
+});
+
+test('MealStore.removeByImage only removes the given owner\'s meals', () => {
+  const store = tempStore();
+  store.create({ ownerId: 'u1', imageId: 'img' });
+  store.create({ ownerId: 'u1', imageId: 'other' });
+  const theirs = store.create({ ownerId: 'u2', imageId: 'img' });
+
+  assert.equal(store.removeByImage('u1', 'img'), 1);
+  assert.deepEqual(store.meals.map(meal => [meal.ownerId, meal.imageId]), [['u1', 'other'], ['u2', 'img']]);
+  assert.ok(store.meals.some(meal => meal.id === theirs.id));
+});
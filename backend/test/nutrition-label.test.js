@@ -0,0 +1,39 @@
+// Runs the nutrition label parser over the sample OCR corpus in
+// fixtures/nutrition-labels. Each fixture is { description, text, expected },
+// where expected is null for text that isn't a label, or the subset of fields
+// to check.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseNutritionLabel } = require('../nutrition-label');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'nutrition-labels');
+
+// Rounding differences below this are ignored
+const TOLERANCE = 0.051;
+
+// Paths where `actual` differs from the fields listed in `expected`
+function findMismatches(expected, actual, prefix = '') {
+  if (expected === null || typeof expected !== 'object') {
+    const matches = typeof expected === 'number' && typeof actual === 'number'
+      ? Math.abs(expected - actual) <= TOLERANCE
+      : expected === actual;
+    return matches ? [] : [`${prefix || '/'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`];
+  }
+
+  if (actual === null || typeof actual !== 'object') {
+    return [`${prefix || '/'}: expected an object, got ${JSON.stringify(actual)}`];
+  }
+
+  return Object.entries(expected).flatMap(([key, value]) => findMismatches(value, actual[key], `${prefix}/${key}`));
+}
+
+for (const file of fs.readdirSync(FIXTURES_DIR).filter(name => name.endsWith('.json')).sort()) {
+  const fixture = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8'));
+
+  test(`parseNutritionLabel: ${file} (${fixture.description})`, () => {
+    assert.deepEqual(findMismatches(fixture.expected, parseNutritionLabel(fixture.text)), []);
+  });
+}
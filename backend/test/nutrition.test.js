@@ -0,0 +1,20 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { isDateKey, toDateKey } = require('../nutrition');
+
+test('isDateKey accepts real calendar days', () => {
+  for (const date of ['2025-03-01', '2024-02-29', '2025-12-31', '2000-02-29']) {
+    assert.equal(isDateKey(date), true, date);
+  }
+});
+
+test('isDateKey rejects days that do not exist and other shapes', () => {
+  for (const date of ['2025-02-30', '2025-02-29', '2025-04-31', '1900-02-29', '2025-13-01', '2025-00-10', '2025-3-1', '2025-03-01T00:00:00Z', '', null, 20250301]) {
+    assert.equal(isDateKey(date), false, String(date));
+  }
+});
+
+test('toDateKey shifts by the timezone offset', () => {
+  assert.equal(toDateKey('2025-03-01T23:30:00Z'), '2025-03-01');
+  assert.equal(toDateKey('2025-03-01T23:30:00Z', -60), '2025-03-02');
+});
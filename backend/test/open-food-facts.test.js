@@ -0,0 +1,77 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { fetchJsonWithRetry, getRetryDelay, parseRetryCount, RequestTimeoutError } = require('../open-food-facts');
+
+let server;
+let baseUrl;
+let attempts = 0;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    attempts++;
+    if (req.url === '/stalled-body') {
+      // Headers and half a document, then nothing
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.write('{"products": [');
+      return;
+    }
+    if (req.url === '/flaky' && attempts === 1) {
+      res.writeHead(503, { 'Content-Type': 'text/plain' });
+      res.end('try again');
+      return;
+    }
+    if (req.url === '/missing') {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end('{"status": 0}');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end('{"products": []}');
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+test('fetchJsonWithRetry times out when the body stalls after the headers', async () => {
+  await assert.rejects(fetchJsonWithRetry(`${baseUrl}/stalled-body`, { timeoutMs: 200 }), RequestTimeoutError);
+});
+
+test('fetchJsonWithRetry retries 5xx responses and returns the parsed body', async () => {
+  attempts = 0;
+  const response = await fetchJsonWithRetry(`${baseUrl}/flaky`, { retries: 1 });
+
+  assert.equal(attempts, 2);
+  assert.deepEqual(response, { status: 200, ok: true, data: { products: [] } });
+});
+
+test('fetchJsonWithRetry returns error responses without retrying them', async () => {
+  attempts = 0;
+  const response = await fetchJsonWithRetry(`${baseUrl}/missing`);
+
+  assert.equal(attempts, 1);
+  assert.deepEqual(response, { status: 404, ok: false, data: null });
+});
+
+test('getRetryDelay caps Retry-After', () => {
+  const withRetryAfter = value => ({ headers: new Headers(value === null ? {} : { 'Retry-After': value }) });
+
+  assert.equal(getRetryDelay(withRetryAfter('2'), 0), 2000);
+  assert.equal(getRetryDelay(withRetryAfter('600'), 0), 5000);
+  assert.equal(getRetryDelay(withRetryAfter(null), 0), 500);
+  assert.equal(getRetryDelay(withRetryAfter('soon'), 1), 1000);
+});
+
+test('parseRetryCount accepts whole numbers and falls back to 2 otherwise', () => {
+  assert.equal(parseRetryCount('0'), 0);
+  assert.equal(parseRetryCount('5'), 5);
+  for (const value of [undefined, '', ' ', '-1', '1.5', 'abc', '3abc', 'Infinity', '1e3']) {
+    assert.equal(parseRetryCount(value), 2, `OFF_MAX_RETRIES=${JSON.stringify(value)}`);
+  }
+});
@@ -0,0 +1,34 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseReference, describeReference, estimateTypicalPortion } = require('../portions');
+
+test('parseReference normalizes known reference objects', () => {
+  assert.equal(parseReference(undefined), null);
+  assert.deepEqual(parseReference({ type: 'plate' }), { type: 'plate', sizeCm: 26 });
+  assert.deepEqual(parseReference({ type: 'plate', sizeCm: '28' }), { type: 'plate', sizeCm: 28 });
+  assert.deepEqual(parseReference({ type: 'card', sizeCm: 20 }), { type: 'card', sizeCm: 8.56 });
+});
+
+test('parseReference rejects inherited property names as types', () => {
+  for (const type of ['constructor', 'toString', '__proto__', 'hasOwnProperty']) {
+    assert.throws(() => parseReference({ type }), TypeError, type);
+  }
+});
+
+test('parseReference rejects unknown types and bad sizes', () => {
+  assert.throws(() => parseReference({ type: 'coin' }), TypeError);
+  assert.throws(() => parseReference('plate'), TypeError);
+  assert.throws(() => parseReference({ type: 'plate', sizeCm: -1 }), TypeError);
+  assert.throws(() => parseReference({ type: 'plate', sizeCm: 'big' }), TypeError);
+});
+
+test('describeReference rejects inherited property names as types', () => {
+  assert.match(describeReference({ type: 'plate', sizeCm: 26 }), /26 cm/);
+  assert.throws(() => describeReference({ type: 'constructor', sizeCm: 26 }), TypeError);
+});
+
+test('estimateTypicalPortion ignores inherited property names', () => {
+  assert.deepEqual(estimateTypicalPortion('Gala apple'), { grams: 180, source: 'typical' });
+  assert.deepEqual(estimateTypicalPortion('constructor'), { grams: 100, source: 'default' });
+  assert.deepEqual(estimateTypicalPortion('toString'), { grams: 100, source: 'default' });
+});
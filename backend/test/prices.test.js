@@ -0,0 +1,28 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { extractPrices } = require('../prices');
+
+const amounts = text => extractPrices(text).map(price => price.amount);
+
+test('extractPrices reads comma-grouped thousands', () => {
+  assert.deepEqual(amounts('$1,299.00'), [1299]);
+  assert.deepEqual(amounts('TV $12,345 each'), [12345]);
+  assert.deepEqual(amounts('USD 1,000,000.50'), [1000000.5]);
+});
+
+test('extractPrices reads dot-grouped thousands with a decimal comma', () => {
+  assert.deepEqual(amounts('€1.299,00'), [1299]);
+  assert.deepEqual(amounts('2.500 €'), [2500]);
+});
+
+test('extractPrices still reads decimal commas and plain amounts', () => {
+  assert.deepEqual(amounts('€4,98/kg'), [4.98]);
+  assert.deepEqual(amounts('$2.99/LB'), [2.99]);
+  assert.deepEqual(amounts('2 for $5'), [5]);
+  assert.deepEqual(amounts('99¢ each'), [0.99]);
+});
+
+test('extractPrices rejects amounts with inconsistent separators', () => {
+  assert.deepEqual(amounts('1,299,00 €'), []);
+  assert.deepEqual(amounts('$1,234.567'), []);
+});
@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ProductDatabase } = require('../product-db');
+
+function tempDatabase() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'product-db-'));
+  return new ProductDatabase(path.join(dir, 'products.sqlite'));
+}
+
+const PRODUCTS = [
+  { code: '0000000000017', product_name: 'Apple juice', brands: 'Orchard Co', categories: 'Beverages' },
+  { code: '0000000000024', product_name: 'Oat biscuits', brands: 'Apple Farm', categories: 'Snacks' },
+  { code: '0012345678905', product_name: 'Peanut butter', brands: 'Nutty', categories: 'Spreads' },
+  { product_name: 'No barcode' }
+];
+
+test('upsertMany stores products with a barcode and skips the rest', () => {
+  const database = tempDatabase();
+
+  assert.equal(database.upsertMany(PRODUCTS), 3);
+  assert.equal(database.size, 3);
+  database.close();
+});
+
+test('getByBarcode finds products, including UPC-A codes stored as EAN-13', () => {
+  const database = tempDatabase();
+  database.upsertMany(PRODUCTS);
+
+  assert.equal(database.getByBarcode('0000000000017').product_name, 'Apple juice');
+  assert.equal(database.getByBarcode('012345678905').product_name, 'Peanut butter');
+  assert.equal(database.getByBarcode('9999999999999'), null);
+  database.close();
+});
+
+test('search matches plurals and ranks name matches above brand matches', () => {
+  const database = tempDatabase();
+  database.upsertMany(PRODUCTS);
+
+  assert.deepEqual(database.search('Apples').map(product => product.code), ['0000000000017', '0000000000024']);
+  assert.deepEqual(database.search('biscuit').map(product => product.code), ['0000000000024']);
+  assert.deepEqual(database.search('"OR NEAR(*'), []);
+  assert.deepEqual(database.search(''), []);
+  database.close();
+});
+
+test('upsert replaces a product and its search entry', () => {
+  const database = tempDatabase();
+  database.upsertMany(PRODUCTS);
+  database.upsert({ code: '0000000000017', product_name: 'Pear juice', brands: 'Orchard Co' });
+
+  assert.equal(database.size, 3);
+  assert.equal(database.getByBarcode('0000000000017').product_name, 'Pear juice');
+  assert.deepEqual(database.search('pear').map(product => product.code), ['0000000000017']);
+  assert.deepEqual(database.search('apple').map(product => product.code), ['0000000000024']);
+  database.close();
+});
+
+test('products and imports persist across reopening, and clear removes them', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'product-db-'));
+  const file = path.join(dir, 'products.sqlite');
+
+  const first = new ProductDatabase(file);
+  first.upsertMany(PRODUCTS);
+  first.recordImport({ file: 'sample.jsonl', format: 'jsonl', imported: 3 });
+  first.close();
+
+  const second = new ProductDatabase(file);
+  assert.equal(second.size, 3);
+  assert.deepEqual(second.sources, [{ file: 'sample.jsonl', format: 'jsonl', imported: 3 }]);
+
+  second.clear();
+  assert.equal(second.size, 0);
+  assert.deepEqual(second.search('apple'), []);
+  second.close();
+});
@@ -0,0 +1,35 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { UserStore, RegistrationError } = require('../user-store');
+
+function tempStore() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'user-store-'));
+  return new UserStore(path.join(dir, 'users.json'));
+}
+
+test('register rejects an email that is already taken', async () => {
+  const store = tempStore();
+  await store.register({ email: 'sam@example.com', password: 'correct horse' });
+
+  await assert.rejects(store.register({ email: ' SAM@example.com ', password: 'battery staple' }), error => {
+    assert.ok(error instanceof RegistrationError);
+    assert.equal(error.status, 409);
+    return true;
+  });
+});
+
+test('concurrent registrations for one email create a single account', async () => {
+  const store = tempStore();
+
+  const results = await Promise.allSettled([
+    store.register({ email: 'sam@example.com', password: 'correct horse' }),
+    store.register({ email: 'sam@example.com', password: 'battery staple' })
+  ]);
+
+  assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+  assert.equal(results.find(result => result.status === 'rejected').reason.status, 409);
+  assert.equal(store.users.length, 1);
+});
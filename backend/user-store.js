@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const path = require('path');
+const { promisify } = require('util');
+const { JsonStore } = require('./json-store');
+const { EMPTY_PROFILE } = require('./dietary-profile');
+const { EMPTY_GOALS } = require('./goals');
+
+const scrypt = promisify(crypto.scrypt);
+
+const PASSWORD_KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 8;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// How long a login stays valid
+const SESSION_TTL_MS = (Number(process.env.AUTH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+// Thrown for registration input that can't be accepted (bad email, short
+// password, email already taken). `status` is the HTTP status to answer with.
+class RegistrationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'RegistrationError';
+    this.status = status;
+  }
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+async function hashPassword(password, salt) {
+  const key = await scrypt(password, salt, PASSWORD_KEY_LENGTH);
+  return key.toString('hex');
+}
+
+// Accounts and login sessions. Passwords are stored as salted scrypt hashes;
+// session tokens are random and only their SHA-256 is kept, so a leaked data
+// file can't be used to sign in.
+class UserStore {
+  constructor(filePath = path.join(__dirname, 'data', 'users.json')) {
+    this.store = new JsonStore(filePath, { users: [], sessions: [] });
+  }
+
+  get users() {
+    return this.store.data.users;
+  }
+
+  get sessions() {
+    return this.store.data.sessions;
+  }
+
+  get(id) {
+    return this.users.find(user => user.id === id) || null;
+  }
+
+  findByEmail(email) {
+    const normalized = String(email || '').trim().toLowerCase();
+    return this.users.find(user => user.email === normalized) || null;
+  }
+
+  async register({ email, password }) {
+    const normalized = typeof email === 'string' ? email.trim().toLowerCase() : '';
+
+    if (!EMAIL_PATTERN.test(normalized)) {
+      throw new RegistrationError('A valid email address is required');
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw new RegistrationError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    if (this.findByEmail(normalized)) {
+      throw new RegistrationError('An account with this email already exists', 409);
+    }
+
+    const salt = crypto.randomBytes(16).toString('hex');
+    const passwordHash = await hashPassword(password, salt);
+
+    // Check again: another registration for the same email may have finished
+    // while the password was hashing
+    if (this.findByEmail(normalized)) {
+      throw new RegistrationError('An account with this email already exists', 409);
+    }
+
+    const user = {
+      id: crypto.randomUUID(),
+      email: normalized,
+      passwordSalt: salt,
+      passwordHash,
+      createdAt: new Date().toISOString()
+    };
+
+    this.users.push(user);
+    this.store.save();
+    return user;
+  }
+
+  // The user for an email and password, or null if they don't match
+  async authenticate(email, password) {
+    const user = this.findByEmail(email);
+    if (typeof password !== 'string') {
+      return null;
+    }
+
+    // Hash anyway for unknown emails, so response times don't reveal which exist
+    if (!user) {
+      await hashPassword(password, 'unknown-user');
+      return null;
+    }
+
+    const hash = Buffer.from(await hashPassword(password, user.passwordSalt), 'hex');
+    const expected = Buffer.from(user.passwordHash, 'hex');
+    return crypto.timingSafeEqual(hash, expected) ? user : null;
+  }
+
+  // Start a session and return its bearer token
+  createSession(userId) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const now = Date.now();
+
+    this.pruneSessions();
+    this.sessions.push({
+      tokenHash: hashToken(token),
+      userId,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + SESSION_TTL_MS).toISOString()
+    });
+    this.store.save();
+    return token;
+  }
+
+  // The user a bearer token belongs to, or null if it's unknown or expired
+  findUserByToken(token) {
+    if (typeof token !== 'string' || !token) {
+      return null;
+    }
+
+    const tokenHash = hashToken(token);
+    const session = this.sessions.find(item => item.tokenHash === tokenHash);
+    if (!session || Date.parse(session.expiresAt) <= Date.now()) {
+      return null;
+    }
+
+    return this.get(session.userId);
+  }
+
+  revokeSession(token) {
+    const tokenHash = hashToken(token);
+    const index = this.sessions.findIndex(session => session.tokenHash === tokenHash);
+    if (index === -1) {
+      return false;
+    }
+
+    this.sessions.splice(index, 1);
+    this.store.save();
+    return true;
+  }
+
+  // The user's allergens, diets and excluded ingredients
+  getDietaryProfile(id) {
+    const user = this.get(id);
+    return (user && user.dietaryProfile) || EMPTY_PROFILE;
+  }
+
+  setDietaryProfile(id, profile) {
+    const user = this.get(id);
+    if (!user) {
+      return null;
+    }
+
+    user.dietaryProfile = { ...profile, updatedAt: new Date().toISOString() };
+    this.store.save();
+    return user.dietaryProfile;
+  }
+
+  // Daily calorie and macro targets
+  getGoals(id) {
+    const user = this.get(id);
+    return (user && user.goals) || EMPTY_GOALS;
+  }
+
+  setGoals(id, goals) {
+    const user = this.get(id);
+    if (!user) {
+      return null;
+    }
+
+    user.goals = { ...goals, updatedAt: new Date().toISOString() };
+    this.store.save();
+    return user.goals;
+  }
+
+  pruneSessions() {
+    const now = Date.now();
+    this.store.data.sessions = this.sessions.filter(session => Date.parse(session.expiresAt) > now);
+  }
+}
+
+// User fields that are safe to return to clients
+function describeUser(user) {
+  return { id: user.id, email: user.email, createdAt: user.createdAt };
+}
+
+module.exports = { UserStore, RegistrationError, describeUser };
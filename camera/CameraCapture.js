@@ -0,0 +1,111 @@
+import React, { forwardRef, useEffect, useImperativeHandle, useRef, useState } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { CameraView, useCameraPermissions } from 'expo-camera';
+
+// Native (iOS/Android) camera preview using expo-camera. Exposes the same
+// capturePhoto() ref interface as the web version, resolving to
+// { uri, width, height, mimeType } with a local file uri.
+const CameraCapture = forwardRef(function CameraCapture({ onReadyChange }, ref) {
+  const [permission, requestPermission] = useCameraPermissions();
+  const [cameraReady, setCameraReady] = useState(false);
+  const cameraRef = useRef(null);
+
+  useEffect(() => {
+    if (onReadyChange) {
+      onReadyChange(cameraReady);
+    }
+  }, [cameraReady, onReadyChange]);
+
+  useImperativeHandle(ref, () => ({
+    async capturePhoto() {
+      if (!cameraRef.current || !cameraReady) {
+        throw new Error('Camera not ready');
+      }
+
+      const picture = await cameraRef.current.takePictureAsync({ quality: 0.9 });
+
+      return {
+        uri: picture.uri,
+        width: picture.width,
+        height: picture.height,
+        mimeType: picture.format === 'png' ? 'image/png' : 'image/jpeg'
+      };
+    }
+  }), [cameraReady]);
+
+  // Permission status is still loading
+  if (!permission) {
+    return null;
+  }
+
+  if (!permission.granted) {
+    return (
+      <View>
+        {permission.status === 'denied' && (
+          <Text style={styles.error}>Camera access denied</Text>
+        )}
+        {permission.canAskAgain ? (
+          <TouchableOpacity style={styles.button} onPress={requestPermission}>
+            <Text style={styles.buttonText}>
+              {permission.status === 'denied' ? 'Try Again' : 'Test Camera Access'}
+            </Text>
+          </TouchableOpacity>
+        ) : (
+          <Text style={styles.errorDetail}>Enable camera access in your device settings.</Text>
+        )}
+      </View>
+    );
+  }
+
+  return (
+    <View>
+      <Text style={styles.success}>Camera access granted!</Text>
+      <CameraView
+        ref={cameraRef}
+        style={styles.preview}
+        facing="back"
+        onCameraReady={() => setCameraReady(true)}
+        onMountError={(e) => console.error('Camera error:', e.message)}
+      />
+    </View>
+  );
+});
+
+export default CameraCapture;
+
+const styles = StyleSheet.create({
+  button: {
+    backgroundColor: '#007AFF',
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    borderRadius: 5,
+    marginBottom: 10,
+  },
+  buttonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  success: {
+    color: 'green',
+    fontSize: 18,
+    marginBottom: 10,
+  },
+  error: {
+    color: 'red',
+    fontSize: 18,
+    marginBottom: 10,
+  },
+  errorDetail: {
+    color: 'red',
+    fontSize: 14,
+    marginBottom: 10,
+    textAlign: 'center',
+  },
+  preview: {
+    width: 320,
+    height: 240,
+    marginTop: 10,
+    marginBottom: 10,
+  },
+});
@@ -0,0 +1,171 @@
+import React, { forwardRef, useEffect, useImperativeHandle, useRef, useState } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+
+// Browser camera preview using getUserMedia. Exposes capturePhoto() through its
+// ref, resolving to { uri, width, height, mimeType } with a data URL as the uri.
+const CameraCapture = forwardRef(function CameraCapture({ onReadyChange }, ref) {
+  const [hasPermission, setHasPermission] = useState(null);
+  const [error, setError] = useState(null);
+  const [stream, setStream] = useState(null);
+  const videoRef = useRef(null);
+  const canvasRef = useRef(null);
+
+  // Connect stream to video element when both are available
+  useEffect(() => {
+    if (stream && videoRef.current) {
+      console.log('Connecting stream to video element');
+      videoRef.current.srcObject = stream;
+      videoRef.current.play().catch(err => {
+        console.error('Error playing video:', err);
+      });
+    }
+  }, [stream]);
+
+  // Release the camera when the preview goes away
+  useEffect(() => {
+    return () => {
+      if (stream) {
+        stream.getTracks().forEach(track => track.stop());
+      }
+    };
+  }, [stream]);
+
+  useEffect(() => {
+    if (onReadyChange) {
+      onReadyChange(Boolean(stream));
+    }
+  }, [stream, onReadyChange]);
+
+  const requestCameraPermission = async () => {
+    try {
+      console.log('Requesting camera permission...');
+
+      // Check if getUserMedia is available
+      if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+        throw new Error('getUserMedia not supported on this browser');
+      }
+
+      // Request camera access
+      const mediaStream = await navigator.mediaDevices.getUserMedia({
+        video: true,
+        audio: false
+      });
+
+      console.log('Camera permission granted!', mediaStream);
+      setHasPermission(true);
+      setStream(mediaStream);
+      setError(null);
+
+    } catch (err) {
+      console.error('Camera permission error:', err);
+      setError(err.message);
+      setHasPermission(false);
+    }
+  };
+
+  useImperativeHandle(ref, () => ({
+    async capturePhoto() {
+      // Check if video and canvas are ready
+      if (!videoRef.current || !canvasRef.current || !stream) {
+        throw new Error('Camera not ready');
+      }
+
+      const video = videoRef.current;
+      const canvas = canvasRef.current;
+      const context = canvas.getContext('2d');
+
+      // Set canvas size to match video
+      canvas.width = video.videoWidth || 320;
+      canvas.height = video.videoHeight || 240;
+
+      // Draw current video frame to canvas
+      context.drawImage(video, 0, 0, canvas.width, canvas.height);
+
+      return {
+        uri: canvas.toDataURL('image/png'),
+        width: canvas.width,
+        height: canvas.height,
+        mimeType: 'image/png'
+      };
+    }
+  }), [stream]);
+
+  if (hasPermission === null) {
+    return (
+      <TouchableOpacity style={styles.button} onPress={requestCameraPermission}>
+        <Text style={styles.buttonText}>Test Camera Access</Text>
+      </TouchableOpacity>
+    );
+  }
+
+  if (hasPermission === false) {
+    return (
+      <View>
+        <Text style={styles.error}>Camera access denied</Text>
+        <Text style={styles.errorDetail}>{error}</Text>
+        <TouchableOpacity style={styles.button} onPress={requestCameraPermission}>
+          <Text style={styles.buttonText}>Try Again</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  return (
+    <View>
+      <Text style={styles.success}>Camera access granted!</Text>
+      <video
+        ref={videoRef}
+        autoPlay
+        playsInline
+        muted
+        style={styles.preview}
+        onLoadedMetadata={() => console.log('Video metadata loaded')}
+        onError={(e) => console.error('Video error:', e)}
+      />
+      <canvas
+        ref={canvasRef}
+        style={{ display: 'none' }}
+      />
+    </View>
+  );
+});
+
+export default CameraCapture;
+
+const styles = StyleSheet.create({
+  button: {
+    backgroundColor: '#007AFF',
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    borderRadius: 5,
+    marginBottom: 10,
+  },
+  buttonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  success: {
+    color: 'green',
+    fontSize: 18,
+    marginBottom: 10,
+  },
+  error: {
+    color: 'red',
+    fontSize: 18,
+    marginBottom: 10,
+  },
+  errorDetail: {
+    color: 'red',
+    fontSize: 14,
+    marginBottom: 10,
+    textAlign: 'center',
+  },
+  preview: {
+    width: 320,
+    height: 240,
+    backgroundColor: 'black',
+    marginTop: 10,
+    marginBottom: 10,
+  },
+});
@@ -0,0 +1,9 @@
+// Add a captured photo to upload form data. React Native's FormData uploads
+// local files directly from a { uri, name, type } descriptor.
+export default async function appendPhoto(formData, field, photo, filename) {
+  formData.append(field, {
+    uri: photo.uri,
+    name: filename,
+    type: photo.mimeType,
+  });
+}
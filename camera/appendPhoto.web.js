@@ -0,0 +1,8 @@
+// Add a captured photo to upload form data. On web the photo uri is a data or
+// blob URL, so it's fetched into a Blob first.
+export default async function appendPhoto(formData, field, photo, filename) {
+  const response = await fetch(photo.uri);
+  const blob = await response.blob();
+  console.log('Blob created:', blob.size, 'bytes, type:', blob.type);
+  formData.append(field, blob, filename);
+}
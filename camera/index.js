@@ -0,0 +1,7 @@
+// Platform-aware photo capture. Metro picks the .web.js variants in the browser
+// and the plain .js (expo-camera) variants on iOS/Android.
+export { default as CameraCapture } from './CameraCapture';
+export { default as pickFromLibrary } from './pickFromLibrary';
+export { default as appendPhoto } from './appendPhoto';
+export { default as preprocessPhoto } from './preprocessPhoto';
+export { IMAGE_PREPROCESSING } from './preprocessing';
@@ -0,0 +1,27 @@
+import * as ImagePicker from 'expo-image-picker';
+
+// Import a photo from the device's photo library (or a file picker on web).
+// Resolves to { uri, width, height, mimeType }, or null if the user cancels.
+export default async function pickFromLibrary() {
+  const permission = await ImagePicker.requestMediaLibraryPermissionsAsync();
+  if (!permission.granted) {
+    throw new Error('Photo library access denied');
+  }
+
+  const result = await ImagePicker.launchImageLibraryAsync({
+    mediaTypes: ['images'],
+    quality: 0.9,
+  });
+
+  if (result.canceled || !result.assets || result.assets.length === 0) {
+    return null;
+  }
+
+  const asset = result.assets[0];
+  return {
+    uri: asset.uri,
+    width: asset.width,
+    height: asset.height,
+    mimeType: asset.mimeType || 'image/jpeg'
+  };
+}
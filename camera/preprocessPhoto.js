@@ -0,0 +1,35 @@
+import { ImageManipulator, SaveFormat } from 'expo-image-manipulator';
+import { FORMAT_MIME_TYPES, planPreprocessing } from './preprocessing';
+
+const SAVE_FORMATS = {
+  jpeg: SaveFormat.JPEG,
+  webp: SaveFormat.WEBP,
+};
+
+// Crop, downscale and re-encode a photo with expo-image-manipulator before
+// upload. Resolves to a new { uri, width, height, mimeType } pointing at a
+// file in the app's cache directory.
+export default async function preprocessPhoto(photo, options) {
+  const plan = planPreprocessing(photo.width, photo.height, options);
+
+  const context = ImageManipulator.manipulate(photo.uri);
+  if (plan.crop.width !== photo.width || plan.crop.height !== photo.height) {
+    context.crop(plan.crop);
+  }
+  if (plan.width !== plan.crop.width) {
+    context.resize({ width: plan.width, height: plan.height });
+  }
+
+  const image = await context.renderAsync();
+  const result = await image.saveAsync({
+    format: SAVE_FORMATS[options.format],
+    compress: options.quality,
+  });
+
+  return {
+    uri: result.uri,
+    width: result.width,
+    height: result.height,
+    mimeType: FORMAT_MIME_TYPES[options.format],
+  };
+}
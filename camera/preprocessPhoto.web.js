@@ -0,0 +1,37 @@
+import { FORMAT_MIME_TYPES, planPreprocessing } from './preprocessing';
+
+function loadImage(uri) {
+  return new Promise((resolve, reject) => {
+    const image = new window.Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error('Could not load photo for preprocessing'));
+    image.src = uri;
+  });
+}
+
+// Crop, downscale and re-encode a photo on a canvas before upload.
+// Resolves to a new { uri, width, height, mimeType } with a data URL as the uri.
+export default async function preprocessPhoto(photo, options) {
+  const image = await loadImage(photo.uri);
+  const plan = planPreprocessing(image.naturalWidth, image.naturalHeight, options);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = plan.width;
+  canvas.height = plan.height;
+
+  const context = canvas.getContext('2d');
+  context.imageSmoothingQuality = 'high';
+  context.drawImage(
+    image,
+    plan.crop.originX, plan.crop.originY, plan.crop.width, plan.crop.height,
+    0, 0, plan.width, plan.height
+  );
+
+  const uri = canvas.toDataURL(FORMAT_MIME_TYPES[options.format], options.quality);
+
+  // Browsers without a WebP encoder (Safari) silently fall back to PNG, so
+  // report the type that was actually produced
+  const mimeType = uri.slice('data:'.length, uri.indexOf(';'));
+
+  return { uri, width: plan.width, height: plan.height, mimeType };
+}
@@ -0,0 +1,60 @@
+import Constants from 'expo-constants';
+
+// Applied to every photo before upload. Full camera frames are several
+// megabytes as PNG; a 1280px JPEG keeps food items recognizable at a fraction
+// of the upload size and vision-model token cost.
+const DEFAULT_PREPROCESSING = {
+  maxDimension: 1280,     // longest side in pixels, null to keep full size
+  format: 'jpeg',         // 'jpeg' or 'webp'
+  quality: 0.8,           // 0-1 encoder quality
+  cropAspectRatio: null,  // width / height to center-crop to (e.g. 1 for square), null to keep the frame
+};
+
+export const FORMAT_MIME_TYPES = {
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+};
+
+// Defaults overridden by "extra.imagePreprocessing" in app.json
+function resolvePreprocessing() {
+  const expoConfig = Constants.expoConfig;
+  const overrides = (expoConfig && expoConfig.extra && expoConfig.extra.imagePreprocessing) || {};
+  const options = { ...DEFAULT_PREPROCESSING, ...overrides };
+
+  if (!FORMAT_MIME_TYPES[options.format]) {
+    console.warn(`Unsupported preprocessing format "${options.format}", using jpeg`);
+    options.format = 'jpeg';
+  }
+
+  return options;
+}
+
+export const IMAGE_PREPROCESSING = resolvePreprocessing();
+
+// Work out the center-crop rectangle and output size for a photo.
+// Returns { crop: { originX, originY, width, height }, width, height }.
+export function planPreprocessing(width, height, { maxDimension, cropAspectRatio }) {
+  let cropWidth = width;
+  let cropHeight = height;
+
+  if (cropAspectRatio) {
+    if (width / height > cropAspectRatio) {
+      cropWidth = Math.round(height * cropAspectRatio);
+    } else {
+      cropHeight = Math.round(width / cropAspectRatio);
+    }
+  }
+
+  const scale = maxDimension ? Math.min(1, maxDimension / Math.max(cropWidth, cropHeight)) : 1;
+
+  return {
+    crop: {
+      originX: Math.floor((width - cropWidth) / 2),
+      originY: Math.floor((height - cropHeight) / 2),
+      width: cropWidth,
+      height: cropHeight,
+    },
+    width: Math.max(1, Math.round(cropWidth * scale)),
+    height: Math.max(1, Math.round(cropHeight * scale)),
+  };
+}
@@ -0,0 +1,3 @@
+// Offline capture queue. Metro picks queueStorage.web.js (IndexedDB) in the
+// browser and queueStorage.js (file system + AsyncStorage) on iOS/Android.
+export { default as useCaptureQueue } from './useCaptureQueue';
@@ -0,0 +1,62 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Directory, File, Paths } from 'expo-file-system';
+
+const QUEUE_KEY = 'choices-count.capture-queue';
+const QUEUE_DIR = new Directory(Paths.document, 'capture-queue');
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+};
+
+async function readItems() {
+  const stored = await AsyncStorage.getItem(QUEUE_KEY);
+  return stored ? JSON.parse(stored) : [];
+}
+
+function writeItems(items) {
+  return AsyncStorage.setItem(QUEUE_KEY, JSON.stringify(items));
+}
+
+// Queued captures on iOS/Android. Photos are copied out of the cache
+// directory (which the OS may clear) into the app's documents, and the queue
+// itself is kept in AsyncStorage.
+const queueStorage = {
+  list: readItems,
+
+  // Store a photo ({ uri, width, height, mimeType }) with the item's fields.
+  // Resolves to the stored item, whose photo.uri points at the copy.
+  async add(item, photo) {
+    if (!QUEUE_DIR.exists) {
+      QUEUE_DIR.create({ intermediates: true, idempotent: true });
+    }
+
+    const file = new File(QUEUE_DIR, `${item.id}.${EXTENSIONS[photo.mimeType] || 'jpg'}`);
+    new File(photo.uri).copy(file);
+
+    const stored = { ...item, photo: { ...photo, uri: file.uri } };
+    await writeItems([...(await readItems()), stored]);
+    return stored;
+  },
+
+  async update(id, changes) {
+    const items = await readItems();
+    await writeItems(items.map(item => item.id === id ? { ...item, ...changes } : item));
+  },
+
+  async remove(id) {
+    const items = await readItems();
+    const item = items.find(entry => entry.id === id);
+
+    if (item) {
+      const file = new File(item.photo.uri);
+      if (file.exists) {
+        file.delete();
+      }
+    }
+    await writeItems(items.filter(entry => entry.id !== id));
+  },
+};
+
+export default queueStorage;
@@ -0,0 +1,74 @@
+const DB_NAME = 'choices-count';
+const STORE_NAME = 'capture-queue';
+
+let dbPromise = null;
+
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = window.indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+}
+
+// Run one request against the queue's object store
+async function run(mode, makeRequest) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const request = makeRequest(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+// Stored records keep the photo as a Blob; callers get a data URL, which
+// both <Image> and the upload code (see appendPhoto.web.js) can read
+async function toItem({ blob, ...record }) {
+  return { ...record, photo: { ...record.photo, uri: await blobToDataUrl(blob) } };
+}
+
+// Queued captures in the browser, kept in IndexedDB so they survive reloads
+const queueStorage = {
+  async list() {
+    const records = await run('readonly', store => store.getAll());
+    return Promise.all(records
+      .sort((a, b) => a.capturedAt.localeCompare(b.capturedAt))
+      .map(toItem));
+  },
+
+  // Store a photo ({ uri, width, height, mimeType }) with the item's fields.
+  // Resolves to the stored item.
+  async add(item, photo) {
+    const blob = await (await fetch(photo.uri)).blob();
+    const record = { ...item, photo: { width: photo.width, height: photo.height, mimeType: photo.mimeType }, blob };
+
+    await run('readwrite', store => store.put(record));
+    return toItem(record);
+  },
+
+  async update(id, changes) {
+    const record = await run('readonly', store => store.get(id));
+    if (record) {
+      await run('readwrite', store => store.put({ ...record, ...changes }));
+    }
+  },
+
+  remove(id) {
+    return run('readwrite', store => store.delete(id));
+  },
+};
+
+export default queueStorage;
@@ -0,0 +1,175 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import * as api from '../api/client';
+import queueStorage from './queueStorage';
+
+// How often to check whether the backend is back while captures are waiting
+const HEALTH_POLL_MS = 15 * 1000;
+
+// Retry delays double from RETRY_BASE_MS up to RETRY_MAX_MS
+const RETRY_BASE_MS = 5 * 1000;
+const RETRY_MAX_MS = 5 * 60 * 1000;
+
+function retryDelay(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+}
+
+// Worth trying again later: the backend was unreachable, overloaded or the
+// session needs renewing. Anything else (a rejected image) needs the user.
+function isRetryable(err) {
+  return err instanceof api.ApiError && (err.isNetworkError || err.status === 401 || err.status >= 500);
+}
+
+// Photos captured while the backend was unreachable, kept on the device until
+// they can be uploaded. Each item is uploaded, logged as a meal and analyzed
+// in turn; a step that succeeds isn't repeated on retry. onProcessed receives
+// { imageId, mealId, analysis } for each item that finishes.
+//
+// Items: { id, capturedAt, reference, photo, status, attempts, nextAttemptAt,
+// error, imageId, mealId }, status being pending, uploading, analyzing or
+// failed.
+export default function useCaptureQueue({ onProcessed } = {}) {
+  const [items, setItems] = useState([]);
+  const processing = useRef(false);
+  const onProcessedRef = useRef(onProcessed);
+  onProcessedRef.current = onProcessed;
+
+  const reload = useCallback(async () => {
+    try {
+      setItems(await queueStorage.list());
+    } catch (err) {
+      console.error('Error loading capture queue:', err);
+    }
+  }, []);
+
+  const updateItem = useCallback(async (id, changes) => {
+    await queueStorage.update(id, changes);
+    setItems(current => current.map(item => item.id === id ? { ...item, ...changes } : item));
+  }, []);
+
+  const processItem = useCallback(async (item) => {
+    let { imageId, mealId } = item;
+
+    if (!imageId) {
+      await updateItem(item.id, { status: 'uploading' });
+      const result = await api.uploadImage(item.photo, { timestamp: item.capturedAt });
+      imageId = result.data.id;
+      await updateItem(item.id, { imageId });
+    }
+
+    if (!mealId) {
+      const meal = await api.createMeal({ imageId, eatenAt: item.capturedAt });
+      mealId = meal.id;
+      await updateItem(item.id, { mealId });
+    }
+
+    await updateItem(item.id, { status: 'analyzing' });
+    const analysis = await api.analyze(imageId, { mealId, reference: item.reference || undefined });
+    console.log('Queued capture processed:', item.id, 'as meal', mealId);
+
+    await queueStorage.remove(item.id);
+    if (onProcessedRef.current) {
+      onProcessedRef.current({ imageId, mealId, analysis });
+    }
+  }, [updateItem]);
+
+  // Work through the queue oldest first, skipping failed items and those
+  // waiting out a retry delay
+  const processQueue = useCallback(async () => {
+    if (processing.current) {
+      return;
+    }
+
+    processing.current = true;
+    try {
+      for (const item of await queueStorage.list()) {
+        const waiting = item.nextAttemptAt && Date.parse(item.nextAttemptAt) > Date.now();
+        if (item.status === 'failed' || waiting) {
+          continue;
+        }
+
+        try {
+          await processItem(item);
+
+        } catch (err) {
+          console.error('Error processing queued capture:', item.id, err);
+          const attempts = item.attempts + 1;
+          const retryable = isRetryable(err);
+
+          await updateItem(item.id, {
+            status: retryable ? 'pending' : 'failed',
+            attempts,
+            error: err.message,
+            nextAttemptAt: retryable ? new Date(Date.now() + retryDelay(attempts)).toISOString() : null,
+          });
+
+          // The backend went away again; wait for the next health check
+          if (err instanceof api.ApiError && err.isNetworkError) {
+            break;
+          }
+        }
+      }
+    } finally {
+      processing.current = false;
+      await reload();
+    }
+  }, [processItem, updateItem, reload]);
+
+  // Store a photo ({ uri, width, height, mimeType }) for upload later
+  const enqueue = useCallback(async (photo, { reference = null, capturedAt = new Date().toISOString() } = {}) => {
+    const item = await queueStorage.add({
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      capturedAt,
+      reference,
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: null,
+      error: null,
+      imageId: null,
+      mealId: null,
+    }, photo);
+
+    console.log('Capture queued for upload:', item.id);
+    setItems(current => [...current, item]);
+    return item;
+  }, []);
+
+  // Try an item again now, even if it failed or is waiting to retry
+  const retry = useCallback(async (id) => {
+    await updateItem(id, { status: 'pending', nextAttemptAt: null });
+    await processQueue();
+  }, [updateItem, processQueue]);
+
+  const remove = useCallback(async (id) => {
+    await queueStorage.remove(id);
+    setItems(current => current.filter(item => item.id !== id));
+  }, []);
+
+  // Items that were mid-upload when the app last closed start over
+  useEffect(() => {
+    queueStorage.list()
+      .then(stored => Promise.all(stored
+        .filter(item => item.status === 'uploading' || item.status === 'analyzing')
+        .map(item => queueStorage.update(item.id, { status: 'pending' }))))
+      .catch(err => console.error('Error resetting capture queue:', err))
+      .then(reload);
+  }, [reload]);
+
+  // While anything is waiting, poll /api/health and process the queue as soon
+  // as the backend answers
+  const hasPending = items.some(item => item.status === 'pending');
+  useEffect(() => {
+    if (!hasPending) {
+      return undefined;
+    }
+
+    const check = () => api.checkHealth()
+      .then(() => processQueue())
+      .catch(() => {}); // Still offline; try again on the next tick
+
+    check();
+    const timer = setInterval(check, HEALTH_POLL_MS);
+    return () => clearInterval(timer);
+  }, [hasPending, processQueue]);
+
+  return { items, enqueue, retry, remove, processQueue };
+}
@@ -0,0 +1,206 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { formatMoney } from './PurchaseCard';
+
+// Rows shown for a parsed nutrition label: [key, name, unit]. The parser
+// reports everything but energy in grams; sodium reads better in mg.
+const LABEL_ROWS = [
+  ['calories', 'Energy', ' kcal'],
+  ['energyKj', 'Energy', ' kJ'],
+  ['fat', 'Fat', 'g'],
+  ['saturatedFat', 'Saturated fat', 'g'],
+  ['carbs', 'Carbohydrates', 'g'],
+  ['sugars', 'Sugars', 'g'],
+  ['fiber', 'Fiber', 'g'],
+  ['protein', 'Protein', 'g'],
+  ['sodium', 'Sodium', 'mg'],
+  ['salt', 'Salt', 'g']
+];
+
+// Results of one analyzer run, in the normalized
+// { foodItems, nutrition, text, objects, details } format every provider returns
+export default function AnalysisPanel({ analysis }) {
+  const { results } = analysis;
+  const details = results.details || {};
+  const isOpenAI = analysis.provider === 'openai';
+  // Ensemble analyses list every provider that took part
+  const failedProviders = (details.providers || []).filter(provider => provider.status === 'failed');
+  // Nutrition panel parsed from the OCR text, if the photo shows one
+  const label = results.text && results.text.nutritionLabel;
+  const priceTag = results.text && results.text.priceTag;
+
+  return (
+    <View style={[styles.container, isOpenAI && styles.openaiContainer]}>
+      <Text style={[styles.title, isOpenAI && styles.openaiTitle]}>
+        {analysis.apiProvider} Results:
+      </Text>
+
+      {details.summary && (
+        <View style={styles.resultSection}>
+          <Text style={styles.sectionTitle}>AI Analysis Summary:</Text>
+          <Text style={styles.conversationalText}>{details.summary}</Text>
+        </View>
+      )}
+
+      {results.foodItems.length > 0 && (
+        <View style={styles.resultSection}>
+          <Text style={styles.sectionTitle}>Food Items Detected:</Text>
+          {results.foodItems.map((item, index) => (
+            <Text key={index} style={styles.resultItem}>
+              • {item.name} ({item.confidence}% confident)
+              {item.providers && <Text style={styles.providerText}> · {item.providers.join(', ')}</Text>}
+            </Text>
+          ))}
+        </View>
+      )}
+
+      {failedProviders.length > 0 && (
+        <Text style={styles.warningText}>
+          Not included: {failedProviders.map(provider => `${provider.label} (${provider.error})`).join('; ')}
+        </Text>
+      )}
+
+      {results.nutrition && (
+        <View style={styles.resultSection}>
+          <Text style={styles.sectionTitle}>Nutritional Information:</Text>
+          {Object.entries(results.nutrition).map(([nutrient, value]) => (
+            <Text key={nutrient} style={styles.resultItem}>
+              • {nutrient}: {value}{nutrient === 'calories' ? ' kcal' : 'g'}
+            </Text>
+          ))}
+        </View>
+      )}
+
+      {label && (
+        <View style={styles.resultSection}>
+          <Text style={styles.sectionTitle}>
+            Nutrition Label ({label.basis === 'serving' ? 'per serving' : `per ${label.basis.replace('100', '100 ')}`}):
+          </Text>
+          {label.servingSize && (
+            <Text style={styles.resultItem}>• Serving size: {label.servingSize.text}</Text>
+          )}
+          {LABEL_ROWS.filter(([key]) => label.nutrients[key] !== undefined).map(([key, name, unit]) => (
+            <Text key={key} style={styles.resultItem}>
+              • {name}: {unit === 'mg' ? Math.round(label.nutrients[key] * 1000) : label.nutrients[key]}{unit}
+              {label.dailyValues[key] !== undefined && ` (${label.dailyValues[key]}% DV)`}
+            </Text>
+          ))}
+        </View>
+      )}
+
+      {priceTag && (
+        <View style={styles.resultSection}>
+          <Text style={styles.sectionTitle}>Price:</Text>
+          {priceTag.prices.map((price, index) => (
+            <Text key={index} style={styles.resultItem}>
+              • {formatMoney(price.amount, price.currency)}
+              {price.quantity > 1 ? ` for ${price.quantity}` : ''}
+              {price.unit && price.unit !== 'each' ? ` per ${price.unit}` : ''}
+            </Text>
+          ))}
+        </View>
+      )}
+
+      {results.text && (
+        <View style={styles.resultSection}>
+          <Text style={styles.sectionTitle}>Text Found:</Text>
+          <Text style={styles.extractedText}>{results.text.fullText}</Text>
+        </View>
+      )}
+
+      {results.objects.length > 0 && (
+        <View style={styles.resultSection}>
+          <Text style={styles.sectionTitle}>Objects Detected:</Text>
+          {results.objects.map((obj, index) => (
+            <Text key={index} style={styles.resultItem}>
+              • {obj.name} ({obj.confidence}% confident)
+            </Text>
+          ))}
+        </View>
+      )}
+
+      {details.culturalContext && (
+        <View style={styles.resultSection}>
+          <Text style={styles.sectionTitle}>Cultural Context:</Text>
+          <Text style={styles.resultItem}>{details.culturalContext}</Text>
+        </View>
+      )}
+
+      {details.dietaryConsiderations && details.dietaryConsiderations.length > 0 && (
+        <View style={styles.resultSection}>
+          <Text style={styles.sectionTitle}>Dietary Information:</Text>
+          <Text style={styles.resultItem}>{details.dietaryConsiderations.join(', ')}</Text>
+        </View>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: 20,
+    padding: 15,
+    backgroundColor: '#f8f9fa',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#dee2e6',
+    width: 320,
+  },
+  openaiContainer: {
+    backgroundColor: '#f8fff8',
+    borderColor: '#28a745',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 15,
+    color: '#007AFF',
+  },
+  openaiTitle: {
+    color: '#28a745',
+  },
+  resultSection: {
+    marginBottom: 15,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginBottom: 5,
+    color: '#333',
+  },
+  resultItem: {
+    fontSize: 14,
+    color: '#666',
+    marginLeft: 10,
+    marginBottom: 2,
+  },
+  providerText: {
+    fontSize: 12,
+    color: '#999',
+  },
+  warningText: {
+    fontSize: 14,
+    color: '#856404',
+    marginBottom: 10,
+  },
+  extractedText: {
+    fontSize: 14,
+    color: '#666',
+    backgroundColor: '#fff',
+    padding: 10,
+    borderRadius: 4,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    fontFamily: 'monospace',
+  },
+  conversationalText: {
+    fontSize: 14,
+    color: '#333',
+    backgroundColor: '#fff',
+    padding: 10,
+    borderRadius: 4,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    lineHeight: 20,
+  },
+});
@@ -0,0 +1,112 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, Image } from 'react-native';
+
+function describeStatus(item) {
+  switch (item.status) {
+    case 'uploading':
+      return 'Uploading...';
+    case 'analyzing':
+      return 'Analyzing...';
+    case 'failed':
+      return `Failed: ${item.error}`;
+    default:
+      return item.attempts > 0
+        ? `Waiting to retry (${item.attempts} ${item.attempts === 1 ? 'attempt' : 'attempts'})`
+        : 'Waiting for the backend';
+  }
+}
+
+// Captures saved on the device while the backend was unreachable. They upload
+// on their own once it's back; onRetry tries one now, onRemove discards it.
+export default function CaptureQueueList({ items, onRetry, onRemove }) {
+  if (items.length === 0) {
+    return null;
+  }
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>Pending Uploads ({items.length})</Text>
+      {items.map(item => {
+        const busy = item.status === 'uploading' || item.status === 'analyzing';
+
+        return (
+          <View key={item.id} style={styles.item}>
+            <Image source={{ uri: item.photo.uri }} style={styles.thumbnail} />
+            <View style={styles.details}>
+              <Text style={styles.time}>{new Date(item.capturedAt).toLocaleString()}</Text>
+              <Text style={[styles.status, item.status === 'failed' && styles.failed]}>{describeStatus(item)}</Text>
+              {!busy && (
+                <View style={styles.actions}>
+                  <TouchableOpacity onPress={() => onRetry(item.id)}>
+                    <Text style={styles.action}>Retry Now</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity onPress={() => onRemove(item.id)}>
+                    <Text style={[styles.action, styles.removeAction]}>Discard</Text>
+                  </TouchableOpacity>
+                </View>
+              )}
+            </View>
+          </View>
+        );
+      })}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: 20,
+    padding: 15,
+    backgroundColor: '#f8f9fa',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#adb5bd',
+    width: 320,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 10,
+    color: '#495057',
+  },
+  item: {
+    flexDirection: 'row',
+    marginBottom: 10,
+  },
+  thumbnail: {
+    width: 60,
+    height: 60,
+    borderRadius: 5,
+    backgroundColor: '#e9ecef',
+  },
+  details: {
+    flex: 1,
+    marginLeft: 10,
+  },
+  time: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  status: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 2,
+  },
+  failed: {
+    color: 'red',
+  },
+  actions: {
+    flexDirection: 'row',
+    marginTop: 4,
+  },
+  action: {
+    fontSize: 12,
+    color: '#007AFF',
+    fontWeight: 'bold',
+    marginRight: 15,
+  },
+  removeAction: {
+    color: '#dc3545',
+  },
+});
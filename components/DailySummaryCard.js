@@ -0,0 +1,45 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+
+// Running calorie and macro totals for one day
+export default function DailySummaryCard({ summary }) {
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>Today's Totals ({summary.mealCount} meals):</Text>
+      <Text style={styles.calories}>{summary.totals.calories} kcal</Text>
+      <Text style={styles.macros}>
+        Protein {summary.totals.protein}g · Carbs {summary.totals.carbs}g · Fat {summary.totals.fat}g · Fiber {summary.totals.fiber}g
+      </Text>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: 20,
+    padding: 15,
+    backgroundColor: '#fff8e6',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#ffb300',
+    width: 320,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 5,
+    color: '#b37400',
+  },
+  calories: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 5,
+  },
+  macros: {
+    fontSize: 14,
+    color: '#666',
+    marginLeft: 10,
+    marginBottom: 2,
+  },
+});
@@ -0,0 +1,88 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+
+// Red for what the data confirms, orange for guesses from names and text
+const CERTAINTY_COLORS = {
+  confirmed: '#c82333',
+  likely: '#d9534f',
+  possible: '#e08600',
+};
+
+// Warnings against the user's dietary profile, from an analysis, a product
+// or a whole meal. Renders nothing when there are none.
+export default function DietaryWarnings({ warnings, compact = false }) {
+  if (!warnings || warnings.length === 0) {
+    return null;
+  }
+
+  if (compact) {
+    return (
+      <View style={styles.badgeRow}>
+        {warnings.map((warning, index) => (
+          <Text
+            key={index}
+            style={[styles.badge, { backgroundColor: CERTAINTY_COLORS[warning.certainty] }]}
+          >
+            ⚠ {warning.label}
+          </Text>
+        ))}
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>⚠ Check before eating</Text>
+      {warnings.map((warning, index) => (
+        <Text key={index} style={[styles.message, { color: CERTAINTY_COLORS[warning.certainty] }]}>
+          • {warning.message}
+          {warning.certainty !== 'confirmed' && <Text style={styles.evidence}> ({warning.evidence})</Text>}
+        </Text>
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: 15,
+    padding: 15,
+    backgroundColor: '#fff3f3',
+    borderRadius: 8,
+    borderWidth: 2,
+    borderColor: '#c82333',
+    width: 320,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 8,
+    color: '#c82333',
+  },
+  message: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    marginBottom: 4,
+  },
+  evidence: {
+    fontSize: 12,
+    fontWeight: 'normal',
+    color: '#999',
+  },
+  badgeRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginVertical: 4,
+  },
+  badge: {
+    fontSize: 11,
+    fontWeight: 'bold',
+    color: 'white',
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    borderRadius: 8,
+    marginRight: 4,
+    marginBottom: 2,
+    overflow: 'hidden',
+  },
+});
@@ -0,0 +1,134 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+
+const NUTRIENT_ROWS = [
+  { key: 'calories', label: 'Calories', unit: 'kcal' },
+  { key: 'protein', label: 'Protein', unit: 'g' },
+  { key: 'carbs', label: 'Carbs', unit: 'g' },
+  { key: 'fat', label: 'Fat', unit: 'g' },
+  { key: 'fiber', label: 'Fiber', unit: 'g' },
+];
+
+// Today's intake against the daily targets, one bar per nutrient with a
+// target. onEditGoals opens the goals editor.
+export default function GoalProgressCard({ progress, onEditGoals }) {
+  if (!progress.hasTargets) {
+    return (
+      <View style={styles.container}>
+        <Text style={styles.title}>Daily Goals</Text>
+        <Text style={styles.emptyText}>No targets set yet.</Text>
+        {onEditGoals && (
+          <TouchableOpacity onPress={onEditGoals}>
+            <Text style={styles.link}>Set daily goals →</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>
+        Daily Goals{progress.dayType === 'weekend' ? ' (weekend)' : ''}
+      </Text>
+
+      {NUTRIENT_ROWS.filter(row => progress.nutrients[row.key].target !== null).map(row => {
+        const nutrient = progress.nutrients[row.key];
+        const over = nutrient.remaining < 0;
+
+        return (
+          <View key={row.key} style={styles.row}>
+            <View style={styles.rowHeader}>
+              <Text style={styles.label}>{row.label}</Text>
+              <Text style={[styles.values, over && styles.overText]}>
+                {nutrient.consumed} / {nutrient.target} {row.unit} ({nutrient.percent}%)
+              </Text>
+            </View>
+            <View style={styles.track}>
+              <View style={[styles.bar, over && styles.overBar, { width: `${Math.min(nutrient.percent, 100)}%` }]} />
+            </View>
+            <Text style={styles.remaining}>
+              {over
+                ? `${Math.abs(nutrient.remaining)} ${row.unit} over`
+                : `${nutrient.remaining} ${row.unit} left`}
+            </Text>
+          </View>
+        );
+      })}
+
+      {onEditGoals && (
+        <TouchableOpacity onPress={onEditGoals}>
+          <Text style={styles.link}>Edit goals →</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: 20,
+    padding: 15,
+    backgroundColor: '#f3fbf6',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#20c997',
+    width: 320,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 10,
+    color: '#138a67',
+  },
+  row: {
+    marginBottom: 10,
+  },
+  rowHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 3,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  values: {
+    fontSize: 13,
+    color: '#666',
+  },
+  overText: {
+    color: '#c82333',
+    fontWeight: 'bold',
+  },
+  track: {
+    height: 8,
+    backgroundColor: '#e0e0e0',
+    borderRadius: 4,
+    overflow: 'hidden',
+  },
+  bar: {
+    height: 8,
+    backgroundColor: '#20c997',
+  },
+  overBar: {
+    backgroundColor: '#c82333',
+  },
+  remaining: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 2,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#999',
+    fontStyle: 'italic',
+  },
+  link: {
+    fontSize: 14,
+    color: '#007AFF',
+    fontWeight: 'bold',
+    marginTop: 5,
+  },
+});
@@ -0,0 +1,64 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+
+const STEP_LABELS = {
+  upload: 'Upload',
+  labels: 'Label detection',
+  ocr: 'Text recognition',
+  objects: 'Object detection',
+  llm: 'AI analysis',
+  products: 'Product search',
+};
+
+const STATUS_ICONS = {
+  pending: '○',
+  running: '◔',
+  done: '✓',
+  skipped: '–',
+  failed: '✗',
+};
+
+const STATUS_COLORS = {
+  pending: '#adb5bd',
+  running: '#007AFF',
+  done: '#28a745',
+  skipped: '#adb5bd',
+  failed: 'red',
+};
+
+// Live step-by-step progress of a background analysis job
+export default function JobProgress({ job }) {
+  if (!job) {
+    return null;
+  }
+
+  return (
+    <View style={styles.container}>
+      {job.steps.map(step => (
+        <Text key={step.name} style={[styles.step, { color: STATUS_COLORS[step.status] }]}>
+          {STATUS_ICONS[step.status]} {STEP_LABELS[step.name] || step.name}
+          {step.status === 'running' && '...'}
+          {step.error && <Text style={styles.error}> ({step.error})</Text>}
+        </Text>
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: 10,
+    padding: 10,
+    backgroundColor: '#f8f9fa',
+    borderRadius: 8,
+    width: 320,
+  },
+  step: {
+    fontSize: 14,
+    marginVertical: 2,
+  },
+  error: {
+    fontSize: 12,
+    color: 'red',
+  },
+});
@@ -0,0 +1,141 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, TouchableOpacity, TextInput, StyleSheet } from 'react-native';
+
+const SOURCE_LABELS = {
+  calibrated: 'estimated from size reference',
+  model: 'estimated by AI',
+  typical: 'typical serving',
+  default: 'default guess',
+  user: 'set by you',
+};
+
+// Editable grams per detected food item, with nutrition at the current
+// weights. `nutrition` is a meal's { items, totals } breakdown; onSave
+// receives { [foodName]: grams } for the items.
+export default function PortionEditor({ nutrition, onSave, saving }) {
+  const [grams, setGrams] = useState({});
+
+  // Reset the inputs whenever the server returns a new breakdown
+  useEffect(() => {
+    setGrams(Object.fromEntries(nutrition.items.map(item => [item.name, String(item.grams ?? '')])));
+  }, [nutrition]);
+
+  const changed = nutrition.items.some(item => grams[item.name] !== String(item.grams ?? ''));
+  const invalid = Object.values(grams).some(value => value === '' || !Number.isFinite(Number(value)) || Number(value) < 0);
+
+  const save = () => {
+    onSave(Object.fromEntries(Object.entries(grams).map(([name, value]) => [name, Number(value)])));
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>Portions:</Text>
+
+      {nutrition.items.map(item => (
+        <View key={item.name} style={styles.itemRow}>
+          <View style={styles.itemInfo}>
+            <Text style={styles.itemName}>{item.name}</Text>
+            <Text style={styles.itemMeta}>
+              {SOURCE_LABELS[item.gramsSource] || 'estimated'}
+              {item.nutrition ? ` · ${item.nutrition.calories} kcal` : ''}
+            </Text>
+          </View>
+          <TextInput
+            style={styles.gramsInput}
+            keyboardType="decimal-pad"
+            value={grams[item.name] ?? ''}
+            onChangeText={text => setGrams(current => ({ ...current, [item.name]: text }))}
+          />
+          <Text style={styles.unit}>g</Text>
+        </View>
+      ))}
+
+      {nutrition.totals && (
+        <Text style={styles.totals}>
+          Total: {nutrition.totals.calories} kcal · Protein {nutrition.totals.protein}g · Carbs {nutrition.totals.carbs}g · Fat {nutrition.totals.fat}g
+        </Text>
+      )}
+
+      <TouchableOpacity
+        style={[styles.button, (!changed || invalid || saving) && styles.buttonDisabled]}
+        onPress={save}
+        disabled={!changed || invalid || saving}
+      >
+        <Text style={styles.buttonText}>{saving ? 'Saving...' : 'Update Portions'}</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: 20,
+    padding: 15,
+    backgroundColor: '#f8f9fa',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#dee2e6',
+    width: 320,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 10,
+    color: '#333',
+  },
+  itemRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  itemInfo: {
+    flex: 1,
+  },
+  itemName: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  itemMeta: {
+    fontSize: 12,
+    color: '#999',
+  },
+  gramsInput: {
+    width: 70,
+    borderWidth: 1,
+    borderColor: '#dee2e6',
+    borderRadius: 5,
+    backgroundColor: 'white',
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    fontSize: 14,
+    textAlign: 'right',
+  },
+  unit: {
+    fontSize: 14,
+    color: '#666',
+    marginLeft: 4,
+  },
+  totals: {
+    fontSize: 14,
+    color: '#333',
+    marginTop: 5,
+    marginBottom: 10,
+  },
+  button: {
+    backgroundColor: '#007AFF',
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    borderRadius: 5,
+    alignItems: 'center',
+  },
+  buttonDisabled: {
+    backgroundColor: '#ccc',
+    opacity: 0.6,
+  },
+  buttonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
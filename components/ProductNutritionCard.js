@@ -0,0 +1,190 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, TouchableOpacity, TextInput, StyleSheet, Linking } from 'react-native';
+
+// Grams eaten of each chosen product and the nutrients computed from their
+// Open Food Facts per-100g data. onCalculate receives the products with a
+// `grams` field set and resolves to { items, totals, incomplete }.
+export default function ProductNutritionCard({ products, onCalculate }) {
+  const [grams, setGrams] = useState({});
+  const [result, setResult] = useState(null);
+  const [status, setStatus] = useState('idle'); // idle, calculating, error
+
+  // Default to what was saved last, else one serving, else 100g
+  useEffect(() => {
+    setGrams(Object.fromEntries(products.map(product => [
+      product.id,
+      String(product.grams ?? product.servingQuantity ?? 100)
+    ])));
+  }, [products]);
+
+  const invalid = products.some(product => {
+    const value = grams[product.id];
+    return value === undefined || value === '' || !Number.isFinite(Number(value)) || Number(value) < 0;
+  });
+
+  const calculate = async () => {
+    try {
+      setStatus('calculating');
+      const weighed = products.map(product => ({ ...product, grams: Number(grams[product.id]) }));
+      setResult(await onCalculate(weighed));
+      setStatus('idle');
+
+    } catch (err) {
+      console.error('Error computing product nutrition:', err);
+      setStatus('error');
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>Chosen Products:</Text>
+
+      {products.map((product, index) => {
+        const item = result && result.items[index];
+
+        return (
+          <View key={product.id} style={styles.productRow}>
+            <View style={styles.productInfo}>
+              <TouchableOpacity onPress={() => Linking.openURL(product.url)}>
+                <Text style={styles.productName}>
+                  {product.name} {product.brand && `(${product.brand})`}
+                </Text>
+              </TouchableOpacity>
+              {item && item.status === 'ok' && (
+                <Text style={styles.productMeta}>
+                  {item.nutrients.calories} kcal{item.missing.length > 0 ? ` · no data for ${item.missing.join(', ')}` : ''}
+                </Text>
+              )}
+            </View>
+            <TextInput
+              style={styles.gramsInput}
+              keyboardType="decimal-pad"
+              value={grams[product.id] ?? ''}
+              onChangeText={text => setGrams(current => ({ ...current, [product.id]: text }))}
+            />
+            <Text style={styles.unit}>g</Text>
+          </View>
+        );
+      })}
+
+      {result && (
+        <View style={styles.totals}>
+          <Text style={styles.totalCalories}>{result.totals.calories} kcal</Text>
+          <Text style={styles.totalMacros}>
+            Protein {result.totals.protein}g · Carbs {result.totals.carbs}g · Fat {result.totals.fat}g
+          </Text>
+          <Text style={styles.totalMacros}>
+            Fiber {result.totals.fiber}g · Sugar {result.totals.sugar}g · Salt {result.totals.salt}g
+          </Text>
+          {result.incomplete && (
+            <Text style={styles.warningText}>Some products are missing nutrition data, so totals may be low.</Text>
+          )}
+        </View>
+      )}
+
+      <TouchableOpacity
+        style={[styles.button, (invalid || status === 'calculating') && styles.buttonDisabled]}
+        onPress={calculate}
+        disabled={invalid || status === 'calculating'}
+      >
+        <Text style={styles.buttonText}>
+          {status === 'calculating' ? 'Calculating...' : 'Calculate Nutrition'}
+        </Text>
+      </TouchableOpacity>
+
+      {status === 'error' && (
+        <Text style={styles.error}>Failed to calculate nutrition. Please try again.</Text>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: 20,
+    padding: 15,
+    backgroundColor: '#f0f8ff',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#007AFF',
+    width: 320,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 10,
+    color: '#007AFF',
+  },
+  productRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  productInfo: {
+    flex: 1,
+  },
+  productName: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#007AFF',
+  },
+  productMeta: {
+    fontSize: 12,
+    color: '#666',
+  },
+  gramsInput: {
+    width: 70,
+    borderWidth: 1,
+    borderColor: '#dee2e6',
+    borderRadius: 5,
+    backgroundColor: 'white',
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    fontSize: 14,
+    textAlign: 'right',
+  },
+  unit: {
+    fontSize: 14,
+    color: '#666',
+    marginLeft: 4,
+  },
+  totals: {
+    marginTop: 5,
+    marginBottom: 10,
+  },
+  totalCalories: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  totalMacros: {
+    fontSize: 14,
+    color: '#666',
+  },
+  warningText: {
+    fontSize: 12,
+    color: '#856404',
+    marginTop: 4,
+  },
+  button: {
+    backgroundColor: '#007AFF',
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    borderRadius: 5,
+    alignItems: 'center',
+  },
+  buttonDisabled: {
+    backgroundColor: '#ccc',
+    opacity: 0.6,
+  },
+  buttonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  error: {
+    color: 'red',
+    fontSize: 14,
+    marginTop: 10,
+  },
+});
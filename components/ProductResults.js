@@ -0,0 +1,128 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, Linking } from 'react-native';
+import DietaryWarnings from './DietaryWarnings';
+
+// Open Food Facts search results. When onSelectProduct is given, each product
+// gets an "Add to meal" action; selectedProducts marks the ones already chosen.
+// Products that conflict with the dietary profile are badged.
+export default function ProductResults({ results, selectedProducts = [], onSelectProduct }) {
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>
+        {results.barcode ? `Barcode ${results.barcode.code}:` : 'Related Products:'}
+      </Text>
+      {results.searchResults.map((searchResult, index) => (
+        <View key={index} style={styles.searchSection}>
+          <Text style={styles.searchTitle}>
+            "{searchResult.searchTerm}" ({searchResult.detectedConfidence}% confident)
+          </Text>
+          {searchResult.products.length > 0 ? (
+            searchResult.products.map((product, productIndex) => (
+              <TouchableOpacity
+                key={productIndex}
+                style={styles.productLink}
+                onPress={() => Linking.openURL(product.url)}
+              >
+                <Text style={styles.productName}>
+                  {product.name} {product.brand && `(${product.brand})`}
+                </Text>
+                <DietaryWarnings warnings={product.dietaryWarnings} compact />
+                {product.per100g && product.per100g.calories !== null && (
+                  <Text style={styles.productNutrients}>
+                    Per 100g: {product.per100g.calories} kcal · Protein {product.per100g.protein ?? '?'}g · Carbs {product.per100g.carbs ?? '?'}g · Fat {product.per100g.fat ?? '?'}g
+                  </Text>
+                )}
+                <Text style={styles.productUrl}>View on Open Food Facts →</Text>
+                {onSelectProduct && (
+                  <TouchableOpacity onPress={() => onSelectProduct(product)}>
+                    <Text style={styles.addToMealText}>
+                      {selectedProducts.some(p => p.id === product.id) ? '✓ Added to meal' : '+ Add to meal'}
+                    </Text>
+                  </TouchableOpacity>
+                )}
+              </TouchableOpacity>
+            ))
+          ) : searchResult.status === 'timeout' ? (
+            <Text style={styles.lookupFailedText}>Lookup timed out</Text>
+          ) : searchResult.status === 'failed' ? (
+            <Text style={styles.lookupFailedText}>Lookup failed</Text>
+          ) : (
+            <Text style={styles.noProductsText}>No products found</Text>
+          )}
+        </View>
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: 20,
+    padding: 15,
+    backgroundColor: '#f0f8ff',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#b3d9ff',
+    width: 320,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 15,
+    color: '#0066cc',
+  },
+  searchSection: {
+    marginBottom: 15,
+    paddingBottom: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+  },
+  searchTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginBottom: 8,
+    color: '#333',
+  },
+  productLink: {
+    backgroundColor: '#fff',
+    padding: 10,
+    marginBottom: 5,
+    borderRadius: 5,
+    borderWidth: 1,
+    borderColor: '#007AFF',
+  },
+  productName: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 2,
+  },
+  productNutrients: {
+    fontSize: 12,
+    color: '#666',
+    marginBottom: 2,
+  },
+  productUrl: {
+    fontSize: 12,
+    color: '#007AFF',
+    textDecorationLine: 'underline',
+  },
+  addToMealText: {
+    fontSize: 12,
+    color: '#28a745',
+    fontWeight: 'bold',
+    marginTop: 4,
+  },
+  noProductsText: {
+    fontSize: 14,
+    color: '#999',
+    fontStyle: 'italic',
+    marginLeft: 10,
+  },
+  lookupFailedText: {
+    fontSize: 14,
+    color: '#cc6600',
+    fontStyle: 'italic',
+    marginLeft: 10,
+  },
+});
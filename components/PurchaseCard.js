@@ -0,0 +1,183 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, TouchableOpacity, TextInput, StyleSheet } from 'react-native';
+
+// "2.99 USD", or a dash for unknown amounts
+export function formatMoney(amount, currency) {
+  if (amount === null || amount === undefined) {
+    return '—';
+  }
+  return currency ? `${amount.toFixed(2)} ${currency}` : amount.toFixed(2);
+}
+
+// Text input values for a purchase
+function toFields(purchase) {
+  return {
+    store: purchase.store || '',
+    quantity: purchase.quantity !== null ? String(purchase.quantity) : '',
+    total: purchase.total !== null ? String(purchase.total) : '',
+  };
+}
+
+// What was paid for a meal, as read off the price tag or entered by the user.
+// Store, quantity and total can be corrected; onSave receives the changed
+// fields for PATCH /api/meals/:id { purchase }.
+export default function PurchaseCard({ purchase, onSave, saving }) {
+  const [fields, setFields] = useState(() => toFields(purchase));
+
+  // Reset the inputs whenever the server returns a new purchase
+  useEffect(() => {
+    setFields(toFields(purchase));
+  }, [purchase]);
+
+  const initial = toFields(purchase);
+  const changes = {};
+  if (fields.store !== initial.store) {
+    changes.store = fields.store.trim() || null;
+  }
+  for (const key of ['quantity', 'total']) {
+    if (fields[key] !== initial[key]) {
+      changes[key] = fields[key] === '' ? null : Number(fields[key]);
+    }
+  }
+
+  const invalid = ['quantity', 'total'].some(key => changes[key] !== undefined && changes[key] !== null
+    && (!Number.isFinite(changes[key]) || changes[key] < 0));
+  const changed = Object.keys(changes).length > 0;
+
+  const setField = (key, value) => setFields(current => ({ ...current, [key]: value }));
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>Purchase:</Text>
+
+      {purchase.priceText && (
+        <Text style={styles.meta}>
+          Price tag: {purchase.priceText}
+          {purchase.pricePerKg !== null ? ` (${formatMoney(purchase.pricePerKg, purchase.currency)}/kg)` : ''}
+        </Text>
+      )}
+      {purchase.product && <Text style={styles.meta}>Product: {purchase.product.name}</Text>}
+      <Text style={styles.meta}>Category: {purchase.category}</Text>
+
+      <View style={styles.fieldRow}>
+        <Text style={styles.label}>Store</Text>
+        <TextInput
+          style={[styles.input, styles.storeInput]}
+          value={fields.store}
+          placeholder="Where was it bought?"
+          onChangeText={text => setField('store', text)}
+        />
+      </View>
+
+      <View style={styles.fieldRow}>
+        <Text style={styles.label}>Quantity</Text>
+        <TextInput
+          style={styles.input}
+          keyboardType="decimal-pad"
+          value={fields.quantity}
+          onChangeText={text => setField('quantity', text)}
+        />
+        <Text style={styles.unit}>{purchase.unit || ''}</Text>
+      </View>
+
+      <View style={styles.fieldRow}>
+        <Text style={styles.label}>Total</Text>
+        <TextInput
+          style={styles.input}
+          keyboardType="decimal-pad"
+          value={fields.total}
+          onChangeText={text => setField('total', text)}
+        />
+        <Text style={styles.unit}>{purchase.currency || ''}</Text>
+      </View>
+
+      {purchase.source === 'ocr' && purchase.unit !== 'each' && (
+        <Text style={styles.hint}>Quantity is estimated from the portion weight.</Text>
+      )}
+
+      <TouchableOpacity
+        style={[styles.button, (!changed || invalid || saving) && styles.buttonDisabled]}
+        onPress={() => onSave(changes)}
+        disabled={!changed || invalid || saving}
+      >
+        <Text style={styles.buttonText}>{saving ? 'Saving...' : 'Update Purchase'}</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: 20,
+    padding: 15,
+    backgroundColor: '#f3fbf6',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#20c997',
+    width: 320,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 10,
+    color: '#138a67',
+  },
+  meta: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 4,
+  },
+  fieldRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  label: {
+    width: 70,
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  input: {
+    width: 90,
+    borderWidth: 1,
+    borderColor: '#dee2e6',
+    borderRadius: 5,
+    backgroundColor: 'white',
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    fontSize: 14,
+    textAlign: 'right',
+  },
+  storeInput: {
+    flex: 1,
+    textAlign: 'left',
+  },
+  unit: {
+    fontSize: 14,
+    color: '#666',
+    marginLeft: 6,
+  },
+  hint: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 6,
+  },
+  button: {
+    backgroundColor: '#20c997',
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    borderRadius: 5,
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  buttonDisabled: {
+    backgroundColor: '#ccc',
+    opacity: 0.6,
+  },
+  buttonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
@@ -0,0 +1,118 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, TextInput, StyleSheet } from 'react-native';
+
+// Objects of known size the user can mark as present in the photo, so the
+// analyzer can calibrate portion weights. Matches REFERENCE_OBJECTS on the server.
+const REFERENCE_OPTIONS = [
+  { type: null, label: 'None' },
+  { type: 'plate', label: 'Plate' },
+  { type: 'card', label: 'Credit Card' },
+];
+
+const DEFAULT_PLATE_SIZE_CM = 26;
+
+// Select the size reference visible in the frame. `value` is null or
+// { type, sizeCm? }, as sent with an analysis request.
+export default function ReferencePicker({ value, onChange }) {
+  const selectedType = value ? value.type : null;
+
+  const selectType = (type) => {
+    if (type === null) {
+      onChange(null);
+    } else if (type === 'plate') {
+      onChange({ type, sizeCm: DEFAULT_PLATE_SIZE_CM });
+    } else {
+      onChange({ type });
+    }
+  };
+
+  const setPlateSize = (text) => {
+    const sizeCm = parseFloat(text);
+    onChange({ type: 'plate', sizeCm: Number.isFinite(sizeCm) ? sizeCm : undefined });
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>Size reference in photo:</Text>
+      <View style={styles.optionRow}>
+        {REFERENCE_OPTIONS.map(option => (
+          <TouchableOpacity
+            key={option.label}
+            style={[styles.option, option.type === selectedType && styles.optionActive]}
+            onPress={() => selectType(option.type)}
+          >
+            <Text style={[styles.optionText, option.type === selectedType && styles.optionTextActive]}>
+              {option.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {selectedType === 'plate' && (
+        <View style={styles.sizeRow}>
+          <Text style={styles.sizeLabel}>Plate diameter (cm):</Text>
+          <TextInput
+            style={styles.sizeInput}
+            keyboardType="decimal-pad"
+            defaultValue={String(value.sizeCm ?? DEFAULT_PLATE_SIZE_CM)}
+            onChangeText={setPlateSize}
+          />
+        </View>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    width: 320,
+    marginBottom: 10,
+  },
+  title: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 5,
+  },
+  optionRow: {
+    flexDirection: 'row',
+  },
+  option: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 15,
+    borderWidth: 1,
+    borderColor: '#007AFF',
+    marginRight: 8,
+  },
+  optionActive: {
+    backgroundColor: '#007AFF',
+  },
+  optionText: {
+    fontSize: 14,
+    color: '#007AFF',
+  },
+  optionTextActive: {
+    color: 'white',
+    fontWeight: 'bold',
+  },
+  sizeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  sizeLabel: {
+    fontSize: 14,
+    color: '#666',
+    marginRight: 8,
+  },
+  sizeInput: {
+    width: 60,
+    borderWidth: 1,
+    borderColor: '#dee2e6',
+    borderRadius: 5,
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    fontSize: 14,
+  },
+});
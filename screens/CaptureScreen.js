@@ -0,0 +1,577 @@
+import React, { useState, useRef, useEffect, useCallback } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, ScrollView, Image } from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import { CameraCapture, pickFromLibrary, preprocessPhoto, IMAGE_PREPROCESSING } from '../camera';
+import * as api from '../api/client';
+import watchJob from '../api/jobEvents';
+import AnalysisPanel from '../components/AnalysisPanel';
+import ProductResults from '../components/ProductResults';
+import JobProgress from '../components/JobProgress';
+import DietaryWarnings from '../components/DietaryWarnings';
+import DailySummaryCard from '../components/DailySummaryCard';
+import GoalProgressCard from '../components/GoalProgressCard';
+import CaptureQueueList from '../components/CaptureQueueList';
+import { useCaptureQueue } from '../capture-queue';
+import ReferencePicker from '../components/ReferencePicker';
+import PortionEditor from '../components/PortionEditor';
+
+// Capture a photo, upload it, analyze it and pick matching products
+export default function CaptureScreen({ navigation }) {
+  const [cameraReady, setCameraReady] = useState(false);
+  const [capturedImage, setCapturedImage] = useState(null); // { uri, width, height, mimeType }
+  const [uploadStatus, setUploadStatus] = useState('idle'); // idle, uploading, success, queued, error
+  const [analysisResults, setAnalysisResults] = useState(null);
+  const [analysisStatus, setAnalysisStatus] = useState('idle'); // idle, analyzing, success, error
+  const [uploadedImageId, setUploadedImageId] = useState(null);
+  const [productResults, setProductResults] = useState(null);
+  const [productSearchStatus, setProductSearchStatus] = useState('idle'); // idle, searching, success, error
+  const [openaiResults, setOpenaiResults] = useState(null);
+  const [openaiAnalysisStatus, setOpenaiAnalysisStatus] = useState('idle'); // idle, analyzing, success, error
+  const [ensembleResults, setEnsembleResults] = useState(null);
+  const [ensembleStatus, setEnsembleStatus] = useState('idle'); // idle, analyzing, success, error
+  const [analysisJob, setAnalysisJob] = useState(null); // latest background analysis, for its progress
+  const [currentMeal, setCurrentMeal] = useState(null);
+  const [analysisWarnings, setAnalysisWarnings] = useState([]); // dietary warnings from the latest analysis
+  const [reference, setReference] = useState(null); // size reference in the photo: null or { type, sizeCm }
+  const [portionSaveStatus, setPortionSaveStatus] = useState('idle'); // idle, saving, error
+  const [dailySummary, setDailySummary] = useState(null);
+  const [goalProgress, setGoalProgress] = useState(null);
+  const [backendStatus, setBackendStatus] = useState('checking'); // checking, ok, unreachable
+  const cameraRef = useRef(null);
+
+  const selectPhoto = (photo) => {
+    setCapturedImage(photo);
+    setUploadStatus('idle'); // Reset upload status for new image
+    setUploadedImageId(null); // Not uploaded yet, so analysis can't run on the previous photo
+    setCurrentMeal(null); // New photo means a new meal
+    setAnalysisWarnings([]);
+    setAnalysisJob(null);
+  };
+
+  const takePhoto = async () => {
+    try {
+      console.log('Taking photo...');
+      const photo = await cameraRef.current.capturePhoto();
+      selectPhoto(photo);
+      console.log('Photo captured successfully');
+
+    } catch (err) {
+      console.error('Error taking photo:', err);
+    }
+  };
+
+  const importPhoto = async () => {
+    try {
+      const photo = await pickFromLibrary();
+      if (photo) {
+        selectPhoto(photo);
+        console.log('Photo imported from library');
+      }
+
+    } catch (err) {
+      console.error('Error importing photo:', err);
+    }
+  };
+
+  // Check the backend is reachable when the screen opens
+  useEffect(() => {
+    api.checkHealth()
+      .then(() => setBackendStatus('ok'))
+      .catch(err => {
+        console.error('Backend health check failed:', err);
+        setBackendStatus('unreachable');
+      });
+  }, []);
+
+  // Photos saved while offline upload and get analyzed once the backend is back
+  const captureQueue = useCaptureQueue({
+    onProcessed: () => {
+      setBackendStatus('ok');
+      refreshDailySummary();
+    },
+  });
+
+  const saveImageForProcessing = async () => {
+    if (!capturedImage) {
+      console.error('No image to save');
+      return;
+    }
+
+    let photo = null;
+    try {
+      setUploadStatus('uploading');
+      console.log('Saving image for processing...');
+
+      photo = await preprocessPhoto(capturedImage, IMAGE_PREPROCESSING);
+      console.log(`Preprocessed photo: ${capturedImage.width}x${capturedImage.height} ${capturedImage.mimeType} -> ${photo.width}x${photo.height} ${photo.mimeType}`);
+
+      const result = await api.uploadImage(photo);
+      console.log('Image saved successfully:', result);
+      setUploadStatus('success');
+      setBackendStatus('ok');
+
+      // Store the uploaded image ID for analysis
+      setUploadedImageId(result.data.id);
+      console.log('Image ID stored for analysis:', result.data.id, result.duplicate ? '(duplicate)' : '');
+      await createMeal(result.data.id);
+
+    } catch (err) {
+      console.error('Error saving image:', err);
+      if (!(err instanceof api.ApiError && err.isNetworkError) || !photo) {
+        setUploadStatus('error');
+        return;
+      }
+
+      // Keep the photo on the device instead of losing it
+      setBackendStatus('unreachable');
+      try {
+        await captureQueue.enqueue(photo, { reference });
+        setUploadStatus('queued');
+      } catch (queueError) {
+        console.error('Error queueing image:', queueError);
+        setUploadStatus('error');
+      }
+    }
+  };
+
+  const createMeal = async (imageId) => {
+    try {
+      const meal = await api.createMeal({ imageId });
+      console.log('Meal created:', meal.id);
+      setCurrentMeal(meal);
+
+    } catch (err) {
+      // The image is still uploaded; analyses just won't be stored in the meal log
+      console.error('Error creating meal:', err);
+    }
+  };
+
+  const addProductToMeal = async (product) => {
+    if (!currentMeal) {
+      console.error('No meal to add the product to. Please save the image first.');
+      return;
+    }
+
+    try {
+      const products = [...currentMeal.products.filter(p => p.id !== product.id), product];
+      const meal = await api.updateMeal(currentMeal.id, { products });
+      console.log('Product added to meal:', product.name);
+      setCurrentMeal(meal);
+
+    } catch (err) {
+      console.error('Error adding product to meal:', err);
+    }
+  };
+
+  // Reload the meal so its portion breakdown reflects the latest analysis
+  const refreshMeal = async () => {
+    if (!currentMeal) {
+      return;
+    }
+
+    try {
+      setCurrentMeal(await api.getMeal(currentMeal.id));
+    } catch (err) {
+      console.error('Error reloading meal:', err);
+    }
+  };
+
+  const savePortions = async (portions) => {
+    try {
+      setPortionSaveStatus('saving');
+      const meal = await api.updateMeal(currentMeal.id, { portions });
+      console.log('Portions updated:', meal.nutrition.totals);
+      setCurrentMeal(meal);
+      setPortionSaveStatus('idle');
+      await refreshDailySummary();
+
+    } catch (err) {
+      console.error('Error updating portions:', err);
+      setPortionSaveStatus('error');
+    }
+  };
+
+  const refreshDailySummary = async () => {
+    try {
+      // Ask for "today" in the user's timezone, not the server's
+      const tzOffset = new Date().getTimezoneOffset();
+      const today = new Date(Date.now() - tzOffset * 60 * 1000).toISOString().slice(0, 10);
+
+      const summary = await api.getDailySummary({ date: today, tzOffset });
+      console.log('Daily summary:', summary.totals);
+      setDailySummary(summary);
+
+    } catch (err) {
+      console.error('Error loading daily summary:', err);
+    }
+
+    await refreshGoalProgress();
+  };
+
+  const refreshGoalProgress = useCallback(async () => {
+    try {
+      setGoalProgress(await api.getGoalProgress({ tzOffset: new Date().getTimezoneOffset() }));
+    } catch (err) {
+      console.error('Error loading goal progress:', err);
+    }
+  }, []);
+
+  // Load progress when the screen opens and after editing goals
+  useFocusEffect(useCallback(() => {
+    refreshGoalProgress();
+  }, [refreshGoalProgress]));
+
+  const analyzeImage = async () => {
+    if (!uploadedImageId) {
+      console.error('No uploaded image to analyze. Please save the image first.');
+      setAnalysisStatus('error');
+      return;
+    }
+
+    try {
+      setAnalysisStatus('analyzing');
+      setAnalysisResults(null);
+      console.log('Analyzing image:', uploadedImageId);
+
+      const result = await runAnalysisJob();
+      console.log('Analysis completed:', result.analysis);
+      setAnalysisResults(result.analysis);
+      setAnalysisWarnings(result.dietaryWarnings);
+      setAnalysisStatus('success');
+      await refreshMeal();
+      await refreshDailySummary();
+
+    } catch (err) {
+      console.error('Error analyzing image:', err);
+      setAnalysisStatus('error');
+    }
+  };
+
+  // Analyze the uploaded image as a background job, which also searches for
+  // products (by barcode in the image, or by detected food items). Its steps
+  // show as they run. Resolves to the job's result; throws if it failed.
+  const runAnalysisJob = async (provider) => {
+    setProductSearchStatus('searching');
+    setProductResults(null);
+
+    const job = await api.createJob(uploadedImageId, {
+      provider,
+      mealId: currentMeal && currentMeal.id,
+      reference
+    });
+    setAnalysisJob(job);
+
+    const finished = await watchJob(job.id, setAnalysisJob);
+    if (finished.status === 'failed') {
+      setProductSearchStatus('error');
+      throw new Error(finished.error);
+    }
+
+    console.log('Product search completed:', finished.result.productSearch);
+    setProductResults(finished.result.productSearch);
+    setProductSearchStatus('success');
+    return finished.result;
+  };
+
+  const analyzeImageOpenAI = async () => {
+    if (!uploadedImageId) {
+      console.error('No uploaded image to analyze. Please save the image first.');
+      setOpenaiAnalysisStatus('error');
+      return;
+    }
+
+    try {
+      setOpenaiAnalysisStatus('analyzing');
+      setOpenaiResults(null);
+      console.log('Analyzing image with OpenAI:', uploadedImageId);
+
+      const result = await runAnalysisJob('openai');
+      console.log('OpenAI analysis completed:', result.analysis);
+      setOpenaiResults(result.analysis);
+      setAnalysisWarnings(result.dietaryWarnings);
+      setOpenaiAnalysisStatus('success');
+      await refreshMeal();
+      await refreshDailySummary();
+
+    } catch (err) {
+      console.error('Error analyzing image with OpenAI:', err);
+      setOpenaiAnalysisStatus('error');
+    }
+  };
+
+  // Run every available provider at once. Only the merged food list is used
+  // for the product search.
+  const analyzeImageAll = async () => {
+    if (!uploadedImageId) {
+      console.error('No uploaded image to analyze. Please save the image first.');
+      setEnsembleStatus('error');
+      return;
+    }
+
+    try {
+      setEnsembleStatus('analyzing');
+      setEnsembleResults(null);
+      console.log('Analyzing image with all providers:', uploadedImageId);
+
+      const result = await runAnalysisJob('all');
+      console.log('Ensemble analysis completed:', result.analysis);
+      setEnsembleResults(result.analysis);
+      setAnalysisWarnings(result.dietaryWarnings);
+      setEnsembleStatus('success');
+      await refreshMeal();
+      await refreshDailySummary();
+
+    } catch (err) {
+      console.error('Error analyzing image with all providers:', err);
+      setEnsembleStatus('error');
+    }
+  };
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.contentContainer}>
+      {backendStatus === 'unreachable' && (
+        <Text style={styles.backendWarning}>
+          Backend unreachable at {api.API_BASE_URL}
+        </Text>
+      )}
+
+      <View>
+        <CameraCapture ref={cameraRef} onReadyChange={setCameraReady} />
+        {cameraReady && (
+          <TouchableOpacity style={styles.button} onPress={takePhoto}>
+            <Text style={styles.buttonText}>Take Photo</Text>
+          </TouchableOpacity>
+        )}
+        <TouchableOpacity style={styles.button} onPress={importPhoto}>
+          <Text style={styles.buttonText}>Import from Library</Text>
+        </TouchableOpacity>
+        {capturedImage && (
+          <>
+            <Image
+              source={{ uri: capturedImage.uri }}
+              style={styles.capturedImage}
+              resizeMode="contain"
+            />
+            <TouchableOpacity
+              style={[
+                styles.button,
+                uploadStatus === 'uploading' && styles.buttonDisabled
+              ]}
+              onPress={saveImageForProcessing}
+              disabled={uploadStatus === 'uploading'}
+            >
+              <Text style={styles.buttonText}>
+                {uploadStatus === 'uploading' ? 'Saving...' : 'Save for Processing'}
+              </Text>
+            </TouchableOpacity>
+
+            <ReferencePicker value={reference} onChange={setReference} />
+
+            <TouchableOpacity
+              style={[
+                styles.button,
+                analysisStatus === 'analyzing' && styles.buttonDisabled
+              ]}
+              onPress={analyzeImage}
+              disabled={analysisStatus === 'analyzing'}
+            >
+              <Text style={styles.buttonText}>
+                {analysisStatus === 'analyzing' ? 'Analyzing...' : 'Analyze with Google Vision'}
+              </Text>
+            </TouchableOpacity>
+
+            <TouchableOpacity
+              style={[
+                styles.button,
+                styles.openaiButton,
+                openaiAnalysisStatus === 'analyzing' && styles.buttonDisabled
+              ]}
+              onPress={analyzeImageOpenAI}
+              disabled={openaiAnalysisStatus === 'analyzing'}
+            >
+              <Text style={styles.buttonText}>
+                {openaiAnalysisStatus === 'analyzing' ? 'Analyzing with AI...' : 'Analyze with OpenAI Vision'}
+              </Text>
+            </TouchableOpacity>
+
+            <TouchableOpacity
+              style={[
+                styles.button,
+                styles.ensembleButton,
+                ensembleStatus === 'analyzing' && styles.buttonDisabled
+              ]}
+              onPress={analyzeImageAll}
+              disabled={ensembleStatus === 'analyzing'}
+            >
+              <Text style={styles.buttonText}>
+                {ensembleStatus === 'analyzing' ? 'Analyzing with All Providers...' : 'Analyze with All Providers'}
+              </Text>
+            </TouchableOpacity>
+
+            <JobProgress job={analysisJob} />
+
+            {currentMeal && (
+              <TouchableOpacity
+                style={[styles.button, styles.secondaryButton]}
+                onPress={() => navigation.navigate('MealDetail', { mealId: currentMeal.id })}
+              >
+                <Text style={styles.buttonText}>View Meal</Text>
+              </TouchableOpacity>
+            )}
+
+            {uploadStatus === 'success' && (
+              <Text style={styles.success}>Image saved successfully!</Text>
+            )}
+
+            {uploadStatus === 'queued' && (
+              <Text style={styles.queued}>Backend unreachable. Saved on this device; it will upload and be analyzed automatically.</Text>
+            )}
+
+            {uploadStatus === 'error' && (
+              <Text style={styles.error}>Failed to save image. Please try again.</Text>
+            )}
+
+            {/* The meal's warnings cover its latest analysis and chosen products */}
+            <DietaryWarnings warnings={currentMeal && currentMeal.dietaryWarnings ? currentMeal.dietaryWarnings : analysisWarnings} />
+
+            {analysisStatus === 'success' && analysisResults && (
+              <AnalysisPanel analysis={analysisResults} />
+            )}
+
+            {analysisStatus === 'error' && (
+              <Text style={styles.error}>Failed to analyze image. Please try again.</Text>
+            )}
+
+            {openaiAnalysisStatus === 'success' && openaiResults && (
+              <AnalysisPanel analysis={openaiResults} />
+            )}
+
+            {openaiAnalysisStatus === 'error' && (
+              <Text style={styles.error}>Failed to analyze image with OpenAI. Please try again.</Text>
+            )}
+
+            {ensembleStatus === 'success' && ensembleResults && (
+              <AnalysisPanel analysis={ensembleResults} />
+            )}
+
+            {ensembleStatus === 'error' && (
+              <Text style={styles.error}>Failed to analyze image with all providers. Please try again.</Text>
+            )}
+
+            {currentMeal && currentMeal.nutrition && currentMeal.nutrition.items.length > 0 && (
+              <PortionEditor
+                nutrition={currentMeal.nutrition}
+                onSave={savePortions}
+                saving={portionSaveStatus === 'saving'}
+              />
+            )}
+
+            {portionSaveStatus === 'error' && (
+              <Text style={styles.error}>Failed to update portions. Please try again.</Text>
+            )}
+
+            {dailySummary && (
+              <DailySummaryCard summary={dailySummary} />
+            )}
+
+            {productSearchStatus === 'searching' && (
+              <Text style={styles.searchingText}>Searching for products...</Text>
+            )}
+
+            {productSearchStatus === 'success' && productResults && (
+              <ProductResults
+                results={productResults}
+                selectedProducts={currentMeal ? currentMeal.products : []}
+                onSelectProduct={currentMeal ? addProductToMeal : undefined}
+              />
+            )}
+
+            {productSearchStatus === 'error' && (
+              <Text style={styles.error}>Failed to search for products. Please try again.</Text>
+            )}
+          </>
+        )}
+
+        <CaptureQueueList items={captureQueue.items} onRetry={captureQueue.retry} onRemove={captureQueue.remove} />
+
+        {/* Shown before a photo is taken too, so today's progress is always visible */}
+        {goalProgress && (
+          <GoalProgressCard progress={goalProgress} onEditGoals={() => navigation.navigate('Goals')} />
+        )}
+      </View>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+  },
+  contentContainer: {
+    alignItems: 'center',
+    padding: 20,
+    paddingBottom: 40,
+  },
+  backendWarning: {
+    color: '#cc6600',
+    fontSize: 14,
+    marginBottom: 10,
+    textAlign: 'center',
+  },
+  button: {
+    backgroundColor: '#007AFF',
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    borderRadius: 5,
+    marginBottom: 10,
+  },
+  buttonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  success: {
+    color: 'green',
+    fontSize: 18,
+    marginBottom: 10,
+  },
+  queued: {
+    color: '#cc6600',
+    fontSize: 14,
+    marginBottom: 10,
+    textAlign: 'center',
+    width: 320,
+  },
+  error: {
+    color: 'red',
+    fontSize: 18,
+    marginBottom: 10,
+  },
+  capturedImage: {
+    width: 320,
+    height: 240,
+    marginTop: 10,
+    borderWidth: 2,
+    borderColor: '#007AFF',
+  },
+  buttonDisabled: {
+    backgroundColor: '#ccc',
+    opacity: 0.6,
+  },
+  searchingText: {
+    fontSize: 16,
+    color: '#007AFF',
+    marginTop: 10,
+    textAlign: 'center',
+  },
+  openaiButton: {
+    backgroundColor: '#28a745', // Green for OpenAI
+  },
+  ensembleButton: {
+    backgroundColor: '#6f42c1', // Purple for the combined analysis
+  },
+  secondaryButton: {
+    backgroundColor: '#6c757d',
+  },
+});
@@ -0,0 +1,215 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet, ScrollView } from 'react-native';
+import * as api from '../api/client';
+
+// "walnuts, coriander" -> ['walnuts', 'coriander']
+function parseExclusions(text) {
+  return text.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Allergens, diets and ingredients to warn about when analyzing photos and
+// matching products
+export default function DietaryProfileScreen() {
+  const [options, setOptions] = useState(null);
+  const [allergens, setAllergens] = useState([]);
+  const [diets, setDiets] = useState([]);
+  const [exclusions, setExclusions] = useState('');
+  const [loadStatus, setLoadStatus] = useState('loading'); // loading, success, error
+  const [saveStatus, setSaveStatus] = useState('idle'); // idle, saving, saved, error
+  const [saveError, setSaveError] = useState(null);
+
+  useEffect(() => {
+    api.getDietaryProfile()
+      .then(({ data, options: profileOptions }) => {
+        setOptions(profileOptions);
+        setAllergens(data.allergens);
+        setDiets(data.diets);
+        setExclusions(data.excludedIngredients.join(', '));
+        setLoadStatus('success');
+      })
+      .catch(err => {
+        console.error('Error loading dietary profile:', err);
+        setLoadStatus('error');
+      });
+  }, []);
+
+  const toggle = (setList, code) => {
+    setList(current => current.includes(code) ? current.filter(item => item !== code) : [...current, code]);
+    setSaveStatus('idle');
+  };
+
+  const saveProfile = async () => {
+    try {
+      setSaveStatus('saving');
+      setSaveError(null);
+      const profile = await api.updateDietaryProfile({
+        allergens,
+        diets,
+        excludedIngredients: parseExclusions(exclusions),
+      });
+      setExclusions(profile.excludedIngredients.join(', '));
+      setSaveStatus('saved');
+
+    } catch (err) {
+      console.error('Error saving dietary profile:', err);
+      setSaveError(err.message);
+      setSaveStatus('error');
+    }
+  };
+
+  if (loadStatus === 'loading') {
+    return (
+      <View style={styles.centered}>
+        <Text style={styles.loadingText}>Loading profile...</Text>
+      </View>
+    );
+  }
+
+  if (loadStatus === 'error') {
+    return (
+      <View style={styles.centered}>
+        <Text style={styles.error}>Failed to load dietary profile.</Text>
+      </View>
+    );
+  }
+
+  const renderChips = (items, selected, setList) => (
+    <View style={styles.chipRow}>
+      {items.map(item => (
+        <TouchableOpacity
+          key={item.code}
+          style={[styles.chip, selected.includes(item.code) && styles.chipActive]}
+          onPress={() => toggle(setList, item.code)}
+        >
+          <Text style={[styles.chipText, selected.includes(item.code) && styles.chipTextActive]}>
+            {item.label}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.contentContainer}>
+      <Text style={styles.sectionTitle}>Diets</Text>
+      {renderChips(options.diets, diets, setDiets)}
+
+      <Text style={styles.sectionTitle}>Allergens</Text>
+      {renderChips(options.allergens, allergens, setAllergens)}
+
+      <Text style={styles.sectionTitle}>Other Ingredients to Avoid</Text>
+      <TextInput
+        style={styles.input}
+        placeholder="e.g. coriander, walnuts"
+        value={exclusions}
+        onChangeText={text => { setExclusions(text); setSaveStatus('idle'); }}
+      />
+      <Text style={styles.hint}>Separate ingredients with commas.</Text>
+
+      <TouchableOpacity
+        style={[styles.button, saveStatus === 'saving' && styles.buttonDisabled]}
+        onPress={saveProfile}
+        disabled={saveStatus === 'saving'}
+      >
+        <Text style={styles.buttonText}>{saveStatus === 'saving' ? 'Saving...' : 'Save Profile'}</Text>
+      </TouchableOpacity>
+
+      {saveStatus === 'saved' && <Text style={styles.success}>Profile saved.</Text>}
+      {saveStatus === 'error' && <Text style={styles.error}>{saveError || 'Failed to save profile.'}</Text>}
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+  },
+  contentContainer: {
+    padding: 20,
+    paddingBottom: 40,
+  },
+  centered: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#fff',
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginTop: 10,
+    marginBottom: 8,
+    color: '#333',
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 10,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 15,
+    borderWidth: 1,
+    borderColor: '#007AFF',
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  chipActive: {
+    backgroundColor: '#007AFF',
+  },
+  chipText: {
+    fontSize: 14,
+    color: '#007AFF',
+  },
+  chipTextActive: {
+    color: 'white',
+    fontWeight: 'bold',
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#dee2e6',
+    borderRadius: 5,
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    fontSize: 16,
+  },
+  hint: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 4,
+    marginBottom: 15,
+  },
+  button: {
+    backgroundColor: '#007AFF',
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    borderRadius: 5,
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  buttonDisabled: {
+    backgroundColor: '#ccc',
+    opacity: 0.6,
+  },
+  buttonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  success: {
+    color: 'green',
+    fontSize: 14,
+    textAlign: 'center',
+  },
+  error: {
+    color: 'red',
+    fontSize: 14,
+    textAlign: 'center',
+  },
+  loadingText: {
+    fontSize: 14,
+    color: '#007AFF',
+  },
+});
@@ -0,0 +1,220 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet, ScrollView, Switch } from 'react-native';
+import * as api from '../api/client';
+
+const NUTRIENT_FIELDS = [
+  { key: 'calories', label: 'Calories', unit: 'kcal' },
+  { key: 'protein', label: 'Protein', unit: 'g' },
+  { key: 'carbs', label: 'Carbs', unit: 'g' },
+  { key: 'fat', label: 'Fat', unit: 'g' },
+  { key: 'fiber', label: 'Fiber', unit: 'g' },
+];
+
+// Text input values for a set of targets
+function toFields(targets) {
+  return Object.fromEntries(NUTRIENT_FIELDS.map(({ key }) => [
+    key,
+    targets && targets[key] !== null && targets[key] !== undefined ? String(targets[key]) : '',
+  ]));
+}
+
+// Targets from text inputs. Blank daily fields mean no target; blank weekend
+// fields fall back to the daily value.
+function fromFields(fields, { skipBlank }) {
+  const targets = {};
+  for (const { key } of NUTRIENT_FIELDS) {
+    if (fields[key].trim() !== '') {
+      targets[key] = Number(fields[key]);
+    } else if (!skipBlank) {
+      targets[key] = null;
+    }
+  }
+  return targets;
+}
+
+// Daily calorie and macro targets, with optional weekend values
+export default function GoalsScreen({ navigation }) {
+  const [daily, setDaily] = useState(toFields(null));
+  const [weekend, setWeekend] = useState(toFields(null));
+  const [useWeekend, setUseWeekend] = useState(false);
+  const [loadStatus, setLoadStatus] = useState('loading'); // loading, success, error
+  const [saveStatus, setSaveStatus] = useState('idle'); // idle, saving, error
+  const [saveError, setSaveError] = useState(null);
+
+  useEffect(() => {
+    api.getGoals()
+      .then(goals => {
+        setDaily(toFields(goals.daily));
+        setWeekend(toFields(goals.weekend));
+        setUseWeekend(goals.weekend !== null);
+        setLoadStatus('success');
+      })
+      .catch(err => {
+        console.error('Error loading goals:', err);
+        setLoadStatus('error');
+      });
+  }, []);
+
+  const saveGoals = async () => {
+    try {
+      setSaveStatus('saving');
+      setSaveError(null);
+      await api.updateGoals({
+        daily: fromFields(daily, { skipBlank: false }),
+        weekend: useWeekend ? fromFields(weekend, { skipBlank: true }) : null,
+      });
+      navigation.goBack();
+
+    } catch (err) {
+      console.error('Error saving goals:', err);
+      setSaveError(err.message);
+      setSaveStatus('error');
+    }
+  };
+
+  if (loadStatus === 'loading') {
+    return (
+      <View style={styles.centered}>
+        <Text style={styles.loadingText}>Loading goals...</Text>
+      </View>
+    );
+  }
+
+  if (loadStatus === 'error') {
+    return (
+      <View style={styles.centered}>
+        <Text style={styles.error}>Failed to load goals.</Text>
+      </View>
+    );
+  }
+
+  const renderFields = (fields, setFields, placeholder) => NUTRIENT_FIELDS.map(({ key, label, unit }) => (
+    <View key={key} style={styles.fieldRow}>
+      <Text style={styles.fieldLabel}>{label}</Text>
+      <TextInput
+        style={styles.input}
+        keyboardType="numeric"
+        placeholder={placeholder(key)}
+        value={fields[key]}
+        onChangeText={value => setFields(current => ({ ...current, [key]: value }))}
+      />
+      <Text style={styles.unit}>{unit}</Text>
+    </View>
+  ));
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.contentContainer}>
+      <Text style={styles.sectionTitle}>Daily Targets</Text>
+      {renderFields(daily, setDaily, () => 'none')}
+
+      <View style={styles.switchRow}>
+        <Text style={styles.sectionTitle}>Different targets on weekends</Text>
+        <Switch value={useWeekend} onValueChange={setUseWeekend} />
+      </View>
+
+      {useWeekend && (
+        <>
+          <Text style={styles.hint}>Leave a field blank to use the daily target.</Text>
+          {renderFields(weekend, setWeekend, key => daily[key] || 'none')}
+        </>
+      )}
+
+      <TouchableOpacity
+        style={[styles.button, saveStatus === 'saving' && styles.buttonDisabled]}
+        onPress={saveGoals}
+        disabled={saveStatus === 'saving'}
+      >
+        <Text style={styles.buttonText}>{saveStatus === 'saving' ? 'Saving...' : 'Save Goals'}</Text>
+      </TouchableOpacity>
+
+      {saveStatus === 'error' && <Text style={styles.error}>{saveError || 'Failed to save goals.'}</Text>}
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+  },
+  contentContainer: {
+    padding: 20,
+    paddingBottom: 40,
+  },
+  centered: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#fff',
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginTop: 10,
+    marginBottom: 8,
+    color: '#333',
+  },
+  fieldRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  fieldLabel: {
+    width: 80,
+    fontSize: 14,
+    color: '#666',
+  },
+  input: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#dee2e6',
+    borderRadius: 5,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    fontSize: 16,
+  },
+  unit: {
+    width: 40,
+    fontSize: 14,
+    color: '#666',
+    marginLeft: 8,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: 10,
+  },
+  hint: {
+    fontSize: 12,
+    color: '#999',
+    marginBottom: 8,
+  },
+  button: {
+    backgroundColor: '#007AFF',
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    borderRadius: 5,
+    alignItems: 'center',
+    marginTop: 15,
+    marginBottom: 10,
+  },
+  buttonDisabled: {
+    backgroundColor: '#ccc',
+    opacity: 0.6,
+  },
+  buttonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  error: {
+    color: 'red',
+    fontSize: 14,
+    textAlign: 'center',
+  },
+  loadingText: {
+    fontSize: 14,
+    color: '#007AFF',
+  },
+});
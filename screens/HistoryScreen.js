@@ -0,0 +1,273 @@
+import React, { useState, useCallback } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, FlatList, Image } from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import * as api from '../api/client';
+
+const PAGE_SIZE = 20;
+
+// Date ranges the history can be narrowed to. `days` counts back from the
+// start of today in the device's timezone.
+const DATE_FILTERS = [
+  { key: 'all', label: 'All', days: null },
+  { key: 'today', label: 'Today', days: 0 },
+  { key: 'week', label: 'Last 7 Days', days: 6 },
+  { key: 'month', label: 'Last 30 Days', days: 29 },
+];
+
+function filterStart(filter) {
+  if (filter.days === null) {
+    return undefined;
+  }
+
+  const start = new Date();
+  start.setHours(0, 0, 0, 0);
+  start.setDate(start.getDate() - filter.days);
+  return start.toISOString();
+}
+
+// Past scans, newest first, with thumbnails and analysis status
+export default function HistoryScreen({ navigation }) {
+  const [scans, setScans] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [dateFilter, setDateFilter] = useState(DATE_FILTERS[0]);
+  const [loadStatus, setLoadStatus] = useState('loading'); // loading, loadingMore, success, error
+  const [deletingId, setDeletingId] = useState(null);
+
+  const loadScans = useCallback(async ({ offset = 0 } = {}) => {
+    try {
+      setLoadStatus(offset === 0 ? 'loading' : 'loadingMore');
+      const result = await api.listImages({ limit: PAGE_SIZE, offset, from: filterStart(dateFilter) });
+      setScans(current => offset === 0 ? result.images : [...current, ...result.images]);
+      setHasMore(result.hasMore);
+      setLoadStatus('success');
+
+    } catch (err) {
+      console.error('Error loading scan history:', err);
+      setLoadStatus('error');
+    }
+  }, [dateFilter]);
+
+  // Reload whenever the screen comes back into view (e.g. after deleting a meal)
+  useFocusEffect(useCallback(() => {
+    loadScans();
+  }, [loadScans]));
+
+  const loadMore = () => {
+    if (hasMore && loadStatus === 'success') {
+      loadScans({ offset: scans.length });
+    }
+  };
+
+  const deleteScan = async (scan) => {
+    try {
+      setDeletingId(scan.id);
+      const result = await api.deleteImage(scan.id);
+      console.log('Scan deleted:', scan.id, `(${result.deletedMeals} meals removed)`);
+      setScans(current => current.filter(item => item.id !== scan.id));
+
+    } catch (err) {
+      console.error('Error deleting scan:', err);
+    } finally {
+      setDeletingId(null);
+    }
+  };
+
+  const renderScan = ({ item: scan }) => {
+    const mealId = scan.mealIds[0];
+
+    return (
+      <TouchableOpacity
+        style={styles.scanRow}
+        onPress={() => mealId && navigation.navigate('MealDetail', { mealId })}
+        disabled={!mealId}
+      >
+        <Image source={{ uri: api.resolveUrl(scan.thumbnailUrl) }} style={styles.thumbnail} />
+        <View style={styles.scanInfo}>
+          <Text style={styles.scanDate}>{new Date(scan.timestamp).toLocaleString()}</Text>
+          <Text style={[styles.status, scan.analysisStatus === 'analyzed' ? styles.statusAnalyzed : styles.statusPending]}>
+            {scan.analysisStatus === 'analyzed'
+              ? `Analyzed by ${scan.analyzedBy.join(', ')}`
+              : 'Not analyzed'}
+          </Text>
+          <Text style={styles.scanMeta}>
+            {mealId ? `${scan.productMatchCount} product matches` : 'No meal logged'}
+          </Text>
+        </View>
+        <TouchableOpacity
+          style={styles.deleteButton}
+          onPress={() => deleteScan(scan)}
+          disabled={deletingId === scan.id}
+        >
+          <Text style={styles.deleteButtonText}>{deletingId === scan.id ? '...' : 'Delete'}</Text>
+        </TouchableOpacity>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.filterRow}>
+        {DATE_FILTERS.map(filter => (
+          <TouchableOpacity
+            key={filter.key}
+            style={[styles.filterChip, filter.key === dateFilter.key && styles.filterChipActive]}
+            onPress={() => setDateFilter(filter)}
+          >
+            <Text style={[styles.filterText, filter.key === dateFilter.key && styles.filterTextActive]}>
+              {filter.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {loadStatus === 'error' ? (
+        <View style={styles.centered}>
+          <Text style={styles.error}>Failed to load history.</Text>
+          <TouchableOpacity style={styles.button} onPress={() => loadScans()}>
+            <Text style={styles.buttonText}>Try Again</Text>
+          </TouchableOpacity>
+        </View>
+      ) : (
+        <FlatList
+          contentContainerStyle={styles.contentContainer}
+          data={scans}
+          keyExtractor={scan => scan.id}
+          refreshing={loadStatus === 'loading'}
+          onRefresh={() => loadScans()}
+          onEndReached={loadMore}
+          onEndReachedThreshold={0.5}
+          ListEmptyComponent={loadStatus === 'success' && (
+            <Text style={styles.emptyText}>No scans yet. Capture a meal to get started.</Text>
+          )}
+          ListFooterComponent={loadStatus === 'loadingMore' && (
+            <Text style={styles.loadingText}>Loading more...</Text>
+          )}
+          renderItem={renderScan}
+        />
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+  },
+  contentContainer: {
+    padding: 20,
+  },
+  centered: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  filterRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    paddingHorizontal: 20,
+    paddingTop: 15,
+  },
+  filterChip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 15,
+    borderWidth: 1,
+    borderColor: '#007AFF',
+    marginRight: 8,
+    marginBottom: 5,
+  },
+  filterChipActive: {
+    backgroundColor: '#007AFF',
+  },
+  filterText: {
+    fontSize: 14,
+    color: '#007AFF',
+  },
+  filterTextActive: {
+    color: 'white',
+    fontWeight: 'bold',
+  },
+  button: {
+    backgroundColor: '#007AFF',
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    borderRadius: 5,
+    marginBottom: 10,
+  },
+  buttonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  error: {
+    color: 'red',
+    fontSize: 18,
+    marginBottom: 10,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#999',
+    fontStyle: 'italic',
+    textAlign: 'center',
+    marginTop: 20,
+  },
+  loadingText: {
+    fontSize: 14,
+    color: '#007AFF',
+    textAlign: 'center',
+    marginVertical: 10,
+  },
+  scanRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 10,
+    marginBottom: 10,
+    backgroundColor: '#f8f9fa',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#dee2e6',
+  },
+  thumbnail: {
+    width: 64,
+    height: 64,
+    borderRadius: 5,
+    backgroundColor: '#dee2e6',
+    marginRight: 12,
+  },
+  scanInfo: {
+    flex: 1,
+  },
+  scanDate: {
+    fontSize: 12,
+    color: '#999',
+    marginBottom: 2,
+  },
+  status: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    marginBottom: 2,
+  },
+  statusAnalyzed: {
+    color: '#28a745',
+  },
+  statusPending: {
+    color: '#856404',
+  },
+  scanMeta: {
+    fontSize: 14,
+    color: '#666',
+  },
+  deleteButton: {
+    backgroundColor: '#dc3545',
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 5,
+    marginLeft: 8,
+  },
+  deleteButtonText: {
+    color: 'white',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+});
@@ -0,0 +1,130 @@
+import React, { useState } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet } from 'react-native';
+import * as api from '../api/client';
+
+// Sign in, or create an account. onSignedIn receives the user.
+export default function LoginScreen({ onSignedIn }) {
+  const [mode, setMode] = useState('login'); // login, register
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [status, setStatus] = useState('idle'); // idle, submitting
+  const [error, setError] = useState(null);
+
+  const isRegister = mode === 'register';
+  const canSubmit = email.trim() !== '' && password !== '' && status !== 'submitting';
+
+  const submit = async () => {
+    try {
+      setStatus('submitting');
+      setError(null);
+      const user = isRegister
+        ? await api.register(email.trim(), password)
+        : await api.login(email.trim(), password);
+      onSignedIn(user);
+
+    } catch (err) {
+      console.error(isRegister ? 'Registration failed:' : 'Login failed:', err);
+      setError(err.isNetworkError ? 'Cannot reach the backend. Is it running?' : err.message);
+      setStatus('idle');
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>{isRegister ? 'Create Account' : 'Sign In'}</Text>
+
+      <TextInput
+        style={styles.input}
+        placeholder="Email"
+        autoCapitalize="none"
+        autoComplete="email"
+        keyboardType="email-address"
+        value={email}
+        onChangeText={setEmail}
+      />
+      <TextInput
+        style={styles.input}
+        placeholder={isRegister ? 'Password (at least 8 characters)' : 'Password'}
+        secureTextEntry
+        autoComplete={isRegister ? 'new-password' : 'current-password'}
+        value={password}
+        onChangeText={setPassword}
+        onSubmitEditing={() => canSubmit && submit()}
+      />
+
+      {error && <Text style={styles.error}>{error}</Text>}
+
+      <TouchableOpacity
+        style={[styles.button, !canSubmit && styles.buttonDisabled]}
+        onPress={submit}
+        disabled={!canSubmit}
+      >
+        <Text style={styles.buttonText}>
+          {status === 'submitting' ? 'Please wait...' : isRegister ? 'Create Account' : 'Sign In'}
+        </Text>
+      </TouchableOpacity>
+
+      <TouchableOpacity onPress={() => { setMode(isRegister ? 'login' : 'register'); setError(null); }}>
+        <Text style={styles.switchText}>
+          {isRegister ? 'Already have an account? Sign in' : 'New here? Create an account'}
+        </Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 20,
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    marginBottom: 20,
+    color: '#333',
+  },
+  input: {
+    width: 280,
+    borderWidth: 1,
+    borderColor: '#dee2e6',
+    borderRadius: 5,
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    fontSize: 16,
+    marginBottom: 10,
+  },
+  error: {
+    color: 'red',
+    fontSize: 14,
+    marginBottom: 10,
+    textAlign: 'center',
+    width: 280,
+  },
+  button: {
+    backgroundColor: '#007AFF',
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    borderRadius: 5,
+    width: 280,
+    alignItems: 'center',
+    marginTop: 5,
+  },
+  buttonDisabled: {
+    backgroundColor: '#ccc',
+    opacity: 0.6,
+  },
+  buttonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  switchText: {
+    color: '#007AFF',
+    fontSize: 14,
+    marginTop: 15,
+  },
+});
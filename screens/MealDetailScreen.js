@@ -0,0 +1,230 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, ScrollView, Image } from 'react-native';
+import * as api from '../api/client';
+import AnalysisPanel from '../components/AnalysisPanel';
+import ProductResults from '../components/ProductResults';
+import PortionEditor from '../components/PortionEditor';
+import ProductNutritionCard from '../components/ProductNutritionCard';
+import PurchaseCard from '../components/PurchaseCard';
+import DietaryWarnings from '../components/DietaryWarnings';
+
+// Stored analyses and products for one logged meal
+export default function MealDetailScreen({ route, navigation }) {
+  const { mealId } = route.params;
+  const [meal, setMeal] = useState(null);
+  const [loadStatus, setLoadStatus] = useState('loading'); // loading, success, error
+  const [deleteStatus, setDeleteStatus] = useState('idle'); // idle, deleting, error
+  const [portionSaveStatus, setPortionSaveStatus] = useState('idle'); // idle, saving, error
+  const [purchaseSaveStatus, setPurchaseSaveStatus] = useState('idle'); // idle, saving, error
+
+  useEffect(() => {
+    api.getMeal(mealId)
+      .then(result => {
+        setMeal(result);
+        setLoadStatus('success');
+      })
+      .catch(err => {
+        console.error('Error loading meal:', err);
+        setLoadStatus('error');
+      });
+  }, [mealId]);
+
+  const savePortions = async (portions) => {
+    try {
+      setPortionSaveStatus('saving');
+      setMeal(await api.updateMeal(mealId, { portions }));
+      setPortionSaveStatus('idle');
+
+    } catch (err) {
+      console.error('Error updating portions:', err);
+      setPortionSaveStatus('error');
+    }
+  };
+
+  const savePurchase = async (purchase) => {
+    try {
+      setPurchaseSaveStatus('saving');
+      setMeal(await api.updateMeal(mealId, { purchase }));
+      setPurchaseSaveStatus('idle');
+
+    } catch (err) {
+      console.error('Error updating purchase:', err);
+      setPurchaseSaveStatus('error');
+    }
+  };
+
+  // Compute nutrients for the chosen products and remember the grams entered
+  const calculateProductNutrition = async (weighedProducts) => {
+    const result = await api.computeNutrition(weighedProducts.map(product => ({ product, grams: product.grams })));
+    setMeal(await api.updateMeal(mealId, { products: weighedProducts }));
+    return result;
+  };
+
+  const deleteMeal = async () => {
+    try {
+      setDeleteStatus('deleting');
+      await api.deleteMeal(mealId);
+      console.log('Meal deleted:', mealId);
+      navigation.goBack();
+
+    } catch (err) {
+      console.error('Error deleting meal:', err);
+      setDeleteStatus('error');
+    }
+  };
+
+  if (loadStatus === 'loading') {
+    return (
+      <View style={styles.centered}>
+        <Text style={styles.loadingText}>Loading meal...</Text>
+      </View>
+    );
+  }
+
+  if (loadStatus === 'error') {
+    return (
+      <View style={styles.centered}>
+        <Text style={styles.error}>Failed to load meal.</Text>
+      </View>
+    );
+  }
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.contentContainer}>
+      <Image source={{ uri: api.imageUrl(meal.imageId) }} style={styles.photo} resizeMode="cover" />
+      <Text style={styles.title}>{meal.name || 'Meal'}</Text>
+      <Text style={styles.mealDate}>{new Date(meal.eatenAt).toLocaleString()}</Text>
+      {meal.notes ? <Text style={styles.notes}>{meal.notes}</Text> : null}
+
+      <DietaryWarnings warnings={meal.dietaryWarnings} />
+
+      {meal.nutrition.items.length > 0 && (
+        <PortionEditor
+          nutrition={meal.nutrition}
+          onSave={savePortions}
+          saving={portionSaveStatus === 'saving'}
+        />
+      )}
+
+      {portionSaveStatus === 'error' && (
+        <Text style={styles.error}>Failed to update portions. Please try again.</Text>
+      )}
+
+      {meal.products.length > 0 && (
+        <ProductNutritionCard products={meal.products} onCalculate={calculateProductNutrition} />
+      )}
+
+      {meal.purchase && (
+        <PurchaseCard
+          purchase={meal.purchase}
+          onSave={savePurchase}
+          saving={purchaseSaveStatus === 'saving'}
+        />
+      )}
+
+      {purchaseSaveStatus === 'error' && (
+        <Text style={styles.error}>Failed to update purchase. Please try again.</Text>
+      )}
+
+      {meal.analyses.length === 0 && (
+        <Text style={styles.emptyText}>This meal hasn't been analyzed yet.</Text>
+      )}
+
+      {meal.analyses.map(analysis => (
+        <AnalysisPanel key={analysis.id} analysis={analysis.data} />
+      ))}
+
+      {meal.productMatches.length > 0 && (
+        <ProductResults results={{ searchResults: meal.productMatches }} />
+      )}
+
+      <TouchableOpacity
+        style={[styles.button, styles.deleteButton, deleteStatus === 'deleting' && styles.buttonDisabled]}
+        onPress={deleteMeal}
+        disabled={deleteStatus === 'deleting'}
+      >
+        <Text style={styles.buttonText}>
+          {deleteStatus === 'deleting' ? 'Deleting...' : 'Delete Meal'}
+        </Text>
+      </TouchableOpacity>
+
+      {deleteStatus === 'error' && (
+        <Text style={styles.error}>Failed to delete meal. Please try again.</Text>
+      )}
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+  },
+  contentContainer: {
+    alignItems: 'center',
+    padding: 20,
+    paddingBottom: 40,
+  },
+  centered: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#fff',
+  },
+  photo: {
+    width: 300,
+    height: 225,
+    borderRadius: 10,
+    backgroundColor: '#dee2e6',
+    marginBottom: 15,
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    marginBottom: 5,
+  },
+  mealDate: {
+    fontSize: 14,
+    color: '#999',
+    marginBottom: 10,
+  },
+  notes: {
+    fontSize: 14,
+    color: '#333',
+    marginBottom: 10,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#999',
+    fontStyle: 'italic',
+    marginTop: 20,
+  },
+  loadingText: {
+    fontSize: 16,
+    color: '#007AFF',
+  },
+  button: {
+    backgroundColor: '#007AFF',
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    borderRadius: 5,
+    marginTop: 20,
+  },
+  deleteButton: {
+    backgroundColor: '#dc3545',
+  },
+  buttonDisabled: {
+    backgroundColor: '#ccc',
+    opacity: 0.6,
+  },
+  buttonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  error: {
+    color: 'red',
+    fontSize: 18,
+    marginTop: 10,
+  },
+});
@@ -0,0 +1,235 @@
+import React, { useState, useCallback } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, ScrollView } from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import * as api from '../api/client';
+import { formatMoney } from '../components/PurchaseCard';
+
+// Report ranges, counting back from today in the device's timezone
+const RANGES = [
+  { key: 'week', label: 'Last 7 Days', days: 6 },
+  { key: 'month', label: 'Last 30 Days', days: 29 },
+  { key: 'quarter', label: 'Last 90 Days', days: 89 },
+];
+
+function localDateKey(date) {
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60 * 1000).toISOString().slice(0, 10);
+}
+
+// Per-currency totals as one line: "12.40 USD · 3.10 EUR"
+function formatTotals(totals) {
+  const entries = Object.entries(totals);
+  return entries.length > 0
+    ? entries.map(([currency, amount]) => formatMoney(amount, currency)).join(' · ')
+    : formatMoney(0);
+}
+
+// Food spending from the prices read off scanned shelf tags
+export default function SpendingScreen() {
+  const [range, setRange] = useState(RANGES[1]);
+  const [report, setReport] = useState(null);
+  const [loadStatus, setLoadStatus] = useState('loading'); // loading, success, error
+
+  const loadReport = useCallback(async () => {
+    try {
+      setLoadStatus('loading');
+      const today = new Date();
+      const start = new Date(today);
+      start.setDate(start.getDate() - range.days);
+
+      setReport(await api.getSpending({
+        from: localDateKey(start),
+        to: localDateKey(today),
+        tzOffset: today.getTimezoneOffset(),
+      }));
+      setLoadStatus('success');
+
+    } catch (err) {
+      console.error('Error loading spending report:', err);
+      setLoadStatus('error');
+    }
+  }, [range]);
+
+  useFocusEffect(useCallback(() => {
+    loadReport();
+  }, [loadReport]));
+
+  const renderGroups = (title, groups, keyName) => groups.length > 0 && (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>{title}</Text>
+      {groups.map(group => (
+        <View key={group[keyName]} style={styles.groupRow}>
+          <Text style={styles.groupName}>{group[keyName]} ({group.count})</Text>
+          <Text style={styles.groupTotal}>{formatTotals(group.totals)}</Text>
+        </View>
+      ))}
+    </View>
+  );
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.contentContainer}>
+      <View style={styles.filterRow}>
+        {RANGES.map(item => (
+          <TouchableOpacity
+            key={item.key}
+            style={[styles.filterChip, item.key === range.key && styles.filterChipActive]}
+            onPress={() => setRange(item)}
+          >
+            <Text style={[styles.filterText, item.key === range.key && styles.filterTextActive]}>
+              {item.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {loadStatus === 'loading' && <Text style={styles.loadingText}>Loading spending...</Text>}
+
+      {loadStatus === 'error' && (
+        <View style={styles.centered}>
+          <Text style={styles.error}>Failed to load spending.</Text>
+          <TouchableOpacity style={styles.button} onPress={loadReport}>
+            <Text style={styles.buttonText}>Try Again</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      {loadStatus === 'success' && report && (
+        <>
+          <View style={styles.totalCard}>
+            <Text style={styles.totalLabel}>{report.purchaseCount} purchases</Text>
+            <Text style={styles.totalAmount}>{formatTotals(report.totals)}</Text>
+            {report.unpriced > 0 && (
+              <Text style={styles.hint}>{report.unpriced} scans have a unit price but no quantity yet.</Text>
+            )}
+          </View>
+
+          {report.purchaseCount === 0 && (
+            <Text style={styles.emptyText}>No prices recorded. Scan a shelf tag or price sticker to start tracking.</Text>
+          )}
+
+          {renderGroups('By Day', report.byDay, 'date')}
+          {renderGroups('By Category', report.byCategory, 'category')}
+          {renderGroups('By Store', report.byStore, 'store')}
+        </>
+      )}
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+  },
+  contentContainer: {
+    padding: 20,
+    paddingBottom: 40,
+  },
+  centered: {
+    alignItems: 'center',
+    marginTop: 20,
+  },
+  filterRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 10,
+  },
+  filterChip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 15,
+    borderWidth: 1,
+    borderColor: '#007AFF',
+    marginRight: 8,
+    marginBottom: 5,
+  },
+  filterChipActive: {
+    backgroundColor: '#007AFF',
+  },
+  filterText: {
+    fontSize: 14,
+    color: '#007AFF',
+  },
+  filterTextActive: {
+    color: 'white',
+    fontWeight: 'bold',
+  },
+  totalCard: {
+    padding: 15,
+    backgroundColor: '#f3fbf6',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#20c997',
+    marginBottom: 15,
+  },
+  totalLabel: {
+    fontSize: 14,
+    color: '#138a67',
+    fontWeight: 'bold',
+  },
+  totalAmount: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#333',
+    marginTop: 5,
+  },
+  hint: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 6,
+  },
+  section: {
+    marginBottom: 15,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginBottom: 5,
+    color: '#333',
+  },
+  groupRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  groupName: {
+    fontSize: 14,
+    color: '#666',
+  },
+  groupTotal: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  button: {
+    backgroundColor: '#007AFF',
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    borderRadius: 5,
+    marginBottom: 10,
+  },
+  buttonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  error: {
+    color: 'red',
+    fontSize: 18,
+    marginBottom: 10,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#999',
+    fontStyle: 'italic',
+    textAlign: 'center',
+    marginBottom: 15,
+  },
+  loadingText: {
+    fontSize: 14,
+    color: '#007AFF',
+    textAlign: 'center',
+    marginVertical: 10,
+  },
+});